@@ -6,6 +6,7 @@
 
 const { ENVIRONMENTS, DEFAULT_CONFIG } = require('./config');
 const os = require('os');
+const crypto = require('crypto');
 
 class ConfigManager {
   constructor(store) {
@@ -219,6 +220,255 @@ class ConfigManager {
     this.store.set('autoLaunch', enabled);
   }
 
+  /**
+   * Get local HTTP API settings (token is generated on first access)
+   * @returns {{enabled: boolean, host: string, port: number, token: string}}
+   */
+  getLocalApiConfig() {
+    const localApi = { ...DEFAULT_CONFIG.localApi, ...this.store.get('localApi', {}) };
+    if (!localApi.token) {
+      localApi.token = crypto.randomBytes(24).toString('hex');
+      this.store.set('localApi', localApi);
+    }
+    return localApi;
+  }
+
+  /**
+   * Update local HTTP API settings
+   * @param {Object} settings - Partial { enabled, host, port, token }
+   */
+  setLocalApiConfig(settings) {
+    this.store.set('localApi', { ...this.getLocalApiConfig(), ...settings });
+  }
+
+  /**
+   * Regenerate the local HTTP API token
+   * @returns {string} New token
+   */
+  regenerateLocalApiToken() {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.setLocalApiConfig({ token });
+    return token;
+  }
+
+  /**
+   * Get cash drawer settings
+   * @returns {{allowFromUi: boolean, allowedRoles: string[], defaultPin: number}}
+   */
+  getCashDrawerConfig() {
+    return { ...DEFAULT_CONFIG.cashDrawer, ...this.store.get('cashDrawer', {}) };
+  }
+
+  /**
+   * Update cash drawer settings
+   * @param {Object} settings - Partial { allowFromUi, allowedRoles, defaultPin }
+   */
+  setCashDrawerConfig(settings) {
+    this.store.set('cashDrawer', { ...this.getCashDrawerConfig(), ...settings });
+  }
+
+  /**
+   * Check whether the logged-in user may open the cash drawer from the UI.
+   * Explicit permissions ('cash_drawer.open' or '*') take precedence over roles.
+   * @returns {boolean}
+   */
+  canOpenCashDrawer() {
+    const settings = this.getCashDrawerConfig();
+    const user = this.getUser();
+    if (!settings.allowFromUi || !user) return false;
+
+    if (Array.isArray(user.permissions)) {
+      return user.permissions.includes('cash_drawer.open') || user.permissions.includes('*');
+    }
+    return settings.allowedRoles.includes(user.role);
+  }
+
+  /**
+   * Get settings of a local printer (merged with thermal defaults)
+   * @param {string} systemName
+   * @returns {{characterSet: string, transliterate: boolean}}
+   */
+  getPrinterSettings(systemName) {
+    const all = this.store.get('printerSettings', DEFAULT_CONFIG.printerSettings);
+    return { ...DEFAULT_CONFIG.thermalDefaults, ...all[systemName] };
+  }
+
+  /**
+   * Update settings of a local printer
+   * @param {string} systemName
+   * @param {Object} settings - Partial { characterSet, transliterate, backupPrinter... }
+   */
+  setPrinterSettings(systemName, settings) {
+    const all = this.store.get('printerSettings', DEFAULT_CONFIG.printerSettings);
+    this.store.set('printerSettings', {
+      ...all,
+      [systemName]: { ...all[systemName], ...settings }
+    });
+  }
+
+  /**
+   * Get manual overrides of a detected printer
+   * @param {string} systemName
+   * @returns {Object} Partial { type, interface, paperSizes, labelWidthMm, labelHeightMm, dpi, thermalWidth }
+   */
+  getPrinterOverrides(systemName) {
+    const all = this.store.get('printerOverrides', DEFAULT_CONFIG.printerOverrides);
+    return { ...all[systemName] };
+  }
+
+  /**
+   * Replace the overrides of a printer (empty object removes them)
+   * @param {string} systemName
+   * @param {Object} overrides
+   */
+  setPrinterOverrides(systemName, overrides) {
+    const { [systemName]: _previous, ...others } = this.store.get('printerOverrides', DEFAULT_CONFIG.printerOverrides);
+    this.store.set('printerOverrides', Object.keys(overrides || {}).length > 0
+      ? { ...others, [systemName]: overrides }
+      : others);
+  }
+
+  /**
+   * Get user-defined network printers (socket://, lpd://, ipp:// URIs)
+   * @returns {Array<{name: string, displayName: string, uri: string, type: string|null}>}
+   */
+  getVirtualPrinters() {
+    return this.store.get('virtualPrinters', DEFAULT_CONFIG.virtualPrinters);
+  }
+
+  /**
+   * Add or replace a network printer (matched by name)
+   * @param {Object} virtualPrinter - { name, displayName, uri, type }
+   */
+  saveVirtualPrinter(virtualPrinter) {
+    const others = this.getVirtualPrinters().filter(p => p.name !== virtualPrinter.name);
+    this.store.set('virtualPrinters', [...others, virtualPrinter]);
+  }
+
+  /**
+   * Remove a network printer
+   * @param {string} name
+   * @returns {boolean} Whether it existed
+   */
+  removeVirtualPrinter(name) {
+    const all = this.getVirtualPrinters();
+    const others = all.filter(p => p.name !== name);
+    this.store.set('virtualPrinters', others);
+    return others.length !== all.length;
+  }
+
+  /**
+   * Get the rules resolving the printer of jobs without printerSystemName
+   * @returns {Array<Object>} Ordered rules (see PrinterRouter)
+   */
+  getRoutingRules() {
+    return this.store.get('routingRules', DEFAULT_CONFIG.routingRules);
+  }
+
+  /**
+   * Replace the routing rules
+   * @param {Array<Object>} rules - Ordered rules (see PrinterRouter)
+   */
+  setRoutingRules(rules) {
+    this.store.set('routingRules', rules);
+  }
+
+  /**
+   * Get the stations (named groups of printers)
+   * @returns {Array<Object>} { name, displayName, printers, balancing }
+   */
+  getStations() {
+    return this.store.get('stations', DEFAULT_CONFIG.stations);
+  }
+
+  /**
+   * Replace the stations
+   * @param {Array<Object>} stations
+   */
+  setStations(stations) {
+    this.store.set('stations', stations);
+  }
+
+  /**
+   * Get network printer discovery settings
+   * @returns {{subnet: string|null, scanPort: number, timeout: number}}
+   */
+  getNetworkDiscoveryConfig() {
+    return { ...DEFAULT_CONFIG.networkDiscovery, ...this.store.get('networkDiscovery', {}) };
+  }
+
+  /**
+   * Update network printer discovery settings
+   * @param {Object} settings - Partial { subnet, scanPort, timeout }
+   */
+  setNetworkDiscoveryConfig(settings) {
+    this.store.set('networkDiscovery', { ...this.getNetworkDiscoveryConfig(), ...settings });
+  }
+
+  /**
+   * Get printer health monitoring settings
+   * @returns {{enabled: boolean, interval: number, debounce: number}}
+   */
+  getPrinterHealthConfig() {
+    return { ...DEFAULT_CONFIG.printerHealth, ...this.store.get('printerHealth', {}) };
+  }
+
+  /**
+   * Update printer health monitoring settings
+   * @param {Object} settings - Partial { enabled, interval, debounce }
+   */
+  setPrinterHealthConfig(settings) {
+    this.store.set('printerHealth', { ...this.getPrinterHealthConfig(), ...settings });
+  }
+
+  /**
+   * Get printer hot-plug watching settings
+   * @returns {{enabled: boolean, interval: number}}
+   */
+  getPrinterWatchConfig() {
+    return { ...DEFAULT_CONFIG.printerWatch, ...this.store.get('printerWatch', {}) };
+  }
+
+  /**
+   * Update printer hot-plug watching settings
+   * @param {Object} settings - Partial { enabled, interval }
+   */
+  setPrinterWatchConfig(settings) {
+    this.store.set('printerWatch', { ...this.getPrinterWatchConfig(), ...settings });
+  }
+
+  /**
+   * Get backup printer failover settings
+   * @returns {{enabled: boolean, afterFailures: number, onOffline: boolean}}
+   */
+  getFailoverConfig() {
+    return { ...DEFAULT_CONFIG.failover, ...this.store.get('failover', {}) };
+  }
+
+  /**
+   * Update backup printer failover settings
+   * @param {Object} settings - Partial { enabled, afterFailures, onOffline }
+   */
+  setFailoverConfig(settings) {
+    this.store.set('failover', { ...this.getFailoverConfig(), ...settings });
+  }
+
+  /**
+   * Get document locale preferences of the logged-in user / tenant
+   * (same preferences as the UI language)
+   * @returns {{locale: string, currency: string, timeZone: string|undefined}}
+   */
+  getDocumentLocale() {
+    const user = this.getUser() || {};
+    const prefs = user.preferences || {};
+    const tenant = user.tenant || {};
+    return {
+      locale: prefs.locale || prefs.language || tenant.locale || tenant.language || DEFAULT_CONFIG.documentLocale.locale,
+      currency: prefs.currency || tenant.currency || DEFAULT_CONFIG.documentLocale.currency,
+      timeZone: prefs.timezone || tenant.timezone || undefined
+    };
+  }
+
   /**
    * Get all configuration
    * @returns {Object}
@@ -235,6 +485,17 @@ class ConfigManager {
       heartbeatInterval: this.getHeartbeatInterval(),
       autoRegister: this.getAutoRegister(),
       autoLaunch: this.getAutoLaunch(),
+      localApi: this.getLocalApiConfig(),
+      cashDrawer: this.getCashDrawerConfig(),
+      printerSettings: this.store.get('printerSettings', DEFAULT_CONFIG.printerSettings),
+      printerOverrides: this.store.get('printerOverrides', DEFAULT_CONFIG.printerOverrides),
+      virtualPrinters: this.getVirtualPrinters(),
+      networkDiscovery: this.getNetworkDiscoveryConfig(),
+      routingRules: this.getRoutingRules(),
+      stations: this.getStations(),
+      printerHealth: this.getPrinterHealthConfig(),
+      printerWatch: this.getPrinterWatchConfig(),
+      failover: this.getFailoverConfig(),
       isAuthenticated: this.isAuthenticated()
     };
   }
@@ -7,16 +7,28 @@
  * - System metrics tracking (uptime, success rate, throughput)
  * - Parallel job processing per printer
  * - Structured event emissions for observability
+ * - Persistent status outbox replayed on reconnect
  */
 
 const EventEmitter = require('events');
 const path = require('path');
 const PrinterDetector = require('./printerDetector');
+const NetworkPrinter = require('./networkPrinter');
+const PrinterDiscovery = require('./printerDiscovery');
 const SocketClient = require('./socketClient');
 const PrintExecutor = require('./printExecutor');
 const JobQueue = require('./jobQueue');
 
 const SpoolerMonitor = require('./spoolerMonitor');
+const PrinterHealthMonitor = require('./printerHealthMonitor');
+const PrinterWatcher = require('./printerWatcher');
+const PrinterStatus = require('./printerStatus');
+const PrinterRouter = require('./printerRouter');
+const LocalApiServer = require('./localApiServer');
+const StatusOutbox = require('./statusOutbox');
+const ThermalCharset = require('./thermalCharset');
+const LabelCompiler = require('./labelCompiler');
+const LabelSheet = require('./labelSheet');
 
 class PrintClientCore extends EventEmitter {
   constructor(config = {}) {
@@ -36,15 +48,38 @@ class PrintClientCore extends EventEmitter {
       apiKey: config.apiKey || this.configManager.getApiKey(),
       token: config.token || this.configManager.getToken(),
       heartbeatInterval: config.heartbeatInterval || this.configManager.getHeartbeatInterval(),
-      autoRegister: config.autoRegister !== undefined ? config.autoRegister : this.configManager.getAutoRegister()
+      autoRegister: config.autoRegister !== undefined ? config.autoRegister : this.configManager.getAutoRegister(),
+      localApi: { ...this.configManager.getLocalApiConfig(), ...config.localApi }
     };
 
-    this.detector = new PrinterDetector();
-    this.executor = new PrintExecutor();
+    this.detector = new PrinterDetector({
+      getOverrides: (systemName) => this.configManager.getPrinterOverrides(systemName),
+      getVirtualPrinters: () => this.configManager.getVirtualPrinters()
+    });
+    this.router = new PrinterRouter({
+      getRules: () => this.configManager.getRoutingRules(),
+      getPrinters: () => this.detectedPrinters,
+      getStations: () => this.configManager.getStations(),
+      getLoad: (systemName) => this.jobQueue.getLoad(systemName)
+    });
+    this.discovery = new PrinterDiscovery({
+      detectType: (printer) => this.detector.detectPrinterType(printer)
+    });
+    this.executor = new PrintExecutor({
+      tenantId: this.config.tenantId,
+      getPrinterSettings: (systemName) => this.configManager.getPrinterSettings(systemName),
+      getLocaleDefaults: () => this.configManager.getDocumentLocale(),
+      getDefaultDrawerPin: () => this.configManager.getCashDrawerConfig().defaultPin,
+      onProgress: (job, progress) => this.emit('job-progress', { id: job.id, job, ...progress })
+    });
     this.spoolerMonitor = new SpoolerMonitor({ logger: this });
+    this.healthMonitor = null;
+    this.printerWatcher = null;
     this.socket = null;
+    this.localApi = null;
     this.detectedPrinters = [];
     this.registeredPrinters = new Map();
+    this.removedPrinters = new Map(); // systemName -> removed printer not yet reported to the backend
     this.heartbeatInterval = null;
     this.connected = false;
 
@@ -66,6 +101,21 @@ class PrintClientCore extends EventEmitter {
     );
     this.jobQueue = new JobQueue({ storePath });
     this.setupQueueListeners();
+
+    // Status outbox — job status transitions survive disconnections
+    const outboxPath = config.outboxStorePath || path.join(path.dirname(storePath), 'status-outbox.json');
+    this.statusOutbox = new StatusOutbox({ storePath: outboxPath });
+    this.statusOutbox.on('error', (error) => this.emit('error', error));
+    this.statusOutbox.on('dropped', (entries) => {
+      this.emit('warning', `Status outbox full — dropped ${entries.length} oldest status update(s)`);
+    });
+    this.statusOutbox.on('rejected', (entry, error) => {
+      this.emit('warning', `Job #${entry.jobId}: status '${entry.status}' rejected by backend: ${error.message}`);
+    });
+    this.statusOutbox.on('unacknowledged', (entry) => {
+      this.socket?.forgetStatus(entry.jobId, entry.status);
+      this.emit('warning', `Job #${entry.jobId}: status '${entry.status}' never acknowledged — given up so later updates are delivered`);
+    });
   }
 
   /**
@@ -91,6 +141,13 @@ class PrintClientCore extends EventEmitter {
     // Start job queue timers (works even without backend)
     this.jobQueue.startRetryTimer();
 
+    // Printer status polling and hot-plug detection (work even without backend)
+    this._startHealthMonitor();
+    this._startPrinterWatcher();
+
+    // Local HTTP API (works even without backend)
+    await this._startLocalApi();
+
     // Step 2: Connect to backend
     try {
       this.socket = new SocketClient({
@@ -113,7 +170,8 @@ class PrintClientCore extends EventEmitter {
         await this._registerAllPrinters();
       }
 
-      // Step 4: Sync pending jobs from server
+      // Step 4: Deliver status updates recorded while offline, then sync pending jobs
+      await this._flushStatusOutbox();
       await this._syncPendingJobs();
 
       // Step 5: Start heartbeat
@@ -126,28 +184,271 @@ class PrintClientCore extends EventEmitter {
     }
   }
 
+  /**
+   * Start the local HTTP API if enabled
+   * @private
+   */
+  async _startLocalApi() {
+    const { enabled, host, port, token } = this.config.localApi;
+    if (!enabled || this.localApi) return;
+
+    this.localApi = new LocalApiServer({ core: this, host, port, token });
+    this.localApi.on('error', (error) => this.emit('error', new Error(`Local API: ${error.message}`)));
+    this.localApi.on('job-submitted', (job) => this.emit('info', `Job #${job.id} submitted via local API`));
+
+    try {
+      await this.localApi.start();
+      this.emit('info', `Local API listening on ${this.localApi.getUrl()}`);
+    } catch (error) {
+      this.localApi = null;
+      this.emit('warning', error.message);
+    }
+  }
+
+  /**
+   * Start polling printer status if enabled
+   * @private
+   */
+  _startHealthMonitor() {
+    const { enabled, interval, debounce } = this.configManager.getPrinterHealthConfig();
+    if (!enabled || this.healthMonitor) return;
+
+    this.healthMonitor = new PrinterHealthMonitor({
+      getPrinters: () => this.detectedPrinters,
+      interval,
+      debounce
+    });
+    this.healthMonitor.on('error', (error) => this.emit('error', new Error(`Printer health: ${error.message}`)));
+    this.healthMonitor.on('change', (printer, health, previous) => this._onPrinterStatusChanged(printer, health, previous));
+    this.healthMonitor.on('settled', (printer, health) => this._reportPrinterStatus(printer.systemName, health));
+    this.healthMonitor.start();
+  }
+
+  /**
+   * Start watching for printers plugged in / removed if enabled
+   * @private
+   */
+  _startPrinterWatcher() {
+    const { enabled, interval } = this.configManager.getPrinterWatchConfig();
+    if (!enabled || this.printerWatcher) return;
+
+    this.printerWatcher = new PrinterWatcher({
+      detector: this.detector,
+      getPrinters: () => this.detectedPrinters,
+      interval
+    });
+    this.printerWatcher.on('error', (error) => this.emit('error', new Error(`Printer detection failed: ${error.message}`)));
+    this.printerWatcher.on('changed', (change) => this._onPrintersChanged(change));
+    this.printerWatcher.start();
+  }
+
+  /**
+   * Register printers plugged in, unregister printers removed. Printers still
+   * present keep their current object (backend id, status, socket cache).
+   * @private
+   */
+  async _onPrintersChanged({ printers, added, removed }) {
+    const current = new Map(this.detectedPrinters.map(p => [p.systemName, p]));
+    this.detectedPrinters = printers.map(p => current.get(p.systemName) || p);
+
+    for (const printer of removed) {
+      this.emit('info', `Printer removed: ${printer.displayName}`);
+      await this._unregisterPrinter(printer);
+    }
+
+    for (const printer of added) {
+      this.emit('info', `Printer connected: ${printer.displayName}`);
+      this.removedPrinters.delete(printer.systemName);
+      if (this.connected && this.socket && this.config.autoRegister) {
+        await this._registerPrinter(printer);
+      }
+    }
+
+    // Station members now have a backend id
+    const stationMembers = new Set(this.configManager.getStations().flatMap(s => s.printers));
+    if (this.connected && this.socket && added.some(p => stationMembers.has(p.systemName))) {
+      await this._registerStations();
+    }
+
+    this.emit('printers-updated', this.detectedPrinters);
+  }
+
+  /**
+   * Forget a removed printer and mark it offline on the backend, so jobs are
+   * no longer routed to it. Reported on reconnect when offline.
+   * @private
+   */
+  async _unregisterPrinter(printer) {
+    const { systemName } = printer;
+    this.registeredPrinters.delete(systemName);
+    this._failoverQueuedJobs(printer, 'removed');
+    if (this.healthMonitor) this.healthMonitor.forget(systemName);
+    if (this.socket) this.socket.forgetPrinter(systemName);
+    if (!printer.id) return;
+
+    this.removedPrinters.set(systemName, printer);
+    if (!this.socket || !this.connected) return;
+
+    try {
+      await this.socket.updatePrinterStatus(printer.id, 'offline', {
+        reasons: ['not-found'],
+        message: 'Printer removed',
+        unregistered: true
+      });
+      this.removedPrinters.delete(systemName);
+    } catch (error) {
+      this.emit('warning', `Failed to unregister printer ${printer.displayName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * After a reconnect: report printers removed and register printers plugged
+   * in while offline
+   * @private
+   */
+  async _syncPrinterRegistrations() {
+    for (const printer of [...this.removedPrinters.values()]) {
+      await this._unregisterPrinter(printer);
+    }
+
+    const unregistered = this.detectedPrinters.filter(p => !this.registeredPrinters.has(p.systemName));
+    if (unregistered.length === 0 || !this.config.autoRegister) return;
+
+    for (const printer of unregistered) {
+      await this._registerPrinter(printer);
+    }
+    await this._registerStations();
+    this.emit('printers-updated', this.detectedPrinters);
+  }
+
+  /**
+   * Keep the printer metadata current (it is also what re-registration sends)
+   * @private
+   */
+  _onPrinterStatusChanged(printer, health, previous) {
+    const current = this.detectedPrinters.find(p => p.systemName === printer.systemName) || printer;
+    current.metadata.status = health.status;
+    current.metadata.statusReasons = health.reasons;
+    current.metadata.statusMessage = health.message;
+
+    if (health.status === 'offline') this._failoverQueuedJobs(current, 'offline');
+
+    this.emit('printer-status-changed', {
+      systemName: current.systemName,
+      displayName: current.displayName,
+      status: health.status,
+      reasons: health.reasons,
+      message: health.message,
+      previous: previous.status || null
+    });
+  }
+
+  /**
+   * Report a printer status to the backend, so jobs are no longer routed to
+   * a printer that is offline or out of paper. Not queued while offline:
+   * re-registration on reconnect carries the current status.
+   * @private
+   */
+  async _reportPrinterStatus(systemName, health) {
+    const printer = this.detectedPrinters.find(p => p.systemName === systemName);
+    if (!printer?.id || !this.socket || !this.connected) return;
+
+    try {
+      await this.socket.updatePrinterStatus(printer.id, health.status, {
+        reasons: health.reasons,
+        message: health.message
+      });
+    } catch (error) {
+      this.emit('warning', `Failed to report status of printer ${printer.displayName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Report a job status to the backend.
+   * The transition is recorded in the outbox first, so it is replayed after
+   * a reconnect if the backend cannot be reached right now.
+   * Jobs submitted locally are unknown to the backend and are not reported.
+   * @private
+   */
+  _reportJobStatus(job, status, metadata = {}) {
+    if (!job || job.source === 'local') return Promise.resolve();
+    this.statusOutbox.add(job.id, status, metadata);
+    return this._flushStatusOutbox();
+  }
+
+  /**
+   * Deliver recorded status updates in order
+   * @private
+   */
+  async _flushStatusOutbox() {
+    if (!this.socket || !this.connected) return;
+
+    const delivered = await this.statusOutbox.flush(
+      (entry) => this.socket.updateJobStatus(entry.jobId, entry.status, entry.metadata)
+    );
+
+    if (delivered > 0 && this.statusOutbox.size() === 0) {
+      this.emit('status-outbox-flushed', { delivered });
+    }
+  }
+
   /**
    * Register all detected printers with backend
    * @private
    */
   async _registerAllPrinters() {
     for (const printer of this.detectedPrinters) {
+      await this._registerPrinter(printer);
+    }
+    await this._registerStations();
+    // Re-emit updated printers with backend IDs
+    this.emit('printers-updated', this.detectedPrinters);
+  }
+
+  /**
+   * Register stations with backend, with the backend ids of their printers
+   * @private
+   */
+  async _registerStations() {
+    for (const station of this.configManager.getStations()) {
       try {
-        const result = await this.socket.registerPrinter(printer);
-        // Merge backend data (id, isPrimary) into detected printer
-        const backendPrinter = result?.printer || result;
-        if (backendPrinter?.id) {
-          printer.id = backendPrinter.id;
-          printer.isPrimary = backendPrinter.isPrimary || false;
-        }
-        this.registeredPrinters.set(printer.systemName, printer);
-        this.emit('printer-registered', printer);
+        await this.socket.registerStation({
+          ...station,
+          printers: station.printers.map(systemName => ({
+            systemName,
+            printerId: this._findPrinter(systemName)?.id || null
+          }))
+        });
       } catch (error) {
-        this.emit('error', new Error(`Failed to register printer ${printer.displayName}: ${error.message}`));
+        this.emit('warning', `Failed to register station ${station.displayName}: ${error.message}`);
       }
     }
-    // Re-emit updated printers with backend IDs
-    this.emit('printers-updated', this.detectedPrinters);
+  }
+
+  /**
+   * Register a printer with backend
+   * @private
+   */
+  async _registerPrinter(printer) {
+    try {
+      const result = await this.socket.registerPrinter(printer);
+      // Merge backend data (id, isPrimary) into detected printer
+      const backendPrinter = result?.printer || result;
+      if (backendPrinter?.id) {
+        printer.id = backendPrinter.id;
+        printer.isPrimary = backendPrinter.isPrimary || false;
+      }
+      this.registeredPrinters.set(printer.systemName, printer);
+      this.emit('printer-registered', printer);
+    } catch (error) {
+      // Preserve existing registration data
+      const existing = this.registeredPrinters.get(printer.systemName);
+      if (existing?.id) {
+        printer.id = existing.id;
+        printer.isPrimary = existing.isPrimary || false;
+      }
+      this.emit('error', new Error(`Failed to register printer ${printer.displayName}: ${error.message}`));
+    }
   }
 
   /**
@@ -164,7 +465,7 @@ class PrintClientCore extends EventEmitter {
       if (Array.isArray(jobs) && jobs.length > 0) {
         let synced = 0;
         for (const job of jobs) {
-          const enqueued = this.jobQueue.enqueue(job);
+          const enqueued = this._enqueueJob(job);
           if (enqueued) {
             synced++;
             this.metrics.jobsReceived++;
@@ -185,22 +486,29 @@ class PrintClientCore extends EventEmitter {
    * Setup queue event listeners and execute callback
    */
   setupQueueListeners() {
-    this.jobQueue.setExecuteCallback(async (job) => {
-      const printer = this.registeredPrinters.get(job.printerSystemName)
-        || this.detectedPrinters.find(p => p.systemName === job.printerSystemName);
+    this.jobQueue.setExecuteCallback(async (job, entry) => {
+      const printerSystemName = entry?.printerSystemName || job.printerSystemName;
+      const printer = this._findPrinter(printerSystemName);
 
       if (!printer) {
-        throw new Error(`Printer not found: ${job.printerSystemName}`);
+        throw new Error(`Printer not found: ${printerSystemName}`);
       }
 
-      // Update backend: job sent to printer
-      if (this.socket && this.connected) {
-        this.socket.updateJobStatus(job.id, 'sent').catch(() => {});
-      }
+      // Update backend: job sent to printer (the actual one when routed locally or rerouted)
+      const rerouted = printerSystemName !== job.printerSystemName;
+      this._reportJobStatus(job, 'sent', !rerouted && !job.routing ? {} : {
+        printerSystemName,
+        printerId: printer.id || null,
+        ...(job.routing && { routing: job.routing }),
+        ...(rerouted && { reroutedFrom: job.printerSystemName, reroutes: entry.reroutes })
+      });
 
       // Execute print
       const result = await this.executor.executePrintJob(job, printer);
       const osJobId = result?.osJobId || null;
+      for (const warning of result?.warnings || []) {
+        this.emit('warning', `Job #${job.id}: ${warning}`);
+      }
 
       // Monitor spooler for real status (with safety timeout)
       await new Promise((resolve) => {
@@ -211,24 +519,18 @@ class PrintClientCore extends EventEmitter {
         // SpoolerMonitor has its own 2min timeout, but this is a fallback
         const safetyTimer = setTimeout(() => {
           this.emit('warning', `Job #${job.id}: spooler monitor safety timeout — assuming completed`);
-          if (this.socket && this.connected) {
-            this.socket.updateJobStatus(job.id, 'completed', { message: 'Safety timeout' });
-          }
+          this._reportJobStatus(job, 'completed', { message: 'Safety timeout' });
           done();
         }, 150000); // 2.5 min (above spooler's 2min)
 
         const cancelMonitor = this.spoolerMonitor.monitor(printer.systemName, osJobId, (status, details) => {
           if (status === 'completed') {
             clearTimeout(safetyTimer);
-            if (this.socket && this.connected) {
-              this.socket.updateJobStatus(job.id, 'completed', details);
-            }
+            this._reportJobStatus(job, 'completed', details);
             done();
           } else if (status === 'failed') {
             clearTimeout(safetyTimer);
-            if (this.socket && this.connected) {
-              this.socket.updateJobStatus(job.id, 'failed', details);
-            }
+            this._reportJobStatus(job, 'failed', details);
             done();
           } else if (status === 'printing' && details?.hasError) {
             this.emit('warning', `Job #${job.id}: ${details.message}`);
@@ -238,7 +540,10 @@ class PrintClientCore extends EventEmitter {
     });
 
     // Relay queue events
-    this.jobQueue.on('job-queued', (entry) => this.emit('job-queued', entry));
+    this.jobQueue.on('job-queued', (entry) => {
+      this.emit('job-queued', entry);
+      this._failoverIfOffline(entry);
+    });
 
     this.jobQueue.on('job-processing', (entry) => this.emit('job-executing', entry.job));
 
@@ -249,33 +554,215 @@ class PrintClientCore extends EventEmitter {
 
     this.jobQueue.on('job-failed', (entry) => {
       this.metrics.jobsFailed++;
-      if (this.socket && this.connected) {
-        this.socket.updateJobStatus(entry.id, 'failed', entry.error).catch(() => {});
-      }
+      this._reportJobStatus(entry.job, 'failed', entry.error);
       this.emit('job-failed', entry);
     });
 
-    this.jobQueue.on('job-retrying', (entry) => this.emit('job-retrying', entry));
+    this.jobQueue.on('job-retrying', (entry) => {
+      this.emit('job-retrying', entry);
+      const { enabled, afterFailures } = this.configManager.getFailoverConfig();
+      if (enabled && entry.retries >= afterFailures) {
+        this._failover(entry, 'failures');
+      }
+    });
+
+    this.jobQueue.on('job-rerouted', (entry) => this.emit('job-rerouted', entry));
 
     this.jobQueue.on('job-expired', (entry) => {
-      if (this.socket && this.connected) {
-        this.socket.updateJobStatus(entry.id, 'expired', { reason: 'TTL exceeded' }).catch(() => {});
-      }
+      this._reportJobStatus(entry.job, 'expired', { reason: 'TTL exceeded' });
       this.emit('job-expired', entry);
     });
 
     this.jobQueue.on('job-deduplicated', (info) => this.emit('job-deduplicated', info));
 
     this.jobQueue.on('job-cancelled', (entry) => {
-      if (this.socket && this.connected) {
-        this.socket.updateJobStatus(entry.id, 'cancelled').catch(() => {});
-      }
+      this._reportJobStatus(entry.job, 'cancelled');
       this.emit('job-cancelled', entry);
     });
 
     this.jobQueue.on('error', (error) => this.emit('error', error));
   }
 
+  /**
+   * Enqueue a job, resolving its printer first when it names a role or no
+   * printer (see PrinterRouter). A job no printer can be found for is
+   * reported failed.
+   * @param {Object} job
+   * @returns {boolean} true if enqueued
+   * @private
+   */
+  _enqueueJob(job) {
+    try {
+      this._routeJob(job);
+    } catch (error) {
+      this.emit('error', new Error(`Job #${job.id}: ${error.message}`));
+      this._reportJobStatus(job, 'failed', { error: error.message });
+      return false;
+    }
+    return this.jobQueue.enqueue(job);
+  }
+
+  /**
+   * Set job.printerSystemName from its station or the routing rules when missing.
+   * job.routing records how it was resolved.
+   * @throws {Error} When no printer matches
+   * @private
+   */
+  _routeJob(job) {
+    if (job.printerSystemName) return job;
+
+    const { printer, rule, station } = this.router.resolve(job);
+    job.printerSystemName = printer.systemName;
+    job.routing = {
+      role: job.printerRole || null,
+      rule: rule ? (rule.name || rule.id) : null,
+      station: station ? station.name : null
+    };
+
+    const via = station ? ` (station ${station.displayName})` : (rule ? ` (rule ${job.routing.rule})` : '');
+    this.emit('info', `Job #${job.id} routed to ${printer.displayName}${via}`);
+    return job;
+  }
+
+  /**
+   * Get the rules resolving the printer of jobs without printerSystemName
+   * @returns {Array<Object>}
+   */
+  getRoutingRules() {
+    return this.configManager.getRoutingRules();
+  }
+
+  /**
+   * Replace the routing rules (validated, in order)
+   * @param {Array<Object>} rules
+   * @returns {Array<Object>} Saved rules
+   */
+  setRoutingRules(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Routing rules must be a list');
+    }
+    const normalized = rules.map(rule => PrinterRouter.validateRule(rule));
+    this.configManager.setRoutingRules(normalized);
+    return normalized;
+  }
+
+  /**
+   * Get the stations (named groups of printers jobs can target)
+   * @returns {Array<Object>}
+   */
+  getStations() {
+    return this.configManager.getStations();
+  }
+
+  /**
+   * Replace the stations (validated) and register them with the backend;
+   * stations no longer listed are unregistered
+   * @param {Array<Object>} stations - { name?, displayName, printers, balancing }
+   * @returns {Promise<Array<Object>>} Saved stations
+   */
+  async setStations(stations) {
+    if (!Array.isArray(stations)) {
+      throw new Error('Stations must be a list');
+    }
+    const normalized = stations.map(station => PrinterRouter.validateStation(station));
+    const duplicate = normalized.find((s, i) => normalized.findIndex(o => o.name === s.name) !== i);
+    if (duplicate) {
+      throw new Error(`Duplicate station: ${duplicate.displayName}`);
+    }
+
+    const removed = this.configManager.getStations().filter(s => !normalized.some(o => o.name === s.name));
+    this.configManager.setStations(normalized);
+
+    if (this.connected && this.socket) {
+      for (const station of removed) {
+        try {
+          await this.socket.unregisterStation(station.name);
+        } catch (error) {
+          this.emit('warning', `Failed to unregister station ${station.displayName}: ${error.message}`);
+        }
+      }
+      await this._registerStations();
+    }
+    return normalized;
+  }
+
+  /**
+   * Printer by system name (registered first: it carries the backend id)
+   * @private
+   */
+  _findPrinter(systemName) {
+    return this.registeredPrinters.get(systemName)
+      || this.detectedPrinters.find(p => p.systemName === systemName)
+      || null;
+  }
+
+  /**
+   * Reroute a queued job whose printer is offline or no longer installed
+   * @private
+   */
+  _failoverIfOffline(entry) {
+    const { enabled, onOffline } = this.configManager.getFailoverConfig();
+    if (!enabled || !onOffline) return;
+
+    const printer = this._findPrinter(entry.printerSystemName);
+    if (!printer || printer.metadata?.status === 'offline') {
+      this._failover(entry, printer ? 'offline' : 'not-found', printer);
+    }
+  }
+
+  /**
+   * Reroute all queued jobs of a printer that went offline or was removed
+   * @private
+   */
+  _failoverQueuedJobs(printer, reason) {
+    const { enabled, onOffline } = this.configManager.getFailoverConfig();
+    if (!enabled || !onOffline) return;
+
+    for (const entry of this.jobQueue.getQueuedJobs(printer.systemName)) {
+      this._failover(entry, reason, printer);
+    }
+  }
+
+  /**
+   * Move a queued job to a backup printer, if one is available
+   * @param {Object} entry - Queue entry
+   * @param {string} reason - 'offline', 'not-found', 'removed' or 'failures'
+   * @param {Object|null} [printer] - Printer the job is queued on
+   * @returns {boolean} true if rerouted
+   * @private
+   */
+  _failover(entry, reason, printer = this._findPrinter(entry.printerSystemName)) {
+    // Never back to a printer the job already left
+    const tried = new Set([entry.printerSystemName, ...(entry.reroutes || []).map(r => r.from)]);
+    const backup = this._findBackupPrinter(entry.printerSystemName, printer, tried);
+
+    if (!backup) {
+      this.emit('warning', `Job #${entry.id}: no backup printer available for ${entry.printerSystemName}`);
+      return false;
+    }
+    return this.jobQueue.reroute(entry.id, backup.systemName, reason);
+  }
+
+  /**
+   * Backup of a printer: the designated one (printer settings) if available,
+   * otherwise an available printer of the same type and label language,
+   * primary printers first
+   * @private
+   */
+  _findBackupPrinter(systemName, printer, exclude) {
+    const candidates = this.detectedPrinters.filter(p =>
+      !exclude.has(p.systemName) && PrinterStatus.isAvailable(p.metadata?.status));
+
+    const { backupPrinter } = this.configManager.getPrinterSettings(systemName);
+    const designated = candidates.find(p => p.systemName === backupPrinter);
+    if (designated || !printer) return designated || null;
+
+    return candidates
+      .filter(p => p.type === printer.type
+        && (p.capabilities?.labelLanguage || null) === (printer.capabilities?.labelLanguage || null))
+      .sort((a, b) => Number(b.isPrimary || false) - Number(a.isPrimary || false))[0] || null;
+  }
+
   /**
    * Setup socket event listeners
    */
@@ -307,6 +794,17 @@ class PrintClientCore extends EventEmitter {
       this.emit('connected');
       this.emit('info', `Reconnected (attempt #${this.metrics.reconnections})`);
 
+      // Replay status updates recorded while offline — before syncing, so the
+      // backend does not hand back jobs that already printed
+      const pendingUpdates = this.statusOutbox.size();
+      await this._flushStatusOutbox();
+      if (pendingUpdates > 0) {
+        this.emit('info', `Replayed ${pendingUpdates - this.statusOutbox.size()}/${pendingUpdates} offline status updates`);
+      }
+
+      // Catch up on printers plugged in / removed while offline
+      await this._syncPrinterRegistrations();
+
       // Sync pending jobs from backend
       await this._syncPendingJobs();
     });
@@ -315,7 +813,7 @@ class PrintClientCore extends EventEmitter {
     this.socket.on('new_print_job', (job) => {
       this.metrics.jobsReceived++;
       this.emit('job-received', job);
-      this.jobQueue.enqueue(job);
+      this._enqueueJob(job);
     });
 
     // Pending jobs pushed by server (on connect or broadcast)
@@ -324,7 +822,7 @@ class PrintClientCore extends EventEmitter {
       if (Array.isArray(jobs)) {
         let synced = 0;
         for (const job of jobs) {
-          if (this.jobQueue.enqueue(job)) synced++;
+          if (this._enqueueJob(job)) synced++;
         }
         if (synced > 0) {
           this.emit('info', `Received ${synced} pending jobs from server`);
@@ -332,6 +830,10 @@ class PrintClientCore extends EventEmitter {
       }
     });
 
+    this.socket.on('status_unacknowledged', (info) => {
+      this.emit('warning', `Job #${info.jobId}: status '${info.status}' not acknowledged after ${info.attempts} attempts`);
+    });
+
     this.socket.on('error', (error) => this.emit('error', error));
   }
 
@@ -345,6 +847,9 @@ class PrintClientCore extends EventEmitter {
       if (this.socket && this.connected) {
         this.socket.sendHeartbeat();
         this.emit('heartbeat-sent');
+
+        // Retry status updates left unacknowledged
+        this._flushStatusOutbox();
       }
     }, this.config.heartbeatInterval);
   }
@@ -362,10 +867,29 @@ class PrintClientCore extends EventEmitter {
       this.spoolerMonitor.destroy();
     }
 
+    if (this.healthMonitor) {
+      this.healthMonitor.stop();
+      this.healthMonitor = null;
+    }
+
+    if (this.printerWatcher) {
+      this.printerWatcher.stop();
+      this.printerWatcher = null;
+    }
+
     if (this.jobQueue) {
       this.jobQueue.destroy();
     }
 
+    if (this.statusOutbox) {
+      this.statusOutbox.destroy();
+    }
+
+    if (this.localApi) {
+      this.localApi.stop();
+      this.localApi = null;
+    }
+
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
@@ -410,6 +934,15 @@ class PrintClientCore extends EventEmitter {
     return this.jobQueue.getRecentJobs(limit);
   }
 
+  /**
+   * Get a single job entry by ID
+   * @param {string} jobId
+   * @returns {Object|null}
+   */
+  getJob(jobId) {
+    return this.jobQueue.getRecentJobs(Infinity).find(entry => String(entry.id) === String(jobId)) || null;
+  }
+
   /**
    * Get system metrics
    */
@@ -425,6 +958,8 @@ class PrintClientCore extends EventEmitter {
       uptimeFormatted: this._formatUptime(uptime),
       successRate: parseFloat(successRate),
       connectionState: this.getConnectionState(),
+      pendingStatusUpdates: this.statusOutbox.size(),
+      statusAcks: this.socket?.getStatusAckStats() || null,
       queueStats
     };
   }
@@ -445,6 +980,26 @@ class PrintClientCore extends EventEmitter {
     return `${seconds}s`;
   }
 
+  /**
+   * Local HTTP API address and token, for the local apps that call it
+   * @returns {{enabled: boolean, running: boolean, url: string, token: string}}
+   */
+  getLocalApiInfo() {
+    const { enabled, host, port, token } = this.config.localApi;
+    return { enabled, running: !!this.localApi, url: `http://${host}:${port}`, token };
+  }
+
+  /**
+   * Replace the local HTTP API token — requests with the old one are refused from now on
+   * @returns {string} New token
+   */
+  regenerateLocalApiToken() {
+    const token = this.configManager.regenerateLocalApiToken();
+    this.config.localApi = { ...this.config.localApi, token };
+    if (this.localApi) this.localApi.token = token;
+    return token;
+  }
+
   /**
    * Get configuration
    */
@@ -462,6 +1017,7 @@ class PrintClientCore extends EventEmitter {
       newConfig.tenantId !== this.config.tenantId;
 
     Object.assign(this.config, newConfig);
+    this.executor.tenantId = this.config.tenantId;
     this.emit('config-updated', this.config);
 
     if (needsRestart && this.connected) {
@@ -508,6 +1064,268 @@ class PrintClientCore extends EventEmitter {
     return this.jobQueue.cancelJob(jobId);
   }
 
+  /**
+   * Submit a job from a local source (HTTP API) — same shape as backend jobs.
+   * Local jobs are flagged with source 'local' and never reported to the backend.
+   * Their ids are prefixed with 'local-' so a caller id can never collide with a backend job.
+   * @param {Object} job - { id?, documentType, printerSystemName? | station? | printerRole?, tags?, content, options }
+   * @returns {Object} The enqueued job
+   */
+  submitLocalJob(job) {
+    if (!job || typeof job !== 'object' || Array.isArray(job)) {
+      throw new Error('Invalid job payload');
+    }
+    if (!job.documentType) {
+      throw new Error('documentType is required');
+    }
+    if (job.printerSystemName && !this.detectedPrinters.some(p => p.systemName === job.printerSystemName)) {
+      throw new Error(`Printer not found: ${job.printerSystemName}`);
+    }
+
+    const localJob = this._routeJob({
+      ...job,
+      id: `local-${job.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`}`,
+      content: job.content || {},
+      options: job.options || {},
+      source: 'local'
+    });
+
+    if (!this.jobQueue.enqueue(localJob)) {
+      throw new Error(`Job ${localJob.id} is already queued`);
+    }
+
+    this.metrics.jobsReceived++;
+    this.emit('job-received', localJob);
+    return localJob;
+  }
+
+  /**
+   * Open the cash drawer attached to a thermal printer.
+   * Goes through the job queue like any other job (urgent priority).
+   * @param {string} printerSystemName
+   * @param {number} [pin] - Drawer connector pin (2 or 5), defaults to the configured pin
+   * @returns {Object} The enqueued job
+   */
+  openCashDrawer(printerSystemName, pin) {
+    const printer = this.detectedPrinters.find(p => p.systemName === printerSystemName);
+    if (printer && !printer.capabilities?.cashDrawer) {
+      throw new Error(`Printer has no cash drawer port: ${printerSystemName}`);
+    }
+
+    return this.submitLocalJob({
+      id: `drawer-${Date.now()}`,
+      documentType: 'cash_drawer',
+      printerSystemName,
+      content: {},
+      options: { pin, priority: 'urgent' }
+    });
+  }
+
+  /**
+   * Get saved settings of a local printer
+   * @param {string} printerSystemName
+   * @returns {Object}
+   */
+  getPrinterSettings(printerSystemName) {
+    return this.configManager.getPrinterSettings(printerSystemName);
+  }
+
+  /**
+   * Save settings of a local printer (code page, transliteration, label language, backup)
+   * @param {string} printerSystemName
+   * @param {Object} settings - Partial { characterSet, transliterate, labelLanguage, dpi, labelSheet, backupPrinter }
+   * @returns {Object} Updated settings
+   */
+  setPrinterSettings(printerSystemName, settings = {}) {
+    if (!printerSystemName) {
+      throw new Error('printerSystemName is required');
+    }
+    if (settings.characterSet !== undefined) {
+      if (!ThermalCharset.isSupported(settings.characterSet)) {
+        throw new Error(`Unsupported character set: ${settings.characterSet}`);
+      }
+      // Some code pages are missing from STAR printers
+      const printerType = this.executor.detectThermalPrinterType(printerSystemName);
+      if (!ThermalCharset.isSupported(settings.characterSet, printerType)) {
+        throw new Error(`Character set ${settings.characterSet} is not available on ${printerType.toUpperCase()} printers (use ${ThermalCharset.supportedFor(printerType).join(', ')})`);
+      }
+    }
+    if (settings.labelLanguage && settings.labelLanguage !== 'html' && !LabelCompiler.isSupported(settings.labelLanguage)) {
+      throw new Error(`Unsupported label language: ${settings.labelLanguage}`);
+    }
+    if (settings.dpi !== undefined && ![203, 300, 600].includes(Number(settings.dpi))) {
+      throw new Error(`Unsupported printer resolution: ${settings.dpi} dpi`);
+    }
+    if (settings.labelSheet) {
+      new LabelSheet(settings.labelSheet); // throws on unknown preset / grid that doesn't fit
+    }
+    if (settings.backupPrinter === printerSystemName) {
+      throw new Error('A printer cannot be its own backup');
+    }
+
+    this.configManager.setPrinterSettings(printerSystemName, settings);
+    return this.getPrinterSettings(printerSystemName);
+  }
+
+  /**
+   * Get manual overrides of a detected printer
+   * @param {string} printerSystemName
+   * @returns {Object}
+   */
+  getPrinterOverrides(printerSystemName) {
+    return this.configManager.getPrinterOverrides(printerSystemName);
+  }
+
+  /**
+   * Correct what detection got wrong (type, interface, paper sizes, label size,
+   * resolution, thermal width), then re-detect and re-register printers.
+   * The code page is a printer setting (see setPrinterSettings), not an override
+   * @param {string} printerSystemName
+   * @param {Object} overrides - { type, interface, paperSizes, labelWidthMm, labelHeightMm,
+   *   dpi, thermalWidth } — empty/null values fall back to detection
+   * @returns {Promise<Object>} Saved overrides
+   */
+  async setPrinterOverrides(printerSystemName, overrides = {}) {
+    if (!printerSystemName) {
+      throw new Error('printerSystemName is required');
+    }
+
+    const cleaned = {};
+    const { type, interface: interfaceType, paperSizes, labelWidthMm, labelHeightMm, dpi, thermalWidth } = overrides;
+
+    if (type) {
+      if (!PrinterDetector.TYPES.includes(type)) throw new Error(`Unsupported printer type: ${type}`);
+      cleaned.type = type;
+    }
+    if (interfaceType) {
+      if (!PrinterDetector.INTERFACES.includes(interfaceType)) throw new Error(`Unsupported printer interface: ${interfaceType}`);
+      cleaned.interface = interfaceType;
+    }
+    if (paperSizes) {
+      const sizes = (Array.isArray(paperSizes) ? paperSizes : String(paperSizes).split(','))
+        .map(size => String(size).trim()).filter(Boolean);
+      if (sizes.length) cleaned.paperSizes = [...new Set(sizes)];
+    }
+    if (labelWidthMm || labelHeightMm) {
+      // The detector only applies a complete size
+      if (!labelWidthMm || !labelHeightMm) {
+        throw new Error('Label width and height must be set together');
+      }
+      const width = Number(labelWidthMm);
+      const height = Number(labelHeightMm);
+      if (!(width > 0 && width <= 300) || !(height > 0 && height <= 1000)) {
+        throw new Error('Label dimensions must be positive (width up to 300mm)');
+      }
+      cleaned.labelWidthMm = width;
+      cleaned.labelHeightMm = height;
+    }
+    if (dpi) {
+      if (![203, 300, 600].includes(Number(dpi))) throw new Error(`Unsupported printer resolution: ${dpi} dpi`);
+      cleaned.dpi = Number(dpi);
+    }
+    if (thermalWidth) {
+      if (![58, 80].includes(Number(thermalWidth))) throw new Error(`Unsupported thermal paper width: ${thermalWidth}mm (58 or 80)`);
+      cleaned.thermalWidth = Number(thermalWidth);
+    }
+
+    this.configManager.setPrinterOverrides(printerSystemName, cleaned);
+    await this.refreshPrinters();
+    return cleaned;
+  }
+
+  /**
+   * Get user-defined network printers
+   * @returns {Array<{name: string, displayName: string, uri: string, type: string|null}>}
+   */
+  getVirtualPrinters() {
+    return this.configManager.getVirtualPrinters();
+  }
+
+  /**
+   * Add (or update) a network printer printed to without an OS queue, then
+   * re-detect and register it with the backend like any detected printer
+   * @param {Object} virtualPrinter
+   * @param {string} virtualPrinter.uri - socket://host[:9100], lpd://host/queue, ipp(s)://host/path
+   * @param {string} [virtualPrinter.name] - System name, other characters than [A-Za-z0-9_-] become "_" (default: derived from the URI)
+   * @param {string} [virtualPrinter.displayName]
+   * @param {string} [virtualPrinter.type] - Printer type (default: detected from the name)
+   * @returns {Promise<Object>} Saved virtual printer
+   */
+  async saveVirtualPrinter({ uri, name, displayName, type } = {}) {
+    const { protocol, host, port } = NetworkPrinter.parse(String(uri || '').trim()); // throws on bad URIs
+    if (type && !PrinterDetector.TYPES.includes(type)) {
+      throw new Error(`Unsupported printer type: ${type}`);
+    }
+
+    const systemName = (String(name || '').trim() || `${protocol}_${host}_${port}`).replace(/[^\w-]/g, '_');
+    if (this.detectedPrinters.some(p => p.systemName === systemName && !p.metadata?.virtual)) {
+      throw new Error(`A system printer is already named ${systemName}`);
+    }
+
+    const virtualPrinter = {
+      name: systemName,
+      displayName: PrinterDiscovery.cleanName(displayName) || `${host} (${protocol})`,
+      uri: String(uri).trim(),
+      type: type || null
+    };
+    this.configManager.saveVirtualPrinter(virtualPrinter);
+    await this.refreshPrinters();
+    return virtualPrinter;
+  }
+
+  /**
+   * Remove a network printer
+   * @param {string} name - System name of the virtual printer
+   * @returns {Promise<void>}
+   */
+  async removeVirtualPrinter(name) {
+    if (!this.configManager.removeVirtualPrinter(name)) {
+      throw new Error(`Unknown network printer: ${name}`);
+    }
+    this.registeredPrinters.delete(name);
+    await this.refreshPrinters();
+  }
+
+  /**
+   * Look for network printers not installed in the OS (mDNS, plus a scan of
+   * the configured subnet), to add them as network printers
+   * @param {Object} [options]
+   * @param {string|null} [options.subnet] - CIDR to scan, saved for next time ('' or null: mDNS only)
+   * @returns {Promise<{printers: Array<Object>, warnings: string[]}>} See PrinterDiscovery.discover;
+   *   printers already added carry the name of their network printer (added)
+   */
+  async discoverNetworkPrinters({ subnet } = {}) {
+    if (subnet !== undefined) {
+      const cidr = String(subnet || '').trim() || null;
+      if (cidr) PrinterDiscovery.subnetHosts(cidr); // throws on invalid / too large subnets
+      this.configManager.setNetworkDiscoveryConfig({ subnet: cidr });
+    }
+
+    const settings = this.configManager.getNetworkDiscoveryConfig();
+    const result = await this.discovery.discover({
+      subnet: settings.subnet,
+      port: settings.scanPort,
+      timeout: settings.timeout
+    });
+
+    const added = new Map(this.configManager.getVirtualPrinters().map(p => [NetworkPrinter.parse(p.uri).host, p.name]));
+    for (const printer of result.printers) {
+      printer.added = added.get(printer.host) || null;
+    }
+
+    this.emit('info', `Network discovery: ${result.printers.length} printer(s) found`);
+    return result;
+  }
+
+  /**
+   * Check that a network printer answers, before adding it
+   * @param {string} uri - socket://, lpd://, ipp:// or ipps:// URI
+   * @returns {Promise<{online: boolean, state: string, reasons: string[], message: string|null}>}
+   */
+  probeNetworkPrinter(uri) {
+    return new NetworkPrinter(String(uri || '').trim(), { timeout: 5000 }).probe();
+  }
+
   /**
    * Send a test print job directly (no WebSocket needed)
    */
@@ -556,12 +1374,27 @@ class PrintClientCore extends EventEmitter {
           sku: 'RM-' + testId.slice(-4)
         },
         options: {}
+      },
+      charmap: {
+        id: testId,
+        documentType: 'receipt',
+        printerSystemName,
+        content: {
+          blocks: [
+            { type: 'text', text: 'RepairMind', align: 'center', bold: true },
+            { type: 'separator' },
+            { type: 'charmap' },
+            { type: 'feed', lines: 2 },
+            { type: 'cut' }
+          ]
+        },
+        options: {}
       }
     };
 
     const job = testJobs[type];
     if (!job) {
-      throw new Error(`Unknown test type: ${type}. Use: thermal, pdf, label`);
+      throw new Error(`Unknown test type: ${type}. Use: thermal, pdf, label, charmap`);
     }
 
     this.emit('job-received', job);
@@ -573,29 +1406,19 @@ class PrintClientCore extends EventEmitter {
    * Refresh printer list
    */
   async refreshPrinters() {
+    const previous = this.detectedPrinters;
     this.detectedPrinters = await this.detector.detectPrinters();
 
+    const present = new Set(this.detectedPrinters.map(p => p.systemName));
+    for (const printer of previous.filter(p => !present.has(p.systemName))) {
+      await this._unregisterPrinter(printer);
+    }
+
     if (this.connected && this.socket) {
       for (const printer of this.detectedPrinters) {
-        try {
-          const result = await this.socket.registerPrinter(printer);
-          const backendPrinter = result?.printer || result;
-          if (backendPrinter?.id) {
-            printer.id = backendPrinter.id;
-            printer.isPrimary = backendPrinter.isPrimary || false;
-          }
-          this.registeredPrinters.set(printer.systemName, printer);
-          this.emit('printer-registered', printer);
-        } catch (error) {
-          // Preserve existing registration data
-          const existing = this.registeredPrinters.get(printer.systemName);
-          if (existing?.id) {
-            printer.id = existing.id;
-            printer.isPrimary = existing.isPrimary || false;
-          }
-          this.emit('error', new Error(`Failed to register printer ${printer.displayName}: ${error.message}`));
-        }
+        await this._registerPrinter(printer);
       }
+      await this._registerStations();
     }
 
     this.emit('printers-updated', this.detectedPrinters);
@@ -28,7 +28,62 @@ const DEFAULT_CONFIG = {
   tenantId: null,
   apiKey: null,
   token: null,
-  user: null
+  user: null,
+  localApi: {
+    enabled: true,
+    host: '127.0.0.1',
+    port: 9180,
+    token: null
+  },
+  cashDrawer: {
+    allowFromUi: true,
+    allowedRoles: ['admin', 'manager', 'cashier'],
+    defaultPin: 2
+  },
+  // Per-printer settings keyed by systemName
+  printerSettings: {},
+  // Manual corrections of detected printers (type, interface, capabilities), keyed by systemName
+  printerOverrides: {},
+  // Network printers reached without an OS queue: { name, displayName, uri, type }
+  virtualPrinters: [],
+  // Printer resolution of jobs without printerSystemName (see PrinterRouter), tried in order
+  routingRules: [],
+  // Named groups of printers of this machine, targeted by jobs (job.station):
+  // { name, displayName, printers: [systemName], balancing: 'round-robin' | 'least-queued' }
+  stations: [],
+  // Discovery of network printers to add: mDNS always, subnet scan when set (CIDR)
+  networkDiscovery: {
+    subnet: null,
+    scanPort: 9100,
+    timeout: 3000
+  },
+  // Printer status polling; changes reach the backend once held for `debounce` ms
+  printerHealth: {
+    enabled: true,
+    interval: 30000,
+    debounce: 10000
+  },
+  // Printers plugged in / removed are picked up without a manual refresh
+  printerWatch: {
+    enabled: true,
+    interval: 5000
+  },
+  // Reroute queued jobs to a backup printer (printer settings: backupPrinter,
+  // otherwise an available printer of the same type)
+  failover: {
+    enabled: true,
+    afterFailures: 2,
+    onOffline: true
+  },
+  thermalDefaults: {
+    characterSet: 'PC437_USA',
+    transliterate: true
+  },
+  // Fallback when neither the job nor the user/tenant preferences set it
+  documentLocale: {
+    locale: 'fr-FR',
+    currency: 'EUR'
+  }
 };
 
 module.exports = {
@@ -0,0 +1,316 @@
+/**
+ * Document Locale
+ *
+ * Language, currency and date formatting for documents generated locally
+ * (PDF invoices/quotes and thermal receipts).
+ * - Locale and currency come from the job (options, then content), then
+ *   from the tenant/user preferences, then fr-FR / EUR
+ * - Numbers, amounts and dates are formatted with Intl
+ * - Fixed document wording (titles, column headers...) is translated here;
+ *   unknown languages fall back to English
+ */
+
+const LABELS = {
+  fr: {
+    titles: { invoice: 'FACTURE', quote: 'DEVIS', delivery_note: 'BON DE LIVRAISON', report: 'RAPPORT', ticket: 'BON DE RÉPARATION', receipt: 'REÇU' },
+    document: 'DOCUMENT',
+    number: 'N°',
+    client: 'Client',
+    phone: 'Tél',
+    date: 'Date',
+    description: 'Description',
+    quantity: 'Qté',
+    unitPrice: 'Prix',
+    amount: 'Total',
+    total: 'Total',
+    discount: 'Remise',
+    subtotal: 'Sous-total',
+    tax: 'TVA',
+    taxBase: 'Base HT',
+    totalExclTax: 'Total HT',
+    totalInclTax: 'Total TTC',
+    continued: 'suite',
+    page: 'Page',
+    thankYou: 'Merci de votre visite !'
+  },
+  en: {
+    titles: { invoice: 'INVOICE', quote: 'QUOTE', delivery_note: 'DELIVERY NOTE', report: 'REPORT', ticket: 'REPAIR TICKET', receipt: 'RECEIPT' },
+    document: 'DOCUMENT',
+    number: 'No.',
+    client: 'Customer',
+    phone: 'Phone',
+    date: 'Date',
+    description: 'Description',
+    quantity: 'Qty',
+    unitPrice: 'Price',
+    amount: 'Amount',
+    total: 'Total',
+    discount: 'Discount',
+    subtotal: 'Subtotal',
+    tax: 'VAT',
+    taxBase: 'Net amount',
+    totalExclTax: 'Total excl. VAT',
+    totalInclTax: 'Total incl. VAT',
+    continued: 'continued',
+    page: 'Page',
+    thankYou: 'Thank you for your visit!'
+  },
+  es: {
+    titles: { invoice: 'FACTURA', quote: 'PRESUPUESTO', delivery_note: 'ALBARÁN', report: 'INFORME', ticket: 'ORDEN DE REPARACIÓN', receipt: 'RECIBO' },
+    document: 'DOCUMENTO',
+    number: 'N.º',
+    client: 'Cliente',
+    phone: 'Tel.',
+    date: 'Fecha',
+    description: 'Descripción',
+    quantity: 'Cant.',
+    unitPrice: 'Precio',
+    amount: 'Importe',
+    total: 'Total',
+    discount: 'Descuento',
+    subtotal: 'Subtotal',
+    tax: 'IVA',
+    taxBase: 'Base imponible',
+    totalExclTax: 'Total sin IVA',
+    totalInclTax: 'Total con IVA',
+    continued: 'continuación',
+    page: 'Página',
+    thankYou: '¡Gracias por su visita!'
+  },
+  nl: {
+    titles: { invoice: 'FACTUUR', quote: 'OFFERTE', delivery_note: 'LEVERINGSBON', report: 'RAPPORT', ticket: 'REPARATIEBON', receipt: 'KASSABON' },
+    document: 'DOCUMENT',
+    number: 'Nr.',
+    client: 'Klant',
+    phone: 'Tel.',
+    date: 'Datum',
+    description: 'Omschrijving',
+    quantity: 'Aantal',
+    unitPrice: 'Prijs',
+    amount: 'Bedrag',
+    total: 'Totaal',
+    discount: 'Korting',
+    subtotal: 'Subtotaal',
+    tax: 'btw',
+    taxBase: 'Maatstaf',
+    totalExclTax: 'Totaal excl. btw',
+    totalInclTax: 'Totaal incl. btw',
+    continued: 'vervolg',
+    page: 'Pagina',
+    thankYou: 'Bedankt voor uw bezoek!'
+  },
+  de: {
+    titles: { invoice: 'RECHNUNG', quote: 'ANGEBOT', delivery_note: 'LIEFERSCHEIN', report: 'BERICHT', ticket: 'REPARATURAUFTRAG', receipt: 'QUITTUNG' },
+    document: 'DOKUMENT',
+    number: 'Nr.',
+    client: 'Kunde',
+    phone: 'Tel.',
+    date: 'Datum',
+    description: 'Beschreibung',
+    quantity: 'Menge',
+    unitPrice: 'Preis',
+    amount: 'Betrag',
+    total: 'Gesamt',
+    discount: 'Rabatt',
+    subtotal: 'Zwischensumme',
+    tax: 'MwSt.',
+    taxBase: 'Nettobetrag',
+    totalExclTax: 'Summe netto',
+    totalInclTax: 'Summe brutto',
+    continued: 'Fortsetzung',
+    page: 'Seite',
+    thankYou: 'Vielen Dank für Ihren Besuch!'
+  },
+  it: {
+    titles: { invoice: 'FATTURA', quote: 'PREVENTIVO', delivery_note: 'DOCUMENTO DI TRASPORTO', report: 'RAPPORTO', ticket: 'SCHEDA RIPARAZIONE', receipt: 'RICEVUTA' },
+    document: 'DOCUMENTO',
+    number: 'N.',
+    client: 'Cliente',
+    phone: 'Tel.',
+    date: 'Data',
+    description: 'Descrizione',
+    quantity: 'Qtà',
+    unitPrice: 'Prezzo',
+    amount: 'Importo',
+    total: 'Totale',
+    discount: 'Sconto',
+    subtotal: 'Subtotale',
+    tax: 'IVA',
+    taxBase: 'Imponibile',
+    totalExclTax: 'Totale imponibile',
+    totalInclTax: 'Totale IVA inclusa',
+    continued: 'segue',
+    page: 'Pagina',
+    thankYou: 'Grazie per la visita!'
+  },
+  pt: {
+    titles: { invoice: 'FATURA', quote: 'ORÇAMENTO', delivery_note: 'GUIA DE REMESSA', report: 'RELATÓRIO', ticket: 'ORDEM DE REPARAÇÃO', receipt: 'RECIBO' },
+    document: 'DOCUMENTO',
+    number: 'N.º',
+    client: 'Cliente',
+    phone: 'Tel.',
+    date: 'Data',
+    description: 'Descrição',
+    quantity: 'Qtd.',
+    unitPrice: 'Preço',
+    amount: 'Valor',
+    total: 'Total',
+    discount: 'Desconto',
+    subtotal: 'Subtotal',
+    tax: 'IVA',
+    taxBase: 'Base tributável',
+    totalExclTax: 'Total s/ IVA',
+    totalInclTax: 'Total c/ IVA',
+    continued: 'continuação',
+    page: 'Página',
+    thankYou: 'Obrigado pela sua visita!'
+  }
+};
+
+const DEFAULT_LOCALE = 'fr-FR';
+const DEFAULT_CURRENCY = 'EUR';
+
+class DocumentLocale {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.locale='fr-FR'] - BCP 47 locale (e.g. 'es-ES', 'nl-BE')
+   * @param {string} [options.currency='EUR'] - ISO 4217 currency code
+   * @param {string} [options.timeZone] - IANA time zone (system zone by default)
+   */
+  constructor({ locale = DEFAULT_LOCALE, currency = DEFAULT_CURRENCY, timeZone } = {}) {
+    try {
+      [this.locale] = Intl.getCanonicalLocales(locale);
+    } catch (_) {
+      throw new Error(`Invalid locale: ${locale}`);
+    }
+    this.currency = String(currency).toUpperCase();
+    this.timeZone = timeZone || undefined;
+    this.language = new Intl.Locale(this.locale).language;
+    this.labels = LABELS[this.language] || LABELS.en;
+
+    try {
+      this._currencyFormat = new Intl.NumberFormat(this.locale, { style: 'currency', currency: this.currency });
+      this._dateTimeFormat = new Intl.DateTimeFormat(this.locale, { dateStyle: 'short', timeStyle: 'short', timeZone: this.timeZone });
+      this._dateFormat = new Intl.DateTimeFormat(this.locale, { dateStyle: 'short', timeZone: this.timeZone });
+    } catch (error) {
+      throw new Error(`Invalid document locale settings: ${error.message}`);
+    }
+    this._numberFormats = new Map();
+  }
+
+  /**
+   * Resolve the locale of a job
+   * @param {Object} job - Print job
+   * @param {Object} [defaults] - Tenant/user preferences { locale, currency, timeZone }
+   * @returns {DocumentLocale}
+   */
+  static fromJob(job, defaults = {}) {
+    const pick = (key) => job?.options?.[key] || job?.content?.[key] || defaults[key] || undefined;
+    return new DocumentLocale({
+      locale: pick('locale'),
+      currency: pick('currency'),
+      timeZone: pick('timeZone')
+    });
+  }
+
+  /**
+   * Translated document wording
+   * @param {string} key - Label key (e.g. 'quantity', 'thankYou')
+   * @returns {string}
+   */
+  t(key) {
+    return this.labels[key] ?? LABELS.en[key] ?? key;
+  }
+
+  /**
+   * Document title for a document type
+   * @param {string} documentType
+   * @returns {string}
+   */
+  title(documentType) {
+    return this.labels.titles[documentType] || this.labels.document;
+  }
+
+  /**
+   * Format an amount with the currency (e.g. "12,50 €", "$12.50")
+   * @param {number} value
+   * @returns {string}
+   */
+  formatCurrency(value) {
+    return this._clean(this._currencyFormat.format(Number(value) || 0));
+  }
+
+  /**
+   * Number of decimals of the currency (2 for EUR, 0 for JPY)
+   * @returns {number}
+   */
+  get currencyDecimals() {
+    return this._currencyFormat.resolvedOptions().maximumFractionDigits;
+  }
+
+  /**
+   * Format a number (e.g. 1 234,5)
+   * @param {number} value
+   * @param {number} [decimals] - Fixed number of decimals
+   * @returns {string}
+   */
+  formatNumber(value, decimals) {
+    const key = decimals ?? 'auto';
+    if (!this._numberFormats.has(key)) {
+      this._numberFormats.set(key, new Intl.NumberFormat(this.locale, decimals === undefined
+        ? {}
+        : { minimumFractionDigits: decimals, maximumFractionDigits: decimals }));
+    }
+    return this._clean(this._numberFormats.get(key).format(Number(value) || 0));
+  }
+
+  /**
+   * Format an amount without the currency symbol, with the currency's decimals
+   * @param {number} value
+   * @returns {string}
+   */
+  formatAmount(value) {
+    return this.formatNumber(value, this.currencyDecimals);
+  }
+
+  /**
+   * Format a date (short style)
+   * @param {Date|string|number} [value=now] - Invalid dates are printed as given, null as ''
+   * @returns {string}
+   */
+  formatDate(value = new Date()) {
+    return this._formatDate(this._dateFormat, value);
+  }
+
+  /**
+   * Format a date and time (short style)
+   * @param {Date|string|number} [value=now] - Invalid dates are printed as given, null as ''
+   * @returns {string}
+   */
+  formatDateTime(value = new Date()) {
+    return this._formatDate(this._dateTimeFormat, value);
+  }
+
+  /**
+   * Backend dates may be null, '' or free text ("n/a"): new Date() would
+   * print 1970 or make Intl throw a RangeError, so keep them as given
+   * @private
+   */
+  _formatDate(format, value) {
+    if (value === null || value === '') return '';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return String(value);
+    return this._clean(format.format(date));
+  }
+
+  /**
+   * Intl uses narrow no-break spaces (fr: "1 234,50 €") that the PDF
+   * standard fonts and printer code pages lack — use a regular no-break space
+   * @private
+   */
+  _clean(text) {
+    return text.replace(/[\u202f\u2009]/g, '\u00a0');
+  }
+}
+
+module.exports = DocumentLocale;
@@ -39,7 +39,13 @@ class HeadlessPrintClient {
       apiKey: process.env.API_KEY,
       token: process.env.TOKEN,
       heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL) || 30000,
-      autoRegister: process.env.AUTO_REGISTER !== 'false'
+      autoRegister: process.env.AUTO_REGISTER !== 'false',
+      localApi: {
+        ...(process.env.LOCAL_API_ENABLED !== undefined && { enabled: process.env.LOCAL_API_ENABLED !== 'false' }),
+        ...(process.env.LOCAL_API_HOST && { host: process.env.LOCAL_API_HOST }),
+        ...(process.env.LOCAL_API_PORT && { port: parseInt(process.env.LOCAL_API_PORT) }),
+        ...(process.env.LOCAL_API_TOKEN && { token: process.env.LOCAL_API_TOKEN })
+      }
     };
 
     if (configManager) {
@@ -73,6 +79,15 @@ class HeadlessPrintClient {
       console.log(chalk.yellow('\n  No printers detected.'));
     }
 
+    // Local apps need the API token: say where it is, not what it is
+    const localApi = this.core.getLocalApiInfo();
+    if (localApi.running) {
+      console.log(chalk.green(`\n  Local API: ${localApi.url}`));
+      console.log(chalk.gray(process.env.LOCAL_API_TOKEN
+        ? '    Token: LOCAL_API_TOKEN'
+        : `    Token: "localApi.token" in ${configManager.store.path}`));
+    }
+
     console.log(chalk.gray('\n  Press Ctrl+C to exit\n'));
 
     // Periodic metrics display
@@ -122,10 +137,20 @@ class HeadlessPrintClient {
       console.log(chalk.yellow(`  [Job retrying] #${entry.id} (attempt ${entry.retries}/${entry.maxRetries})`));
     });
 
+    this.core.on('job-rerouted', (entry) => {
+      const { from, to, reason } = entry.reroutes[entry.reroutes.length - 1];
+      console.log(chalk.yellow(`  [Job rerouted] #${entry.id} ${from} → ${to} (${reason})`));
+    });
+
     this.core.on('job-expired', (entry) => {
       console.log(chalk.gray(`  [Job expired] #${entry.id}`));
     });
 
+    this.core.on('printer-status-changed', (change) => {
+      const color = ['idle', 'printing'].includes(change.status) ? chalk.green : chalk.yellow;
+      console.log(color(`  [Printer] ${change.displayName}: ${change.previous || 'unknown'} → ${change.status}`));
+    });
+
     this.core.on('info', (msg) => {
       console.log(chalk.cyan(`  [Info] ${msg}`));
     });
@@ -0,0 +1,470 @@
+/**
+ * Invoice Layout
+ *
+ * Lays out invoices, quotes and delivery notes generated locally with PDFKit,
+ * for tenants whose backend does not pre-render PDFs.
+ * - Automatic pagination: item rows never run off the page, the table
+ *   header is repeated on every page
+ * - Per-line tax rates and discounts, document-level discount
+ * - Totals (subtotal, discount, total excl./incl. tax) and a tax summary
+ *   table grouped by rate
+ * - Legal text and "Page x / y" on every page
+ *
+ * Content:
+ *   items           [{ description, quantity, price, taxRate, discount, discountAmount }]
+ *                   price is the unit price; taxRate and discount are percentages
+ *   pricesIncludeTax  true when item prices are tax inclusive (default: excluded)
+ *   discount        Document discount: amount, or { percent } / { amount, label }
+ *   legalText       Printed at the bottom of every page
+ *   companyVatNumber / clientVatNumber  Tax IDs shown in the header
+ *   footer          Printed once, after the totals
+ *
+ * The PDFDocument must be created with `bufferPages: true`.
+ */
+
+const DocumentLocale = require('./documentLocale');
+
+const FONT = 'Helvetica';
+const FONT_BOLD = 'Helvetica-Bold';
+const FONT_SIZE = 10;
+const ROW_PADDING = 4;
+
+class InvoiceLayout {
+  /**
+   * @param {PDFKit.PDFDocument} doc - PDF document (bufferPages: true)
+   * @param {Object} content - Document content
+   * @param {Object} [options]
+   * @param {string} [options.documentType] - invoice | quote | delivery_note | report | ticket
+   * @param {DocumentLocale} [options.locale]
+   */
+  constructor(doc, content, { documentType = 'invoice', locale = new DocumentLocale() } = {}) {
+    this.doc = doc;
+    this.content = content || {};
+    this.documentType = documentType;
+    this.locale = locale;
+    this.totals = InvoiceLayout.computeTotals(this.content, locale.currencyDecimals);
+  }
+
+  /**
+   * Compute line amounts, discounts, tax breakdown and totals
+   * @param {Object} content - Document content
+   * @param {number} [decimals=2] - Currency decimals used for rounding
+   * @returns {{lines: Array<Object>, subtotal: number, discount: number, taxes: Array<{rate: number, base: number, amount: number}>, totalExclTax: number, totalTax: number, total: number, hasTax: boolean, hasLineDiscount: boolean}}
+   */
+  static computeTotals(content, decimals = 2) {
+    const round = (value) => {
+      const factor = 10 ** decimals;
+      return Math.round((value + Number.EPSILON) * factor) / factor;
+    };
+    const inclusive = content.pricesIncludeTax === true;
+
+    const lines = (content.items || []).map((item) => {
+      const quantity = Number(item.quantity ?? 1);
+      const price = Number(item.price) || 0;
+      const gross = quantity * price;
+      const discount = item.discountAmount !== undefined
+        ? Number(item.discountAmount) || 0
+        : gross * (Number(item.discount) || 0) / 100;
+      return {
+        description: item.description || item.name || '',
+        quantity,
+        price,
+        taxRate: item.taxRate !== undefined && item.taxRate !== null ? Number(item.taxRate) : null,
+        discountPercent: item.discountAmount === undefined ? Number(item.discount) || 0 : null,
+        discount: round(discount),
+        net: round(gross - discount)
+      };
+    });
+
+    const subtotal = round(lines.reduce((sum, line) => sum + line.net, 0));
+
+    // Document discount, spread over the lines pro rata so tax bases stay right
+    const docDiscount = content.discount;
+    let discount = 0;
+    if (typeof docDiscount === 'number') {
+      discount = docDiscount;
+    } else if (docDiscount && typeof docDiscount === 'object') {
+      discount = docDiscount.amount !== undefined
+        ? Number(docDiscount.amount) || 0
+        : subtotal * (Number(docDiscount.percent) || 0) / 100;
+    }
+    discount = round(Math.min(Math.max(discount, 0), subtotal));
+    const ratio = subtotal > 0 ? (subtotal - discount) / subtotal : 1;
+
+    // Tax breakdown by rate
+    const byRate = new Map();
+    for (const line of lines) {
+      const rate = line.taxRate ?? 0;
+      byRate.set(rate, (byRate.get(rate) || 0) + line.net * ratio);
+    }
+
+    const taxes = [...byRate.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([rate, amount]) => {
+        const base = inclusive ? amount / (1 + rate / 100) : amount;
+        return { rate, base: round(base), amount: round(base * rate / 100) };
+      });
+
+    const totalExclTax = round(taxes.reduce((sum, t) => sum + t.base, 0));
+    const totalTax = round(taxes.reduce((sum, t) => sum + t.amount, 0));
+    const hasTax = lines.some(line => line.taxRate !== null);
+
+    let total = round(totalExclTax + totalTax);
+    if (lines.length === 0 && content.total !== undefined && content.total !== null) {
+      total = Number(content.total);
+    }
+
+    return {
+      lines,
+      subtotal,
+      discount,
+      taxes: hasTax ? taxes : [],
+      totalExclTax,
+      totalTax,
+      total,
+      hasTax,
+      hasLineDiscount: lines.some(line => line.discount !== 0)
+    };
+  }
+
+  /**
+   * Render the whole document
+   */
+  render() {
+    const doc = this.doc;
+    doc.font(FONT).fontSize(FONT_SIZE).fillColor('black');
+
+    this.reserveFooterSpace();
+    this.renderHeader();
+    if (this.totals.lines.length > 0) {
+      this.renderItemsTable();
+    }
+    this.renderTotals();
+    if (this.totals.taxes.length > 0) {
+      this.renderTaxSummary();
+    }
+    this.renderFooter();
+    this.renderPageFooters();
+  }
+
+  /**
+   * Bottom margin large enough for the legal text and the page number
+   */
+  reserveFooterSpace() {
+    const doc = this.doc;
+    this.baseBottomMargin = doc.page.margins.bottom;
+
+    doc.fontSize(7);
+    const legalHeight = this.content.legalText
+      ? doc.heightOfString(this.content.legalText, { width: this.contentWidth }) + 4
+      : 0;
+    doc.fontSize(FONT_SIZE);
+
+    this.footerHeight = legalHeight + 14;
+  }
+
+  /**
+   * Lowest y available for content on the current page
+   * @returns {number}
+   */
+  bottomLimit() {
+    return this.doc.page.height - this.baseBottomMargin - this.footerHeight;
+  }
+
+  get left() {
+    return this.doc.page.margins.left;
+  }
+
+  get contentWidth() {
+    return this.doc.page.width - this.doc.page.margins.left - this.doc.page.margins.right;
+  }
+
+  /**
+   * Title, number, date, company and client blocks (first page)
+   */
+  renderHeader() {
+    const { doc, content, locale } = this;
+
+    doc.font(FONT_BOLD).fontSize(20).text(locale.title(this.documentType), { align: 'center' });
+    doc.font(FONT).moveDown();
+
+    const number = content.invoiceNumber || content.quoteNumber || content.ticketNumber;
+    if (number) {
+      doc.fontSize(12).text(`${locale.t('number')} ${number}`, { align: 'right' });
+    }
+    doc.fontSize(FONT_SIZE).text(`${locale.t('date')}: ${locale.formatDate(content.date || Date.now())}`, { align: 'right' });
+    doc.moveDown();
+
+    const top = doc.y;
+    const half = this.contentWidth / 2 - 10;
+
+    // Company info (left)
+    if (content.companyName) {
+      doc.font(FONT_BOLD).text(content.companyName, this.left, top, { width: half });
+      doc.font(FONT);
+      if (content.companyAddress) doc.text(content.companyAddress, { width: half });
+      if (content.companyPhone) doc.text(`${locale.t('phone')}: ${content.companyPhone}`, { width: half });
+      if (content.companyVatNumber) doc.text(`${locale.t('tax')}: ${content.companyVatNumber}`, { width: half });
+    }
+    const companyBottom = doc.y;
+
+    // Client info (right)
+    const clientX = this.left + this.contentWidth / 2 + 10;
+    doc.y = top;
+    if (content.clientName) {
+      doc.text(`${locale.t('client')}:`, clientX, top, { width: half });
+      doc.font(FONT_BOLD).text(content.clientName, { width: half });
+      doc.font(FONT);
+      if (content.clientAddress) doc.text(content.clientAddress, { width: half });
+      if (content.clientPhone) doc.text(`${locale.t('phone')}: ${content.clientPhone}`, { width: half });
+      if (content.clientVatNumber) doc.text(`${locale.t('tax')}: ${content.clientVatNumber}`, { width: half });
+    }
+
+    doc.x = this.left;
+    doc.y = Math.max(companyBottom, doc.y);
+    doc.moveDown(2);
+  }
+
+  /**
+   * Column layout — optional columns only when used
+   * @returns {Array<{key: string, label: string, width: number, align: string, x: number}>}
+   */
+  getColumns() {
+    const { locale, totals } = this;
+    const columns = [
+      { key: 'description', label: locale.t('description'), width: 0, align: 'left' },
+      { key: 'quantity', label: locale.t('quantity'), width: 45, align: 'right' },
+      { key: 'price', label: locale.t('unitPrice'), width: 70, align: 'right' }
+    ];
+    if (totals.hasLineDiscount) {
+      columns.push({ key: 'discount', label: locale.t('discount'), width: 60, align: 'right' });
+    }
+    if (totals.hasTax) {
+      columns.push({ key: 'taxRate', label: locale.t('tax'), width: 45, align: 'right' });
+    }
+    columns.push({ key: 'net', label: locale.t('amount'), width: 75, align: 'right' });
+
+    const fixed = columns.reduce((sum, col) => sum + col.width, 0);
+    const gap = 8;
+    columns[0].width = this.contentWidth - fixed - gap * (columns.length - 1);
+
+    let x = this.left;
+    for (const col of columns) {
+      col.x = x;
+      x += col.width + gap;
+    }
+    return columns;
+  }
+
+  /**
+   * Cell text of an item row
+   * @private
+   */
+  _cellText(line, key) {
+    const { locale } = this;
+    switch (key) {
+      case 'description': return line.description;
+      case 'quantity': return locale.formatNumber(line.quantity);
+      case 'price': return locale.formatAmount(line.price);
+      case 'discount':
+        if (!line.discount) return '';
+        return line.discountPercent ? `${locale.formatNumber(line.discountPercent)} %` : locale.formatAmount(-line.discount);
+      case 'taxRate': return line.taxRate === null ? '' : `${locale.formatNumber(line.taxRate)} %`;
+      case 'net': return locale.formatAmount(line.net);
+      default: return '';
+    }
+  }
+
+  /**
+   * Item rows with page breaks and a repeated table header
+   */
+  renderItemsTable() {
+    const doc = this.doc;
+    const columns = this.getColumns();
+
+    this.renderTableHeader(columns);
+
+    for (const line of this.totals.lines) {
+      doc.font(FONT).fontSize(FONT_SIZE);
+      const rowHeight = Math.max(...columns.map(col =>
+        doc.heightOfString(this._cellText(line, col.key) || ' ', { width: col.width })
+      )) + ROW_PADDING * 2;
+
+      if (doc.y + rowHeight > this.bottomLimit()) {
+        this.addPage();
+        this.renderTableHeader(columns, true);
+      }
+
+      const y = doc.y + ROW_PADDING;
+      for (const col of columns) {
+        doc.text(this._cellText(line, col.key), col.x, y, { width: col.width, align: col.align });
+      }
+      doc.y = y + rowHeight - ROW_PADDING;
+    }
+
+    doc.moveTo(this.left, doc.y).lineTo(this.left + this.contentWidth, doc.y).lineWidth(0.5).stroke();
+    doc.x = this.left;
+    doc.moveDown();
+  }
+
+  /**
+   * Table header row
+   * @param {Array<Object>} columns
+   * @param {boolean} [continued] - Header repeated on a new page
+   */
+  renderTableHeader(columns, continued = false) {
+    const { doc, locale } = this;
+
+    if (continued) {
+      doc.font(FONT).fontSize(8).fillColor('gray')
+        .text(`${locale.title(this.documentType)} (${locale.t('continued')})`, this.left, doc.y);
+      doc.fillColor('black').moveDown(0.5);
+    }
+
+    doc.font(FONT_BOLD).fontSize(FONT_SIZE);
+    const y = doc.y;
+    const height = Math.max(...columns.map(col => doc.heightOfString(col.label, { width: col.width })));
+    for (const col of columns) {
+      doc.text(col.label, col.x, y, { width: col.width, align: col.align });
+    }
+    doc.y = y + height + 3;
+    doc.moveTo(this.left, doc.y).lineTo(this.left + this.contentWidth, doc.y).lineWidth(1).stroke();
+    doc.y += 2;
+    doc.font(FONT);
+  }
+
+  /**
+   * Subtotal, discount, total excl./incl. tax — right-aligned block
+   */
+  renderTotals() {
+    const { doc, locale, totals } = this;
+    if (totals.lines.length === 0 && (this.content.total === undefined || this.content.total === null)) {
+      return;
+    }
+
+    const rows = [];
+    if (totals.lines.length > 0) {
+      if (totals.discount > 0) {
+        rows.push([locale.t('subtotal'), locale.formatCurrency(totals.subtotal)]);
+        const label = this.content.discount?.label
+          || (this.content.discount?.percent ? `${locale.t('discount')} (${locale.formatNumber(this.content.discount.percent)} %)` : locale.t('discount'));
+        rows.push([label, locale.formatCurrency(-totals.discount)]);
+      }
+      if (totals.hasTax) {
+        rows.push([locale.t('totalExclTax'), locale.formatCurrency(totals.totalExclTax)]);
+        rows.push([locale.t('tax'), locale.formatCurrency(totals.totalTax)]);
+      }
+    }
+    const totalLabel = totals.hasTax ? locale.t('totalInclTax') : locale.t('total');
+
+    const labelWidth = 140;
+    const valueWidth = 90;
+    const x = this.left + this.contentWidth - labelWidth - valueWidth;
+    const needed = rows.length * 16 + 24;
+    if (doc.y + needed > this.bottomLimit()) this.addPage();
+
+    doc.font(FONT).fontSize(FONT_SIZE);
+    for (const [label, value] of rows) {
+      const y = doc.y;
+      doc.text(label, x, y, { width: labelWidth });
+      doc.text(value, x + labelWidth, y, { width: valueWidth, align: 'right' });
+      doc.y = y + 16;
+    }
+
+    const y = doc.y + 2;
+    doc.font(FONT_BOLD).fontSize(13);
+    doc.text(totalLabel, x, y, { width: labelWidth });
+    doc.text(locale.formatCurrency(totals.total), x + labelWidth, y, { width: valueWidth, align: 'right' });
+    doc.font(FONT).fontSize(FONT_SIZE);
+    doc.x = this.left;
+    doc.moveDown(2);
+  }
+
+  /**
+   * Tax summary table: rate / base / tax amount
+   */
+  renderTaxSummary() {
+    const { doc, locale, totals } = this;
+    const widths = [70, 100, 100];
+    const xs = [this.left, this.left + widths[0], this.left + widths[0] + widths[1]];
+    const needed = (totals.taxes.length + 1) * 15 + 10;
+    if (doc.y + needed > this.bottomLimit()) this.addPage();
+
+    const header = [locale.t('tax'), locale.t('taxBase'), locale.t('amount')];
+    doc.font(FONT_BOLD).fontSize(9);
+    let y = doc.y;
+    header.forEach((label, i) => doc.text(label, xs[i], y, { width: widths[i], align: i === 0 ? 'left' : 'right' }));
+    y += 13;
+    doc.moveTo(this.left, y).lineTo(xs[2] + widths[2], y).lineWidth(0.5).stroke();
+    y += 3;
+
+    doc.font(FONT).fontSize(9);
+    for (const tax of totals.taxes) {
+      const cells = [`${locale.formatNumber(tax.rate)} %`, locale.formatAmount(tax.base), locale.formatAmount(tax.amount)];
+      cells.forEach((text, i) => doc.text(text, xs[i], y, { width: widths[i], align: i === 0 ? 'left' : 'right' }));
+      y += 14;
+    }
+
+    doc.x = this.left;
+    doc.y = y;
+    doc.fontSize(FONT_SIZE).moveDown(2);
+  }
+
+  /**
+   * Free footer text, once after the totals
+   */
+  renderFooter() {
+    const { doc, content } = this;
+    if (!content.footer) return;
+
+    doc.fontSize(8);
+    if (doc.y + doc.heightOfString(content.footer, { width: this.contentWidth }) > this.bottomLimit()) {
+      this.addPage();
+    }
+    doc.fillColor('gray').text(content.footer, this.left, doc.y, { width: this.contentWidth, align: 'center' });
+    doc.fillColor('black').fontSize(FONT_SIZE);
+  }
+
+  /**
+   * Legal text and page numbers on every page (written last, once the
+   * page count is known)
+   */
+  renderPageFooters() {
+    const { doc, content, locale } = this;
+    const range = doc.bufferedPageRange();
+    const pageCount = range.count;
+
+    for (let i = range.start; i < range.start + pageCount; i++) {
+      doc.switchToPage(i);
+
+      // Writing inside the bottom margin must not trigger a page break
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+
+      let y = doc.page.height - this.baseBottomMargin - this.footerHeight + 4;
+      doc.fillColor('gray');
+      if (content.legalText) {
+        doc.fontSize(7).text(content.legalText, this.left, y, { width: this.contentWidth, align: 'center' });
+        y = doc.y + 2;
+      }
+      doc.fontSize(8).text(`${locale.t('page')} ${i - range.start + 1} / ${pageCount}`, this.left, y, {
+        width: this.contentWidth,
+        align: 'right'
+      });
+
+      doc.page.margins.bottom = bottomMargin;
+      doc.fillColor('black');
+    }
+  }
+
+  /**
+   * Start a new page and reset the cursor
+   */
+  addPage() {
+    this.doc.addPage();
+    this.doc.x = this.left;
+    this.doc.y = this.doc.page.margins.top;
+  }
+}
+
+module.exports = InvoiceLayout;
@@ -0,0 +1,331 @@
+/**
+ * IPP Client
+ *
+ * Minimal Internet Printing Protocol client (RFC 8010/8011), enough to read
+ * printer attributes (Get-Printer-Attributes) from network printers and CUPS
+ * queues, and to send documents (Print-Job) without an OS queue.
+ * Collections (media-col...) are skipped.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const OPERATIONS = {
+  PRINT_JOB: 0x0002,
+  GET_PRINTER_ATTRIBUTES: 0x000b
+};
+
+// Delimiter tags
+const TAG_OPERATION = 0x01;
+const TAG_JOB = 0x02;
+const TAG_END = 0x03;
+const TAG_PRINTER = 0x04;
+
+// Value tags
+const VALUE_INTEGER = 0x21;
+const VALUE_BOOLEAN = 0x22;
+const VALUE_ENUM = 0x23;
+const VALUE_RESOLUTION = 0x32;
+const VALUE_RANGE = 0x33;
+const VALUE_BEGIN_COLLECTION = 0x34;
+const VALUE_END_COLLECTION = 0x37;
+const VALUE_URI = 0x45;
+const VALUE_CHARSET = 0x47;
+const VALUE_LANGUAGE = 0x48;
+const VALUE_KEYWORD = 0x44;
+const VALUE_NAME = 0x42;
+const VALUE_MIME_TYPE = 0x49;
+
+// printer-state enum
+const PRINTER_STATES = { 3: 'idle', 4: 'processing', 5: 'stopped' };
+
+const DEFAULT_TIMEOUT = 5000;
+
+class IppClient {
+  /**
+   * Read printer attributes
+   * @param {string} uri - Printer URI (ipp://host[:631]/path, ipps://..., http(s)://...)
+   * @param {string[]} requestedAttributes - Attribute names ('all' for everything)
+   * @param {Object} [options]
+   * @param {number} [options.timeout=5000] - ms
+   * @returns {Promise<Object>} Printer attributes, name → value (array when multi-valued)
+   */
+  static async getPrinterAttributes(uri, requestedAttributes = ['all'], { timeout = DEFAULT_TIMEOUT } = {}) {
+    const body = IppClient.encodeRequest(OPERATIONS.GET_PRINTER_ATTRIBUTES, [
+      [VALUE_CHARSET, 'attributes-charset', 'utf-8'],
+      [VALUE_LANGUAGE, 'attributes-natural-language', 'en'],
+      [VALUE_URI, 'printer-uri', uri],
+      [VALUE_KEYWORD, 'requested-attributes', requestedAttributes]
+    ]);
+
+    const response = IppClient.checkStatus(IppClient.decodeResponse(await IppClient.post(uri, body, timeout)));
+    return response.printer;
+  }
+
+  /**
+   * Send a document (Print-Job)
+   * @param {string} uri - Printer URI
+   * @param {Buffer} data - Document
+   * @param {Object} [options]
+   * @param {string} [options.jobName]
+   * @param {string} [options.documentFormat='application/octet-stream'] - MIME type (application/pdf...)
+   * @param {Array} [options.jobAttributes] - Job template attributes: [valueTag, name, value]
+   *   (see PrintOptions.toIppAttributes)
+   * @param {number} [options.timeout=30000] - ms
+   * @returns {Promise<{jobId: number|null}>}
+   */
+  static async printJob(uri, data, { jobName = 'RepairMind', documentFormat = 'application/octet-stream', jobAttributes = [], timeout = 30000 } = {}) {
+    const header = IppClient.encodeRequest(OPERATIONS.PRINT_JOB, [
+      [VALUE_CHARSET, 'attributes-charset', 'utf-8'],
+      [VALUE_LANGUAGE, 'attributes-natural-language', 'en'],
+      [VALUE_URI, 'printer-uri', uri],
+      [VALUE_NAME, 'requesting-user-name', 'repairmind'],
+      [VALUE_NAME, 'job-name', jobName],
+      [VALUE_MIME_TYPE, 'document-format', documentFormat]
+    ], { jobAttributes });
+
+    const response = IppClient.checkStatus(IppClient.decodeResponse(await IppClient.post(uri, Buffer.concat([header, data]), timeout)));
+    const jobId = response.job['job-id'];
+    return { jobId: Number.isInteger(jobId) ? jobId : null };
+  }
+
+  /**
+   * Printer state, for status probing
+   * @param {string} uri
+   * @param {Object} [options]
+   * @param {number} [options.timeout]
+   * @returns {Promise<{state: string, reasons: string[], message: string|null}>}
+   */
+  static async getPrinterState(uri, { timeout } = {}) {
+    const attributes = await IppClient.getPrinterAttributes(uri,
+      ['printer-state', 'printer-state-reasons', 'printer-state-message'], { timeout });
+    return {
+      state: PRINTER_STATES[attributes['printer-state']] || 'unknown',
+      reasons: [].concat(attributes['printer-state-reasons'] ?? []).filter(r => r && r !== 'none'),
+      message: attributes['printer-state-message'] || null
+    };
+  }
+
+  /**
+   * @private
+   */
+  static checkStatus(response) {
+    // 0x0000-0x00ff: successful-ok (possibly with ignored/substituted attributes)
+    if (response.statusCode > 0x00ff) {
+      const message = response.operation['status-message'];
+      throw new Error(`IPP error 0x${response.statusCode.toString(16).padStart(4, '0')}${message ? `: ${message}` : ''}`);
+    }
+    return response;
+  }
+
+  /**
+   * Convert an IPP URI to the HTTP URL it is served on
+   * @param {string} uri
+   * @returns {URL}
+   * @private
+   */
+  static toHttpUrl(uri) {
+    const url = new URL(uri);
+    if (url.protocol === 'ipp:' || url.protocol === 'ipps:') {
+      const secure = url.protocol === 'ipps:';
+      return new URL(`${secure ? 'https' : 'http'}://${url.hostname}:${url.port || 631}${url.pathname}${url.search}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`Unsupported IPP URI: ${uri}`);
+    }
+    return url;
+  }
+
+  /**
+   * @private
+   */
+  static post(uri, body, timeout) {
+    const url = IppClient.toHttpUrl(uri);
+    const transport = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/ipp', 'Content-Length': body.length },
+        // Printers ship self-signed certificates
+        rejectUnauthorized: false,
+        timeout
+      }, (res) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          if (res.statusCode !== 200) {
+            reject(new Error(`IPP request failed: HTTP ${res.statusCode}`));
+          } else {
+            resolve(Buffer.concat(chunks));
+          }
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`IPP request timeout (${timeout}ms)`)));
+      req.on('error', (error) => reject(new Error(`IPP request failed: ${error.message}`)));
+      req.end(body);
+    });
+  }
+
+  /**
+   * Encode a request with operation (and job) attributes: [valueTag, name, value | value[]]
+   * @private
+   */
+  static encodeRequest(operationId, attributes, { jobAttributes = [], requestId = 1 } = {}) {
+    const parts = [Buffer.from([0x02, 0x00, operationId >> 8, operationId & 0xff])];
+    const id = Buffer.alloc(4);
+    id.writeUInt32BE(requestId);
+    parts.push(id);
+
+    const groups = [[TAG_OPERATION, attributes], [TAG_JOB, jobAttributes]];
+    for (const [groupTag, groupAttributes] of groups) {
+      if (groupAttributes.length === 0) continue;
+      parts.push(Buffer.from([groupTag]));
+      for (const [tag, name, value] of groupAttributes) {
+        [].concat(value).forEach((v, i) => {
+          // Additional values of a multi-valued attribute have an empty name
+          parts.push(IppClient.encodeAttribute(tag, i === 0 ? name : '', IppClient.encodeValue(tag, v)));
+        });
+      }
+    }
+
+    parts.push(Buffer.from([TAG_END]));
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * @private
+   */
+  static encodeValue(tag, value) {
+    switch (tag) {
+      case VALUE_INTEGER:
+      case VALUE_ENUM: {
+        const buffer = Buffer.alloc(4);
+        buffer.writeInt32BE(value);
+        return buffer;
+      }
+      case VALUE_BOOLEAN:
+        return Buffer.from([value ? 1 : 0]);
+      case VALUE_RANGE: {
+        const buffer = Buffer.alloc(8);
+        buffer.writeInt32BE(value.lower, 0);
+        buffer.writeInt32BE(value.upper, 4);
+        return buffer;
+      }
+      default:
+        return Buffer.from(String(value), 'utf8');
+    }
+  }
+
+  /**
+   * @private
+   */
+  static encodeAttribute(tag, name, value) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const header = Buffer.alloc(3);
+    header.writeUInt8(tag, 0);
+    header.writeUInt16BE(nameBuffer.length, 1);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(value.length);
+    return Buffer.concat([header, nameBuffer, length, value]);
+  }
+
+  /**
+   * Decode a response into its status and attribute groups
+   * @param {Buffer} buffer
+   * @returns {{statusCode: number, operation: Object, job: Object, printer: Object}}
+   * @private
+   */
+  static decodeResponse(buffer) {
+    if (buffer.length < 9) {
+      throw new Error('Invalid IPP response');
+    }
+
+    const statusCode = buffer.readUInt16BE(2);
+    const groups = [];
+    let group = null;
+    let lastName = null;
+    let collectionDepth = 0;
+    let offset = 8;
+
+    while (offset < buffer.length) {
+      const tag = buffer[offset++];
+      if (tag === TAG_END) break;
+      if (tag < 0x10) {
+        // Delimiter: a new attribute group begins
+        group = { tag, attributes: {} };
+        groups.push(group);
+        lastName = null;
+        continue;
+      }
+
+      const nameLength = buffer.readUInt16BE(offset);
+      const name = buffer.toString('utf8', offset + 2, offset + 2 + nameLength);
+      offset += 2 + nameLength;
+      const valueLength = buffer.readUInt16BE(offset);
+      const raw = buffer.subarray(offset + 2, offset + 2 + valueLength);
+      offset += 2 + valueLength;
+      if (offset > buffer.length) {
+        throw new Error('Truncated IPP response');
+      }
+      if (!group) continue;
+
+      // Collections (media-col...) are skipped, members included
+      if (tag === VALUE_BEGIN_COLLECTION) collectionDepth++;
+      if (tag === VALUE_END_COLLECTION) collectionDepth--;
+      if (collectionDepth > 0 || tag === VALUE_END_COLLECTION) continue;
+
+      const value = IppClient.decodeValue(tag, raw);
+      if (name) {
+        lastName = name;
+        group.attributes[name] = value;
+      } else if (lastName && value !== undefined) {
+        // Additional value of the previous attribute
+        group.attributes[lastName] = [].concat(group.attributes[lastName], value);
+      }
+    }
+
+    const attributesOf = (tag) => groups.find(g => g.tag === tag)?.attributes || {};
+    return {
+      statusCode,
+      operation: attributesOf(TAG_OPERATION),
+      job: attributesOf(TAG_JOB),
+      printer: attributesOf(TAG_PRINTER)
+    };
+  }
+
+  /**
+   * @private
+   */
+  static decodeValue(tag, raw) {
+    switch (tag) {
+      case VALUE_INTEGER:
+      case VALUE_ENUM:
+        return raw.length === 4 ? raw.readInt32BE(0) : undefined;
+      case VALUE_BOOLEAN:
+        return raw[0] === 1;
+      case VALUE_RESOLUTION:
+        // cross-feed, feed, units (3 = dots per inch, 4 = dots per cm)
+        return raw.length === 9 ? { x: raw.readInt32BE(0), y: raw.readInt32BE(4), units: raw[8] === 4 ? 'dpcm' : 'dpi' } : undefined;
+      case VALUE_RANGE:
+        return raw.length === 8 ? { lower: raw.readInt32BE(0), upper: raw.readInt32BE(4) } : undefined;
+      default:
+        // Strings (text, name, keyword, uri, mimeMediaType...); out-of-band
+        // values (unknown, no-value...) are dropped
+        return tag >= 0x41 && tag <= 0x49 ? raw.toString('utf8') : undefined;
+    }
+  }
+}
+
+IppClient.OPERATIONS = OPERATIONS;
+IppClient.TAGS = {
+  INTEGER: VALUE_INTEGER,
+  BOOLEAN: VALUE_BOOLEAN,
+  ENUM: VALUE_ENUM,
+  RANGE: VALUE_RANGE,
+  KEYWORD: VALUE_KEYWORD,
+  NAME: VALUE_NAME
+};
+
+module.exports = IppClient;
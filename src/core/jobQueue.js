@@ -7,6 +7,8 @@
  * - Debounced save: batches writeFileSync calls to avoid I/O bottleneck
  * - Atomic save: writes to .tmp then renames to prevent corruption on crash
  * - printerSystemName validation on enqueue
+ * - Reroute: a queued job can be moved to another printer (failover), the
+ *   moves are recorded on the entry
  */
 
 const EventEmitter = require('events');
@@ -51,7 +53,7 @@ class JobQueue extends EventEmitter {
 
   /**
    * Set the callback that executes a job
-   * @param {Function} callback - async (job) => void
+   * @param {Function} callback - async (job, entry) => void — print on entry.printerSystemName
    */
   setExecuteCallback(callback) {
     this.executeCallback = callback;
@@ -151,14 +153,16 @@ class JobQueue extends EventEmitter {
    * @private
    */
   async _processJob(entry) {
-    this.processingPrinters.add(entry.printerSystemName);
+    // The entry may be rerouted once it is back to queued — release the printer it ran on
+    const printerName = entry.printerSystemName;
+    this.processingPrinters.add(printerName);
     entry.status = 'processing';
     entry.updatedAt = Date.now();
     this.save();
     this.emit('job-processing', entry);
 
     try {
-      await this.executeCallback(entry.job);
+      await this.executeCallback(entry.job, entry);
 
       entry.status = 'completed';
       entry.updatedAt = Date.now();
@@ -186,13 +190,61 @@ class JobQueue extends EventEmitter {
       }
     }
 
-    this.processingPrinters.delete(entry.printerSystemName);
+    this.processingPrinters.delete(printerName);
     this.trimHistory();
 
     // Continue processing next job for this printer
     this.processNext();
   }
 
+  /**
+   * Move a queued job to another printer. The new printer gets its own
+   * retries; the move is recorded in entry.reroutes.
+   * @param {string} jobId
+   * @param {string} printerSystemName - Printer to print on
+   * @param {string} reason - e.g. 'offline', 'failures'
+   * @returns {boolean} true if rerouted
+   */
+  reroute(jobId, printerSystemName, reason) {
+    const entry = this.jobs.find(j => j.id === jobId);
+    if (!entry || entry.status !== 'queued' || entry.printerSystemName === printerSystemName) return false;
+
+    entry.reroutes = [...(entry.reroutes || []), {
+      from: entry.printerSystemName,
+      to: printerSystemName,
+      reason,
+      at: Date.now()
+    }];
+    entry.printerSystemName = printerSystemName;
+    entry.retries = 0;
+    entry.nextRetry = null;
+    entry.updatedAt = Date.now();
+    this.save();
+    this.emit('job-rerouted', entry);
+    this.processNext();
+    return true;
+  }
+
+  /**
+   * Jobs waiting for a printer
+   * @param {string} printerSystemName
+   * @returns {Array<Object>} Queue entries
+   */
+  getQueuedJobs(printerSystemName) {
+    return this.jobs.filter(j => j.status === 'queued' && j.printerSystemName === printerSystemName);
+  }
+
+  /**
+   * Number of jobs queued or printing on a printer
+   * @param {string} printerSystemName
+   * @returns {number}
+   */
+  getLoad(printerSystemName) {
+    return this.jobs.filter(j =>
+      (j.status === 'queued' || j.status === 'processing') && j.printerSystemName === printerSystemName
+    ).length;
+  }
+
   /**
    * Start timers for retry checking and TTL expiration
    */
@@ -279,6 +331,7 @@ class JobQueue extends EventEmitter {
         retries: entry.retries,
         maxRetries: entry.maxRetries,
         error: entry.error,
+        reroutes: entry.reroutes || [],
         createdAt: entry.createdAt,
         updatedAt: entry.updatedAt,
         expiresAt: entry.expiresAt
@@ -286,13 +339,15 @@ class JobQueue extends EventEmitter {
   }
 
   /**
-   * Cancel a specific job
-   * @param {string} jobId
+   * Cancel a job still waiting in the queue
+   * @param {string|number} jobId
    * @returns {boolean} true if cancelled
    */
   cancelJob(jobId) {
-    const job = this.jobs.find(j => j.id === jobId);
-    if (!job || job.status === 'processing') return false;
+    // Backend ids may be numbers, ids from a URL are strings
+    const job = this.jobs.find(j => String(j.id) === String(jobId));
+    // A printing job can't be stopped, a finished one was already reported
+    if (!job || job.status !== 'queued') return false;
 
     job.status = 'cancelled';
     job.updatedAt = Date.now();
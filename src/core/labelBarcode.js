@@ -0,0 +1,136 @@
+/**
+ * Label Barcode
+ *
+ * Barcode and QR code elements of templated labels:
+ *   { type: 'barcode', format: 'code128' | 'ean13' | 'code39' | 'datamatrix', content, x, y, width, height }
+ *   { type: 'qrcode', content, x, y, width, height, errorCorrection: 'L' | 'M' | 'Q' | 'H' }
+ * Positions and sizes are in mm, like the other elements of the template editor.
+ *
+ * Symbols are encoded with bwip-js and rendered as SVG (vector, sharp at any
+ * printer resolution). Linear barcodes are stretched to the element box;
+ * 2D codes keep square modules and are centered in the box.
+ */
+
+const bwipjs = require('bwip-js');
+
+// Template format → bwip-js symbology
+const FORMATS = {
+  code128: 'code128',
+  ean13: 'ean13',
+  code39: 'code39',
+  datamatrix: 'datamatrix',
+  qrcode: 'qrcode'
+};
+
+const TWO_DIMENSIONAL = ['datamatrix', 'qrcode'];
+
+// Human-readable line under linear barcodes
+const DEFAULT_TEXT_SIZE_PT = 6;
+const PT_TO_MM = 25.4 / 72;
+
+class LabelBarcode {
+  /**
+   * Check whether an element is a barcode or QR code
+   * @param {Object} el - Label element
+   * @returns {boolean}
+   */
+  static isBarcode(el) {
+    return el?.type === 'barcode' || el?.type === 'qrcode';
+  }
+
+  /**
+   * Normalize a barcode element
+   * @param {Object} el - Label element
+   * @returns {{format: string, text: string, twoDimensional: boolean, showText: boolean, textSize: number, errorCorrection: string}}
+   */
+  static resolve(el) {
+    const format = el.type === 'qrcode' ? 'qrcode' : String(el.format || 'code128').toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (!FORMATS[format]) {
+      throw new Error(`Unsupported barcode format: ${el.format} (use ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    const text = String(el.content ?? '');
+    if (!text) {
+      throw new Error(`Empty ${format} barcode`);
+    }
+
+    const twoDimensional = TWO_DIMENSIONAL.includes(format);
+    return {
+      format,
+      text,
+      twoDimensional,
+      showText: !twoDimensional && el.showText !== false,
+      textSize: el.fontSize || DEFAULT_TEXT_SIZE_PT,
+      errorCorrection: ['L', 'M', 'Q', 'H'].includes(el.errorCorrection) ? el.errorCorrection : 'M'
+    };
+  }
+
+  /**
+   * Encode a barcode and return its size in modules
+   * (validates the data: EAN-13 length and check digit, Code39 charset...)
+   * @param {Object} el - Label element
+   * @returns {{columns: number, rows: number}}
+   */
+  static measure(el) {
+    const barcode = LabelBarcode.resolve(el);
+    const [symbol] = LabelBarcode.encode(barcode, 'raw');
+
+    return symbol.sbs
+      ? { columns: symbol.sbs.reduce((sum, width) => sum + width, 0), rows: 1 }
+      : { columns: symbol.pixx, rows: symbol.pixy };
+  }
+
+  /**
+   * Render a barcode element as an HTML block
+   * @param {Object} el - Label element (mm)
+   * @param {Function} escapeHTML
+   * @param {Object} [options]
+   * @param {boolean} [options.positioned=true] - Absolute position at el.x/el.y (templated
+   *   labels), or in the flow of the legacy centered layout
+   * @returns {string}
+   */
+  static toHTML(el, escapeHTML, { positioned = true } = {}) {
+    const barcode = LabelBarcode.resolve(el);
+    const width = Number(el.width ?? el.size) || 20;
+    const height = Number(el.height ?? el.size) || (barcode.twoDimensional ? width : 10);
+
+    const textHeight = barcode.showText ? barcode.textSize * PT_TO_MM * 1.2 : 0;
+    const barsHeight = Math.max(1, height - textHeight);
+
+    const svg = LabelBarcode.encode(barcode, 'svg').replace(
+      '<svg ',
+      `<svg width="${width}mm" height="${barsHeight}mm" preserveAspectRatio="${barcode.twoDimensional ? 'xMidYMid meet' : 'none'}" style="display:block" `
+    );
+    const text = barcode.showText
+      ? `<div style="font-size:${barcode.textSize}pt;line-height:${textHeight}mm;text-align:center;white-space:nowrap;overflow:hidden;">${escapeHTML(barcode.text)}</div>`
+      : '';
+
+    const position = positioned ? `position:absolute;left:${el.x}mm;top:${el.y}mm;` : 'margin-top:1mm;';
+    return `<div style="${position}width:${width}mm;height:${height}mm;">${svg}${text}</div>`;
+  }
+
+  /**
+   * @private
+   * @param {Object} barcode - Resolved barcode (see resolve)
+   * @param {string} output - 'svg' | 'raw'
+   */
+  static encode(barcode, output) {
+    const options = {
+      bcid: FORMATS[barcode.format],
+      text: barcode.text,
+      ...(barcode.format === 'qrcode' && { eclevel: barcode.errorCorrection })
+    };
+
+    try {
+      return output === 'svg' ? bwipjs.toSVG(options) : bwipjs.raw(options);
+    } catch (error) {
+      // bwip-js errors look like "bwipp.ean13badLength#6878: EAN-13 must be 12 or 13 digits"
+      const message = String(error.message || error).replace(/^bwipp?\.\w+#\d+:\s*/, '');
+      throw new Error(`Invalid ${barcode.format} barcode "${barcode.text}": ${message}`);
+    }
+  }
+}
+
+LabelBarcode.FORMATS = Object.keys(FORMATS);
+
+module.exports = LabelBarcode;
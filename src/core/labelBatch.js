@@ -0,0 +1,131 @@
+/**
+ * Label Batch
+ *
+ * Expands a label job into the labels to print, so a whole stock intake
+ * goes out as one document / one raw stream instead of one job per label:
+ *   content.records: [{ sku: 'A1', name: 'iPhone 12' }, { sku: 'B2', copies: 3 }]
+ *   options.copies: 2 (per record, unless the record sets its own `copies`)
+ *
+ * Each record fills the {{placeholders}} of the label elements (same syntax
+ * as receipt templates: {{path}} or {{path|currency|amount|number|date|datetime}},
+ * plus {{index}} / {{total}}). Legacy labels (title, sku, price...) take
+ * their fields from the record. Without records, the job is a single label.
+ */
+
+const DocumentLocale = require('./documentLocale');
+
+// One document/stream — keep it within what spoolers and printer buffers accept
+const MAX_LABELS = 2000;
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+class LabelBatch {
+  /**
+   * @param {Object} content - Label job content
+   * @param {Object} [options]
+   * @param {number} [options.copies=1] - Copies of each record
+   * @param {DocumentLocale} [options.locale] - Placeholder formatting
+   */
+  constructor(content, { copies = 1, locale = new DocumentLocale() } = {}) {
+    this.content = content;
+    this.copies = LabelBatch.toCopies(copies);
+    this.locale = locale;
+    this.records = LabelBatch.isBatch(content) ? content.records : [null];
+
+    if (this.totalLabels > MAX_LABELS) {
+      throw new Error(`Label batch too large (${this.totalLabels} labels, max ${MAX_LABELS})`);
+    }
+  }
+
+  /**
+   * Check whether a label job carries variable data records
+   * @param {Object} content
+   * @returns {boolean}
+   */
+  static isBatch(content) {
+    return Array.isArray(content?.records) && content.records.length > 0;
+  }
+
+  /**
+   * @private
+   */
+  static toCopies(value) {
+    return Math.max(1, parseInt(value, 10) || 1);
+  }
+
+  /**
+   * Number of labels printed (records × copies)
+   * @returns {number}
+   */
+  get totalLabels() {
+    return this.records.reduce((sum, record) => sum + this.copiesOf(record), 0);
+  }
+
+  /**
+   * @private
+   */
+  copiesOf(record) {
+    return record?.copies !== undefined ? LabelBatch.toCopies(record.copies) : this.copies;
+  }
+
+  /**
+   * Labels to print, one entry per record
+   * @returns {Array<{index: number, copies: number, content: Object}>}
+   */
+  labels() {
+    const { records: _records, ...base } = this.content;
+
+    return this.records.map((record, index) => {
+      if (!record) {
+        return { index, copies: this.copies, content: base };
+      }
+
+      const context = { index: index + 1, total: this.records.length, ...record };
+      const content = base.elements
+        ? { ...base, elements: base.elements.map(el => this.fillElement(el, context)) }
+        : { ...base, ...record };
+      return { index, copies: this.copiesOf(record), content };
+    });
+  }
+
+  /**
+   * Replace placeholders in every string property of an element
+   * @private
+   */
+  fillElement(el, context) {
+    const filled = {};
+    for (const [key, value] of Object.entries(el)) {
+      filled[key] = typeof value === 'string' ? this.interpolate(value, context) : value;
+    }
+    return filled;
+  }
+
+  /**
+   * @private
+   */
+  interpolate(text, context) {
+    return text.replace(PLACEHOLDER, (_, key, format) => {
+      const value = String(key).split('.').reduce((acc, part) => (acc == null ? undefined : acc[part]), context);
+      if (value === undefined || value === null) return '';
+      return format ? this.format(value, format) : String(value);
+    });
+  }
+
+  /**
+   * @private
+   */
+  format(value, format) {
+    switch (format) {
+      case 'currency': return this.locale.formatCurrency(value);
+      case 'amount': return this.locale.formatAmount(value);
+      case 'number': return this.locale.formatNumber(value);
+      case 'date': return this.locale.formatDate(value);
+      case 'datetime': return this.locale.formatDateTime(value);
+      default: throw new Error(`Unknown placeholder format: ${format}`);
+    }
+  }
+}
+
+LabelBatch.MAX_LABELS = MAX_LABELS;
+
+module.exports = LabelBatch;
@@ -0,0 +1,503 @@
+/**
+ * Label Compiler
+ *
+ * Compiles templated label elements (positions and sizes in mm, font sizes
+ * in pt — the same elements rendered by buildTemplatedLabelHTML) into the
+ * native command language of thermal-transfer label printers:
+ * - ZPL (Zebra, Godex in GZPL emulation)
+ * - EPL (Zebra LP/TLP 2844 family)
+ * - TSPL (TSC)
+ *
+ * Coordinates are converted to dots for the print head resolution
+ * (203/300/600 dpi), so the label no longer goes through Chromium and the
+ * printer driver's rasterization. Barcodes use the printer's own symbologies,
+ * with a whole number of dots per module; images are sent as 1-bit graphics.
+ */
+
+const iconv = require('iconv-lite');
+const LabelBarcode = require('./labelBarcode');
+const LabelImage = require('./labelImage');
+
+const LANGUAGES = ['zpl', 'epl', 'tspl'];
+
+// Line thickness of `line` elements (matches the 0.3mm border of the HTML path)
+const LINE_THICKNESS_MM = 0.3;
+
+// Average glyph advance of the printer's scalable font, relative to its height
+const CHAR_WIDTH_RATIO = 0.55;
+
+// EPL resident fonts 1-5: [width, height] in dots including spacing, per resolution
+const EPL_FONTS = {
+  203: [[10, 12], [12, 16], [14, 20], [16, 24], [34, 48]],
+  300: [[14, 20], [18, 28], [22, 36], [26, 44], [66, 80]]
+};
+
+class LabelCompiler {
+  /**
+   * @param {Object} options
+   * @param {string} options.language - 'zpl' | 'epl' | 'tspl'
+   * @param {number} [options.dpi=203] - Print head resolution
+   * @param {number} options.widthMm - Label width in mm
+   * @param {number} options.heightMm - Label height in mm
+   * @param {number} [options.gapMm=2] - Gap between labels (EPL/TSPL media setup)
+   */
+  constructor({ language, dpi = 203, widthMm, heightMm, gapMm = 2 }) {
+    if (!LabelCompiler.isSupported(language)) {
+      throw new Error(`Unsupported label language: ${language} (use ${LANGUAGES.join(', ')})`);
+    }
+    if (!(dpi > 0)) {
+      throw new Error(`Invalid printer resolution: ${dpi}`);
+    }
+
+    this.language = language;
+    this.dpi = Number(dpi);
+    this.widthMm = Number(widthMm);
+    this.heightMm = Number(heightMm);
+    this.gapMm = Number(gapMm);
+  }
+
+  /**
+   * Check whether a label language can be generated
+   * @param {string} language
+   * @returns {boolean}
+   */
+  static isSupported(language) {
+    return LANGUAGES.includes(language);
+  }
+
+  /**
+   * Check whether every element can be expressed in the printer language
+   * (EPL has no reliable QR/DataMatrix command across models; images must be
+   * PNG to be converted to printer graphics)
+   * @param {Object[]} elements - Label elements, images loaded (el.buffer)
+   * @returns {boolean}
+   */
+  canCompile(elements) {
+    return !this.unsupportedElement(elements);
+  }
+
+  /**
+   * First element the printer language can't express (see canCompile)
+   * @param {Object[]} elements - Label elements, images loaded (el.buffer)
+   * @returns {Object|null}
+   */
+  unsupportedElement(elements) {
+    return elements.find(el => {
+      if (LabelImage.isImage(el)) return LabelImage.mimeType(el.buffer) !== 'image/png';
+      if (this.language === 'epl' && LabelBarcode.isBarcode(el)) return LabelBarcode.resolve(el).twoDimensional;
+      return false;
+    }) || null;
+  }
+
+  /**
+   * Convert millimeters to printer dots
+   * @param {number} mm
+   * @returns {number}
+   */
+  mmToDots(mm) {
+    return Math.round((Number(mm) || 0) * this.dpi / 25.4);
+  }
+
+  /**
+   * Convert a font size in points to printer dots
+   * @param {number} pt
+   * @returns {number}
+   */
+  ptToDots(pt) {
+    return Math.max(1, Math.round((Number(pt) || 0) * this.dpi / 72));
+  }
+
+  /**
+   * Compile elements into printer commands
+   * @param {Object[]} elements - Templated label elements
+   * @param {Object} [options]
+   * @param {number} [options.copies=1]
+   * @returns {Buffer}
+   */
+  compile(elements, { copies = 1 } = {}) {
+    const count = Math.max(1, parseInt(copies, 10) || 1);
+
+    switch (this.language) {
+      case 'zpl':
+        return this.compileZPL(elements, count);
+      case 'epl':
+        return this.compileEPL(elements, count);
+      case 'tspl':
+        return this.compileTSPL(elements, count);
+    }
+  }
+
+  // ─── ZPL ───────────────────────────────────────────────────
+
+  /**
+   * @private
+   */
+  compileZPL(elements, copies) {
+    const out = [
+      '^XA',
+      '^CI28', // UTF-8 field data
+      `^PW${this.mmToDots(this.widthMm)}`,
+      `^LL${this.mmToDots(this.heightMm)}`,
+      '^LH0,0'
+    ];
+
+    for (const el of elements) {
+      if (el.type === 'line') {
+        const { x, y, width, thickness } = this.lineBox(el);
+        out.push(`^FO${x},${y}^GB${width},${thickness},${thickness}^FS`);
+        continue;
+      }
+      if (LabelBarcode.isBarcode(el)) {
+        out.push(this.barcodeZPL(this.barcodeBox(el)));
+        continue;
+      }
+      if (LabelImage.isImage(el)) {
+        const image = this.imageBitmap(el);
+        const total = image.data.length;
+        out.push(`^FO${image.x},${image.y}^GFA,${total},${total},${image.rowBytes},${image.data.toString('hex').toUpperCase()}^FS`);
+        continue;
+      }
+
+      const box = this.textBox(el);
+      if (!box) continue;
+
+      const justify = { left: 'L', center: 'C', right: 'R' }[box.align];
+      const field = `^A0N,${box.fontHeight}^FB${box.width},1,0,${justify},0^FH_^FD${this.escapeZPL(box.text)}^FS`;
+      out.push(`^FO${box.x},${box.y}${field}`);
+      if (box.bold) out.push(`^FO${box.x + 1},${box.y}${field}`);
+    }
+
+    out.push(`^PQ${copies}`, '^XZ');
+    return Buffer.from(out.join('\n') + '\n', 'utf8');
+  }
+
+  /**
+   * @private
+   */
+  barcodeZPL(b) {
+    const readable = b.showText ? 'Y' : 'N';
+    const data = `^FH_^FD${this.escapeZPL(b.text)}^FS`;
+
+    switch (b.format) {
+      case 'code128':
+        return `^FO${b.x},${b.y}^BY${b.module}^BCN,${b.height},${readable},N,N,A${data}`;
+      case 'ean13':
+        return `^FO${b.x},${b.y}^BY${b.module}^BEN,${b.height},${readable},N^FD${b.text.slice(0, 12)}^FS`;
+      case 'code39':
+        return `^FO${b.x},${b.y}^BY${b.module},3^B3N,N,${b.height},${readable},N${data}`;
+      case 'datamatrix':
+        return `^FO${b.x},${b.y}^BXN,${b.module},200${data}`;
+      case 'qrcode':
+        return `^FO${b.x},${b.y}^BQN,2,${Math.min(b.module, 10)}^FH_^FD${b.errorCorrection}A,${this.escapeZPL(b.text)}^FS`;
+    }
+  }
+
+  /**
+   * Field data uses ^FH with "_" as hex indicator
+   * @private
+   */
+  escapeZPL(text) {
+    return text.replace(/[_^~]/g, c => `_${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+
+  // ─── EPL ───────────────────────────────────────────────────
+
+  /**
+   * @private
+   */
+  compileEPL(elements, copies) {
+    const out = [
+      '', // Terminate any pending command left in the printer buffer
+      'N',
+      'I8,A,001', // Windows-1252 character set
+      `q${this.mmToDots(this.widthMm)}`,
+      `Q${this.mmToDots(this.heightMm)},${this.mmToDots(this.gapMm)}`
+    ];
+
+    for (const el of elements) {
+      if (el.type === 'line') {
+        const { x, y, width, thickness } = this.lineBox(el);
+        out.push(`LO${x},${y},${width},${thickness}`);
+        continue;
+      }
+      if (LabelBarcode.isBarcode(el)) {
+        out.push(this.barcodeEPL(this.barcodeBox(el)));
+        continue;
+      }
+      if (LabelImage.isImage(el)) {
+        // GW takes binary data where 0 bits print black
+        const image = this.imageBitmap(el, { invert: true });
+        out.push(Buffer.concat([Buffer.from(`GW${image.x},${image.y},${image.rowBytes},${image.height},`), image.data]));
+        continue;
+      }
+
+      const font = this.pickEPLFont(this.ptToDots(el.fontSize || 8));
+      const box = this.textBox(el, { charWidth: font.charWidth, fontHeight: font.height });
+      if (!box) continue;
+
+      const x = box.x + this.alignOffset(box, font.charWidth * box.text.length);
+      const command = (dx) => `A${x + dx},${box.y},0,${font.id},${font.multiplier},${font.multiplier},N,"${this.escapeEPL(box.text)}"`;
+      out.push(command(0));
+      if (box.bold) out.push(command(1));
+    }
+
+    out.push(`P${copies}`, '');
+    return this.joinCommands(out, '\n', line => iconv.encode(line, 'CP1252'));
+  }
+
+  /**
+   * Linear barcodes only (see canCompile)
+   * @private
+   */
+  barcodeEPL(b) {
+    const readable = b.showText ? 'B' : 'N';
+    const [symbology, wide, data] = {
+      code128: ['1', b.module, b.text],
+      ean13: ['E30', b.module, b.text.slice(0, 12)],
+      code39: ['3', b.module * 3, b.text]
+    }[b.format];
+
+    return `B${b.x},${b.y},0,${symbology},${b.module},${wide},${b.height},${readable},"${this.escapeEPL(data)}"`;
+  }
+
+  /**
+   * Resident font and multiplier whose height is closest to the target
+   * @private
+   */
+  pickEPLFont(targetHeight) {
+    const fonts = EPL_FONTS[this.dpi >= 300 ? 300 : 203];
+    let best = null;
+
+    fonts.forEach(([width, height], index) => {
+      for (let multiplier = 1; multiplier <= 6; multiplier++) {
+        const diff = Math.abs(height * multiplier - targetHeight);
+        // On a tie, keep the narrower font so more characters fit
+        if (!best || diff < best.diff || (diff === best.diff && width * multiplier < best.charWidth)) {
+          best = { id: index + 1, multiplier, diff, height: height * multiplier, charWidth: width * multiplier };
+        }
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * @private
+   */
+  escapeEPL(text) {
+    return text.replace(/[\\"]/g, c => `\\${c}`);
+  }
+
+  // ─── TSPL ──────────────────────────────────────────────────
+
+  /**
+   * @private
+   */
+  compileTSPL(elements, copies) {
+    const out = [
+      `SIZE ${this.widthMm} mm,${this.heightMm} mm`,
+      `GAP ${this.gapMm} mm,0 mm`,
+      'DIRECTION 1',
+      'REFERENCE 0,0',
+      'CODEPAGE UTF-8',
+      'CLS'
+    ];
+
+    for (const el of elements) {
+      if (el.type === 'line') {
+        const { x, y, width, thickness } = this.lineBox(el);
+        out.push(`BAR ${x},${y},${width},${thickness}`);
+        continue;
+      }
+      if (LabelBarcode.isBarcode(el)) {
+        out.push(this.barcodeTSPL(this.barcodeBox(el)));
+        continue;
+      }
+      if (LabelImage.isImage(el)) {
+        // BITMAP takes binary data where 0 bits print black (mode 0: overwrite)
+        const image = this.imageBitmap(el, { invert: true });
+        out.push(Buffer.concat([Buffer.from(`BITMAP ${image.x},${image.y},${image.rowBytes},${image.height},0,`), image.data]));
+        continue;
+      }
+
+      const box = this.textBox(el);
+      if (!box) continue;
+
+      // Font "0" is the resident scalable font: multipliers are point sizes.
+      // The x coordinate is the anchor of the alignment (left edge, center, right edge).
+      const pt = Math.max(1, Math.round(el.fontSize || 8));
+      const alignment = { left: 1, center: 2, right: 3 }[box.align];
+      const anchor = box.x + { left: 0, center: Math.round(box.width / 2), right: box.width }[box.align];
+      const command = (dx) => `TEXT ${anchor + dx},${box.y},"0",0,${pt},${pt},${alignment},"${this.escapeTSPL(box.text)}"`;
+      out.push(command(0));
+      if (box.bold) out.push(command(1));
+    }
+
+    out.push(`PRINT 1,${copies}`, '');
+    return this.joinCommands(out, '\r\n', line => Buffer.from(line, 'utf8'));
+  }
+
+  /**
+   * @private
+   */
+  barcodeTSPL(b) {
+    const readable = b.showText ? 1 : 0;
+    const data = `"${this.escapeTSPL(b.text)}"`;
+
+    switch (b.format) {
+      case 'code128':
+        return `BARCODE ${b.x},${b.y},"128",${b.height},${readable},0,${b.module},${b.module},${data}`;
+      case 'ean13':
+        return `BARCODE ${b.x},${b.y},"EAN13",${b.height},${readable},0,${b.module},${b.module},"${b.text.slice(0, 12)}"`;
+      case 'code39':
+        return `BARCODE ${b.x},${b.y},"39",${b.height},${readable},0,${b.module},${b.module * 3},${data}`;
+      case 'datamatrix':
+        return `DMATRIX ${b.x},${b.y},${b.width},${b.width},x${b.module},${data}`;
+      case 'qrcode':
+        return `QRCODE ${b.x},${b.y},${b.errorCorrection},${b.module},A,0,${data}`;
+    }
+  }
+
+  /**
+   * @private
+   */
+  escapeTSPL(text) {
+    return text.replace(/"/g, '\\["]');
+  }
+
+  // ─── Layout helpers ────────────────────────────────────────
+
+  /**
+   * Position of a line element in dots
+   * @private
+   */
+  lineBox(el) {
+    return {
+      x: this.mmToDots(el.x),
+      y: this.mmToDots(el.y),
+      width: Math.max(1, this.mmToDots(el.width)),
+      thickness: Math.max(1, this.mmToDots(el.thickness || LINE_THICKNESS_MM))
+    };
+  }
+
+  /**
+   * Position and module size of a barcode element in dots: the largest whole
+   * number of dots per module that fits the box, symbol centered horizontally
+   * (2D codes also vertically). Linear bar height leaves room for the
+   * human-readable line.
+   * @private
+   */
+  barcodeBox(el) {
+    const barcode = LabelBarcode.resolve(el);
+    const { columns, rows } = LabelBarcode.measure(el);
+
+    const boxWidth = this.mmToDots(el.width ?? el.size ?? 20);
+    const boxHeight = this.mmToDots(el.height ?? el.size ?? (barcode.twoDimensional ? el.width ?? 20 : 10));
+
+    const module = Math.max(1, barcode.twoDimensional
+      ? Math.floor(Math.min(boxWidth / columns, boxHeight / rows))
+      : Math.floor(boxWidth / columns));
+    const width = columns * module;
+    const height = barcode.twoDimensional
+      ? rows * module
+      : Math.max(1, boxHeight - (barcode.showText ? this.ptToDots(barcode.textSize) : 0));
+
+    return {
+      ...barcode,
+      module,
+      width,
+      height,
+      x: this.mmToDots(el.x) + Math.max(0, Math.floor((boxWidth - width) / 2)),
+      y: this.mmToDots(el.y) + (barcode.twoDimensional ? Math.max(0, Math.floor((boxHeight - height) / 2)) : 0)
+    };
+  }
+
+  /**
+   * 1-bit graphic of an image element, packed 8 dots per byte (MSB first)
+   * @private
+   * @param {Object} el - Image element (with el.buffer)
+   * @param {Object} [options]
+   * @param {boolean} [options.invert=false] - 0 bits print black (EPL/TSPL)
+   */
+  imageBitmap(el, { invert = false } = {}) {
+    const { x, y, width, height, bits } = LabelImage.toBitmap(el, mm => this.mmToDots(mm));
+    const rowBytes = Math.ceil(width / 8);
+    const data = Buffer.alloc(rowBytes * height);
+
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        if (bits[row * width + col]) {
+          data[row * rowBytes + (col >> 3)] |= 0x80 >> (col & 7);
+        }
+      }
+    }
+    if (invert) {
+      for (let i = 0; i < data.length; i++) data[i] = ~data[i] & 0xff;
+    }
+
+    return { x, y, width, height, rowBytes, data };
+  }
+
+  /**
+   * Join text commands and binary graphics into a single buffer
+   * @private
+   */
+  joinCommands(lines, separator, encode) {
+    const parts = [];
+    lines.forEach((line, index) => {
+      if (index > 0) parts.push(encode(separator));
+      parts.push(Buffer.isBuffer(line) ? line : encode(line));
+    });
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Position of a text element in dots: vertically centered in its box
+   * (like line-height in the HTML path), truncated with "..." when it
+   * would overflow the box width
+   * @private
+   * @returns {Object|null} null when there is nothing to print
+   */
+  textBox(el, metrics = {}) {
+    const text = String(el.content ?? '').replace(/[\r\n]+/g, ' ');
+    if (!text.trim()) return null;
+
+    const fontHeight = metrics.fontHeight || this.ptToDots(el.fontSize || 8);
+    const charWidth = metrics.charWidth || fontHeight * CHAR_WIDTH_RATIO;
+    const width = Math.max(1, this.mmToDots(el.width ?? this.widthMm - (el.x || 0)));
+    const height = el.height !== undefined ? this.mmToDots(el.height) : fontHeight;
+
+    return {
+      x: this.mmToDots(el.x),
+      y: this.mmToDots(el.y) + Math.max(0, Math.round((height - fontHeight) / 2)),
+      width,
+      fontHeight,
+      align: ['center', 'right'].includes(el.textAlign) ? el.textAlign : 'left',
+      bold: el.fontWeight === 'bold' || Number(el.fontWeight) >= 600,
+      text: this.fitText(text, Math.floor(width / charWidth))
+    };
+  }
+
+  /**
+   * @private
+   */
+  fitText(text, maxChars) {
+    const chars = Array.from(text);
+    if (chars.length <= maxChars) return text;
+    if (maxChars <= 3) return chars.slice(0, Math.max(1, maxChars)).join('');
+    return chars.slice(0, maxChars - 3).join('') + '...';
+  }
+
+  /**
+   * Horizontal offset of a fixed-width text run inside its box
+   * @private
+   */
+  alignOffset(box, textWidth) {
+    const free = Math.max(0, box.width - textWidth);
+    return { left: 0, center: Math.round(free / 2), right: free }[box.align];
+  }
+}
+
+LabelCompiler.LANGUAGES = LANGUAGES;
+
+module.exports = LabelCompiler;
@@ -0,0 +1,154 @@
+/**
+ * Label Image
+ *
+ * Image elements of templated labels (shop logo, certification marks...):
+ *   { type: 'image', url | base64, x, y, width, height, fit: 'contain' | 'fill',
+ *     monochrome, threshold, dither, optional }
+ * Positions and sizes are in mm, like the other elements of the template editor.
+ *
+ * - 'contain' (default) keeps the aspect ratio, centered in the box;
+ *   'fill' stretches the image to the box
+ * - monochrome images are converted to black/white dots at the printer
+ *   resolution (threshold by default, or Floyd–Steinberg), which direct
+ *   thermal heads print far better than driver-dithered grays. Needs a PNG.
+ * - Native label languages (ZPL/EPL/TSPL) always get monochrome bitmaps
+ */
+
+const ThermalImage = require('./thermalImage');
+
+const SIGNATURES = [
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mime: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], also: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } }
+];
+
+class LabelImage {
+  /**
+   * Check whether an element is an image
+   * @param {Object} el - Label element
+   * @returns {boolean}
+   */
+  static isImage(el) {
+    return el?.type === 'image';
+  }
+
+  /**
+   * Read the image of an element
+   * @param {Object} el - Label element
+   * @param {Function} loadImage - async (url) => Buffer
+   * @returns {Promise<Buffer>}
+   */
+  static async load(el, loadImage) {
+    if (el.base64) {
+      return Buffer.from(String(el.base64).replace(/^data:[^;]+;base64,/, ''), 'base64');
+    }
+    if (el.url) {
+      return loadImage(el.url);
+    }
+    throw new Error('image element requires url or base64');
+  }
+
+  /**
+   * Detect the image format from its signature
+   * @param {Buffer} buffer
+   * @returns {string|null} MIME type
+   */
+  static mimeType(buffer) {
+    if (!Buffer.isBuffer(buffer)) return null;
+
+    const head = buffer.subarray(0, 256).toString('utf8').trimStart();
+    if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) {
+      return 'image/svg+xml';
+    }
+
+    const match = SIGNATURES.find(({ bytes, also }) =>
+      bytes.every((b, i) => buffer[i] === b) &&
+      (!also || also.bytes.every((b, i) => buffer[also.offset + i] === b)));
+    return match ? match.mime : null;
+  }
+
+  /**
+   * Placement of the image inside its box, in printer dots
+   * @param {Object} el - Label element (with el.buffer, PNG)
+   * @param {Function} mmToDots
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  static layout(el, mmToDots) {
+    const boxX = mmToDots(el.x);
+    const boxY = mmToDots(el.y);
+    const boxWidth = Math.max(1, mmToDots(el.width ?? 20));
+    const boxHeight = Math.max(1, mmToDots(el.height ?? el.width ?? 20));
+
+    if (el.fit === 'fill') {
+      return { x: boxX, y: boxY, width: boxWidth, height: boxHeight };
+    }
+
+    const { width, height } = ThermalImage.decode(el.buffer);
+    const scale = Math.min(boxWidth / width, boxHeight / height);
+    const fitted = {
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale))
+    };
+    return {
+      x: boxX + Math.floor((boxWidth - fitted.width) / 2),
+      y: boxY + Math.floor((boxHeight - fitted.height) / 2),
+      ...fitted
+    };
+  }
+
+  /**
+   * Black/white dots of an image element, placed in its box
+   * @param {Object} el - Label element (with el.buffer, PNG)
+   * @param {Function} mmToDots
+   * @returns {{x: number, y: number, width: number, height: number, bits: Uint8Array}} 1 = black dot
+   */
+  static toBitmap(el, mmToDots) {
+    const box = LabelImage.layout(el, mmToDots);
+    const { bits } = ThermalImage.rasterize(el.buffer, {
+      width: box.width,
+      height: box.height,
+      maxWidth: box.width,
+      dither: el.dither || 'threshold',
+      threshold: el.threshold
+    });
+    return { ...box, bits };
+  }
+
+  /**
+   * Render an image element as an absolutely positioned <img>
+   * @param {Object} el - Label element (with el.buffer)
+   * @param {Object} options
+   * @param {number} options.dpi - Printer resolution, for monochrome conversion
+   * @returns {string}
+   */
+  static toHTML(el, { dpi }) {
+    const mime = LabelImage.mimeType(el.buffer);
+    if (!mime) {
+      throw new Error('Unsupported image format (PNG, JPEG, GIF, WebP or SVG)');
+    }
+
+    let src = `data:${mime};base64,${el.buffer.toString('base64')}`;
+    let rendering = 'auto';
+    if (el.monochrome) {
+      const mmToDots = (mm) => Math.round((Number(mm) || 0) * dpi / 25.4);
+      const box = LabelImage.layout(el, mmToDots);
+      const png = ThermalImage.prepare(el.buffer, {
+        width: box.width,
+        height: box.height,
+        maxWidth: box.width,
+        dither: el.dither || 'threshold',
+        threshold: el.threshold
+      });
+      src = `data:image/png;base64,${png.toString('base64')}`;
+      rendering = 'pixelated';
+    }
+
+    const fit = el.fit === 'fill' ? 'fill' : 'contain';
+    const width = el.width ?? 20;
+    const height = el.height ?? width;
+    return `<img src="${src}" style="position:absolute;left:${el.x}mm;top:${el.y}mm;width:${width}mm;height:${height}mm;object-fit:${fit};image-rendering:${rendering};">`;
+  }
+}
+
+module.exports = LabelImage;
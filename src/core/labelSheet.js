@@ -0,0 +1,157 @@
+/**
+ * Label Sheet
+ *
+ * Grid of labels on A4/Letter sheets, for shops printing labels on an office
+ * printer instead of a roll printer:
+ *   'avery-l7160'                                   (preset)
+ *   { preset: 'avery-l7160', startPosition: 8 }     (partly used sheet)
+ *   { paper: 'A4', columns: 3, rows: 7, labelWidthMm: 63.5, labelHeightMm: 38.1,
+ *     marginTopMm: 15.15, marginLeftMm: 7.25, gutterXMm: 2.5, gutterYMm: 0 }
+ *
+ * Positions are numbered from 1, left to right then top to bottom;
+ * startPosition skips the labels already peeled off the first sheet.
+ */
+
+const PAPER_SIZES = {
+  A4: { widthMm: 210, heightMm: 297 },
+  Letter: { widthMm: 215.9, heightMm: 279.4 }
+};
+
+// Avery (and compatible) layouts — sizes and margins from the manufacturer templates
+const PRESETS = {
+  'avery-l7159': { paper: 'A4', columns: 3, rows: 8, labelWidthMm: 63.5, labelHeightMm: 33.9, marginTopMm: 12.9, marginLeftMm: 7.25, gutterXMm: 2.5, gutterYMm: 0 },
+  'avery-l7160': { paper: 'A4', columns: 3, rows: 7, labelWidthMm: 63.5, labelHeightMm: 38.1, marginTopMm: 15.15, marginLeftMm: 7.25, gutterXMm: 2.5, gutterYMm: 0 },
+  'avery-l7161': { paper: 'A4', columns: 3, rows: 6, labelWidthMm: 63.5, labelHeightMm: 46.6, marginTopMm: 8.8, marginLeftMm: 7.25, gutterXMm: 2.5, gutterYMm: 0 },
+  'avery-l7162': { paper: 'A4', columns: 2, rows: 8, labelWidthMm: 99.1, labelHeightMm: 33.9, marginTopMm: 12.9, marginLeftMm: 4.65, gutterXMm: 2.5, gutterYMm: 0 },
+  'avery-l7163': { paper: 'A4', columns: 2, rows: 7, labelWidthMm: 99.1, labelHeightMm: 38.1, marginTopMm: 15.15, marginLeftMm: 4.65, gutterXMm: 2.5, gutterYMm: 0 },
+  'avery-l7165': { paper: 'A4', columns: 2, rows: 4, labelWidthMm: 99.1, labelHeightMm: 67.7, marginTopMm: 13.1, marginLeftMm: 4.65, gutterXMm: 2.5, gutterYMm: 0 },
+  'avery-l7651': { paper: 'A4', columns: 5, rows: 13, labelWidthMm: 38.1, labelHeightMm: 21.2, marginTopMm: 10.7, marginLeftMm: 4.75, gutterXMm: 2.5, gutterYMm: 0 },
+  'avery-5160': { paper: 'Letter', columns: 3, rows: 10, labelWidthMm: 66.675, labelHeightMm: 25.4, marginTopMm: 12.7, marginLeftMm: 4.7625, gutterXMm: 3.175, gutterYMm: 0 },
+  'avery-5163': { paper: 'Letter', columns: 2, rows: 5, labelWidthMm: 101.6, labelHeightMm: 50.8, marginTopMm: 12.7, marginLeftMm: 3.96875, gutterXMm: 4.7625, gutterYMm: 0 },
+  'avery-5167': { paper: 'Letter', columns: 4, rows: 20, labelWidthMm: 44.45, labelHeightMm: 12.7, marginTopMm: 12.7, marginLeftMm: 7.62, gutterXMm: 7.62, gutterYMm: 0 }
+};
+
+// Printers can't print to the very edge; tolerate templates that round up slightly
+const FIT_TOLERANCE_MM = 0.5;
+
+const round = (mm) => Math.round(mm * 1000) / 1000;
+
+class LabelSheet {
+  /**
+   * @param {string|Object} sheet - Preset name, or layout (optionally based on a preset)
+   */
+  constructor(sheet) {
+    const options = typeof sheet === 'string' ? { preset: sheet } : { ...sheet };
+
+    let layout = {};
+    if (options.preset) {
+      layout = PRESETS[String(options.preset).toLowerCase()];
+      if (!layout) {
+        throw new Error(`Unknown label sheet preset: ${options.preset} (use ${Object.keys(PRESETS).join(', ')})`);
+      }
+    }
+    layout = { paper: 'A4', marginTopMm: 0, marginLeftMm: 0, gutterXMm: 0, gutterYMm: 0, ...layout, ...LabelSheet.pickLayout(options) };
+
+    const paper = PAPER_SIZES[layout.paper];
+    if (!paper) {
+      throw new Error(`Unsupported sheet paper: ${layout.paper} (use ${Object.keys(PAPER_SIZES).join(', ')})`);
+    }
+
+    this.paper = layout.paper;
+    this.paperWidthMm = paper.widthMm;
+    this.paperHeightMm = paper.heightMm;
+    this.columns = parseInt(layout.columns, 10);
+    this.rows = parseInt(layout.rows, 10);
+    this.labelWidthMm = Number(layout.labelWidthMm);
+    this.labelHeightMm = Number(layout.labelHeightMm);
+    this.marginTopMm = Number(layout.marginTopMm);
+    this.marginLeftMm = Number(layout.marginLeftMm);
+    this.gutterXMm = Number(layout.gutterXMm);
+    this.gutterYMm = Number(layout.gutterYMm);
+    this.startPosition = parseInt(options.startPosition, 10) || 1;
+
+    this.validate();
+  }
+
+  /**
+   * Apply the sheet of a job onto the printer's saved sheet: a partial object
+   * (no preset nor grid, e.g. { startPosition: 8 }) only changes the saved one
+   * @param {string|Object|false|null} sheet - Sheet given by the job
+   * @param {string|Object|null} saved - Sheet saved for the printer
+   * @returns {string|Object|false|null}
+   */
+  static merge(sheet, saved) {
+    if (sheet === undefined || sheet === null) return saved ?? null;
+    if (!sheet || typeof sheet !== 'object' || !saved) return sheet;
+    if (sheet.preset || (sheet.columns && sheet.rows)) return sheet;
+    return { ...(typeof saved === 'string' ? { preset: saved } : saved), ...sheet };
+  }
+
+  /**
+   * @private
+   */
+  static pickLayout(options) {
+    const keys = ['paper', 'columns', 'rows', 'labelWidthMm', 'labelHeightMm', 'marginTopMm', 'marginLeftMm', 'gutterXMm', 'gutterYMm'];
+    return Object.fromEntries(keys.filter(key => options[key] !== undefined).map(key => [key, options[key]]));
+  }
+
+  /**
+   * Labels per sheet
+   * @returns {number}
+   */
+  get perSheet() {
+    return this.columns * this.rows;
+  }
+
+  /**
+   * @private
+   */
+  validate() {
+    if (!(this.columns >= 1) || !(this.rows >= 1)) {
+      throw new Error('Label sheet needs at least 1 column and 1 row');
+    }
+    if (!(this.labelWidthMm > 0) || !(this.labelHeightMm > 0)) {
+      throw new Error('Label sheet needs labelWidthMm and labelHeightMm');
+    }
+    if ([this.marginTopMm, this.marginLeftMm, this.gutterXMm, this.gutterYMm].some(v => !(v >= 0))) {
+      throw new Error('Label sheet margins and gutters must be positive numbers');
+    }
+
+    const usedWidth = this.marginLeftMm + this.columns * this.labelWidthMm + (this.columns - 1) * this.gutterXMm;
+    const usedHeight = this.marginTopMm + this.rows * this.labelHeightMm + (this.rows - 1) * this.gutterYMm;
+    if (usedWidth > this.paperWidthMm + FIT_TOLERANCE_MM || usedHeight > this.paperHeightMm + FIT_TOLERANCE_MM) {
+      throw new Error(`Label grid (${usedWidth.toFixed(1)}×${usedHeight.toFixed(1)}mm) does not fit on ${this.paper} paper`);
+    }
+
+    if (this.startPosition < 1 || this.startPosition > this.perSheet) {
+      throw new Error(`startPosition must be between 1 and ${this.perSheet}`);
+    }
+  }
+
+  /**
+   * Sheet and position (top-left corner, mm) of each label
+   * @param {number} count - Number of labels
+   * @returns {Array<{sheet: number, x: number, y: number}>} sheet is 0-based
+   */
+  positions(count) {
+    const result = [];
+    for (let i = 0; i < count; i++) {
+      const slot = this.startPosition - 1 + i;
+      const sheet = Math.floor(slot / this.perSheet);
+      const cell = slot % this.perSheet;
+      const column = cell % this.columns;
+      const row = Math.floor(cell / this.columns);
+
+      result.push({
+        sheet,
+        x: round(this.marginLeftMm + column * (this.labelWidthMm + this.gutterXMm)),
+        y: round(this.marginTopMm + row * (this.labelHeightMm + this.gutterYMm))
+      });
+    }
+    return result;
+  }
+}
+
+LabelSheet.PRESETS = Object.keys(PRESETS);
+
+module.exports = LabelSheet;
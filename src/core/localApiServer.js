@@ -0,0 +1,259 @@
+/**
+ * Local API Server
+ *
+ * Embedded HTTP server so local apps (kiosk, POS web apps) can print
+ * without a round trip through the ERP backend.
+ * - Bound to 127.0.0.1 by default
+ * - Every endpoint requires the local API token (Bearer or X-Api-Token header)
+ * - Jobs use the same shape as backend jobs and go through the same JobQueue
+ * - Job ids are namespaced ('local-…', returned by POST /api/jobs)
+ *
+ * Endpoints:
+ *   GET    /api/status         Client status (connection, queue stats)
+ *   GET    /api/printers       Detected printers
+ *   POST   /api/jobs           Submit a print job
+ *   GET    /api/jobs           Recent jobs
+ *   GET    /api/jobs/:id       Job status
+ *   DELETE /api/jobs/:id       Cancel a queued job
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const MAX_BODY_SIZE = 20 * 1024 * 1024; // 20MB — base64 PDFs can be large
+
+class LocalApiServer extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {import('./PrintClientCore')} options.core - Print client core
+   * @param {string} [options.host] - Bind address
+   * @param {number} [options.port] - Listen port
+   * @param {string} options.token - Shared secret required on every request
+   */
+  constructor({ core, host = '127.0.0.1', port = 9180, token }) {
+    super();
+
+    if (!token) {
+      throw new Error('LocalApiServer requires a token');
+    }
+
+    this.core = core;
+    this.host = host;
+    this.port = port;
+    this.token = token;
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (this.server) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => {
+        this._handleRequest(req, res).catch((error) => {
+          this._sendJSON(res, 500, { success: false, error: error.message });
+        });
+      });
+
+      const onStartupError = (error) => {
+        this.server = null;
+        reject(new Error(`Local API failed to listen on ${this.host}:${this.port}: ${error.message}`));
+      };
+
+      server.once('error', onStartupError);
+      server.listen(this.port, this.host, () => {
+        server.off('error', onStartupError);
+        server.on('error', (error) => this.emit('error', error));
+        this.server = server;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Get the base URL of the API
+   * @returns {string}
+   */
+  getUrl() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * Route a request
+   * @private
+   */
+  async _handleRequest(req, res) {
+    this._setCorsHeaders(res);
+
+    // CORS preflight — browsers never send credentials here
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (!this._isAuthorized(req)) {
+      this._sendJSON(res, 401, { success: false, error: 'Invalid or missing API token' });
+      return;
+    }
+
+    const { pathname } = new URL(req.url, this.getUrl());
+    const segments = pathname.split('/').filter(Boolean);
+
+    if (segments[0] !== 'api') {
+      this._sendJSON(res, 404, { success: false, error: 'Not found' });
+      return;
+    }
+
+    const [, resource, id] = segments;
+    const route = `${req.method} ${resource || ''}${id ? '/:id' : ''}`;
+
+    switch (route) {
+      case 'GET status':
+        this._sendJSON(res, 200, {
+          success: true,
+          connected: this.core.isConnected(),
+          connectionState: this.core.getConnectionState(),
+          queueStats: this.core.getQueueStats()
+        });
+        return;
+
+      case 'GET printers':
+        this._sendJSON(res, 200, { success: true, printers: this.core.getPrinters() });
+        return;
+
+      case 'GET jobs':
+        this._sendJSON(res, 200, { success: true, jobs: this.core.getRecentJobs(50) });
+        return;
+
+      case 'POST jobs':
+        return this._submitJob(req, res);
+
+      case 'GET jobs/:id': {
+        const job = this.core.getJob(decodeURIComponent(id));
+        if (!job) {
+          this._sendJSON(res, 404, { success: false, error: `Job not found: ${id}` });
+          return;
+        }
+        this._sendJSON(res, 200, { success: true, job });
+        return;
+      }
+
+      case 'DELETE jobs/:id': {
+        const jobId = decodeURIComponent(id);
+        const job = this.core.getJob(jobId);
+        if (!job) {
+          this._sendJSON(res, 404, { success: false, error: `Job not found: ${jobId}` });
+          return;
+        }
+        if (job.status !== 'queued' || !this.core.cancelJob(job.id)) {
+          this._sendJSON(res, 409, { success: false, error: `Job cannot be cancelled (${job.status})` });
+          return;
+        }
+        this._sendJSON(res, 200, { success: true });
+        return;
+      }
+
+      default:
+        this._sendJSON(res, 404, { success: false, error: 'Not found' });
+    }
+  }
+
+  /**
+   * POST /api/jobs
+   * @private
+   */
+  async _submitJob(req, res) {
+    let payload;
+    try {
+      payload = JSON.parse(await this._readBody(req));
+    } catch (error) {
+      this._sendJSON(res, 400, { success: false, error: `Invalid JSON body: ${error.message}` });
+      return;
+    }
+
+    try {
+      const job = this.core.submitLocalJob(payload);
+      this.emit('job-submitted', job);
+      this._sendJSON(res, 202, { success: true, jobId: job.id, job: this.core.getJob(job.id) });
+    } catch (error) {
+      this._sendJSON(res, 400, { success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Read the request body with a size limit
+   * @private
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Check the request token (constant-time comparison)
+   * @private
+   */
+  _isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const provided = header.startsWith('Bearer ')
+      ? header.slice(7).trim()
+      : (req.headers['x-api-token'] || '');
+
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(String(provided));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Allow browser-based local apps to call the API
+   * @private
+   */
+  _setCorsHeaders(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, X-Api-Token, Content-Type');
+  }
+
+  /**
+   * Send a JSON response
+   * @private
+   */
+  _sendJSON(res, statusCode, body) {
+    if (res.headersSent) return;
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = LocalApiServer;
@@ -0,0 +1,111 @@
+/**
+ * Logo Cache
+ *
+ * On-disk cache for images referenced by URL in receipts and label templates
+ * (shop logos, certification marks), so the same image is not downloaded
+ * again for every print.
+ * - One directory per tenant: <cacheDir>/<tenantId>/<sha1(url)>.img
+ * - Entries are refreshed after maxAge; a stale entry is still used
+ *   when the refresh fails (offline shop)
+ * - Concurrent requests for the same URL share a single download
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class LogoCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.cacheDir - Root cache directory
+   * @param {Function} options.download - async (url, destPath) => void
+   * @param {number} [options.maxAge] - Refresh interval in ms (default 24h)
+   */
+  constructor({ cacheDir, download, maxAge = 24 * 60 * 60 * 1000 }) {
+    this.cacheDir = cacheDir;
+    this.download = download;
+    this.maxAge = maxAge;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Get an image, downloading it if missing or expired
+   * @param {string} url
+   * @param {string} [tenantId]
+   * @returns {Promise<Buffer>}
+   */
+  async get(url, tenantId) {
+    const filePath = this.getPath(url, tenantId);
+
+    const stat = this._stat(filePath);
+    if (stat && Date.now() - stat.mtimeMs < this.maxAge) {
+      return fs.readFileSync(filePath);
+    }
+
+    if (!this.inFlight.has(filePath)) {
+      const pending = this._fetch(url, filePath)
+        .finally(() => this.inFlight.delete(filePath));
+      this.inFlight.set(filePath, pending);
+    }
+
+    try {
+      await this.inFlight.get(filePath);
+    } catch (error) {
+      if (!stat) throw error;
+      // Keep printing with the previous logo while offline
+    }
+    return fs.readFileSync(filePath);
+  }
+
+  /**
+   * Cache file path for a URL
+   * @param {string} url
+   * @param {string} [tenantId]
+   * @returns {string}
+   */
+  getPath(url, tenantId) {
+    const tenantDir = String(tenantId || 'default').replace(/[^a-zA-Z0-9_-]/g, '_');
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(this.cacheDir, tenantDir, `${hash}.img`);
+  }
+
+  /**
+   * Remove cached images (one tenant, or all)
+   * @param {string} [tenantId]
+   */
+  clear(tenantId) {
+    const dir = tenantId
+      ? path.dirname(this.getPath('', tenantId))
+      : this.cacheDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  /**
+   * Download to a temp file then rename, so readers never see partial files
+   * @private
+   */
+  async _fetch(url, filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      await this.download(url, tmpPath);
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      try { fs.unlinkSync(tmpPath); } catch (_) {}
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _stat(filePath) {
+    try {
+      return fs.statSync(filePath);
+    } catch (_) {
+      return null;
+    }
+  }
+}
+
+module.exports = LogoCache;
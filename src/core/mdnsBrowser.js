@@ -0,0 +1,279 @@
+/**
+ * mDNS Browser
+ *
+ * Minimal DNS-SD over multicast DNS client (RFC 6762/6763), enough to list
+ * the printers advertising _ipp._tcp, _pdl-datastream._tcp or _printer._tcp
+ * on the local network. Queries are sent twice; records missing from the
+ * first answers (SRV, TXT, addresses) are asked for explicitly.
+ */
+
+const dgram = require('dgram');
+
+const MDNS_ADDRESS = '224.0.0.251';
+const MDNS_PORT = 5353;
+
+// Record types
+const TYPE_A = 1;
+const TYPE_PTR = 12;
+const TYPE_TXT = 16;
+const TYPE_SRV = 33;
+const CLASS_IN = 1;
+
+const FLAG_RESPONSE = 0x8000;
+
+const DEFAULT_TIMEOUT = 3000;
+
+class MdnsBrowser {
+  /**
+   * Browse DNS-SD services
+   * @param {string[]} serviceTypes - e.g. ['_ipp._tcp', '_printer._tcp']
+   * @param {Object} [options]
+   * @param {number} [options.timeout=3000] - How long to collect answers, ms
+   * @returns {Promise<Array<{name: string, type: string, host: string, port: number, addresses: string[], txt: Object}>>}
+   */
+  static async browse(serviceTypes, { timeout = DEFAULT_TIMEOUT } = {}) {
+    const socket = await MdnsBrowser.openSocket();
+    const records = { ptr: new Map(), srv: new Map(), txt: new Map(), a: new Map() };
+    const domains = serviceTypes.map(type => `${type}.local`);
+
+    socket.on('message', (message) => {
+      try {
+        MdnsBrowser.collect(MdnsBrowser.decodeResponse(message), records);
+      } catch (_) {
+        // Malformed packet from some device — ignore it
+      }
+    });
+
+    const query = (questions) => {
+      if (questions.length > 0) {
+        socket.send(MdnsBrowser.encodeQuery(questions), MDNS_PORT, MDNS_ADDRESS, () => {});
+      }
+    };
+
+    return new Promise((resolve) => {
+      query(domains.map(name => [name, TYPE_PTR]));
+
+      // Second round: repeat the browse, ask for what the first answers left out
+      const retry = setTimeout(() => {
+        const missing = domains.map(name => [name, TYPE_PTR]);
+        for (const instances of records.ptr.values()) {
+          for (const instance of instances) {
+            const key = instance.toLowerCase();
+            if (!records.srv.has(key)) missing.push([instance, TYPE_SRV]);
+            if (!records.txt.has(key)) missing.push([instance, TYPE_TXT]);
+          }
+        }
+        for (const srv of records.srv.values()) {
+          if (!records.a.has(srv.target.toLowerCase())) missing.push([srv.target, TYPE_A]);
+        }
+        query(missing);
+      }, Math.floor(timeout / 2));
+
+      setTimeout(() => {
+        clearTimeout(retry);
+        socket.close();
+        resolve(MdnsBrowser.assemble(serviceTypes, records));
+      }, timeout);
+    });
+  }
+
+  /**
+   * Bind the mDNS port to receive multicast answers; when another responder
+   * holds it exclusively, an ephemeral port still gets unicast answers
+   * @returns {Promise<dgram.Socket>}
+   * @private
+   */
+  static openSocket() {
+    const bind = (port) => new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      socket.once('error', (error) => {
+        socket.close();
+        reject(error);
+      });
+      socket.bind(port, () => {
+        socket.removeAllListeners('error');
+        socket.on('error', () => {});
+        try {
+          socket.setMulticastTTL(255);
+          socket.addMembership(MDNS_ADDRESS);
+        } catch (_) {
+          // No multicast route — unicast answers only
+        }
+        resolve(socket);
+      });
+    });
+
+    return bind(MDNS_PORT).catch(() => bind(0));
+  }
+
+  /**
+   * Index the records of a response
+   * @private
+   */
+  static collect(records, index) {
+    for (const record of records) {
+      const key = record.name.toLowerCase();
+      if (record.type === TYPE_PTR) {
+        if (!index.ptr.has(key)) index.ptr.set(key, new Set());
+        index.ptr.get(key).add(record.data);
+      } else if (record.type === TYPE_SRV) {
+        index.srv.set(key, record.data);
+      } else if (record.type === TYPE_TXT) {
+        index.txt.set(key, record.data);
+      } else if (record.type === TYPE_A) {
+        if (!index.a.has(key)) index.a.set(key, new Set());
+        index.a.get(key).add(record.data);
+      }
+    }
+  }
+
+  /**
+   * Build the service list from the collected records
+   * @private
+   */
+  static assemble(serviceTypes, index) {
+    const services = [];
+    for (const type of serviceTypes) {
+      const suffix = `.${type}.local`;
+      for (const instance of index.ptr.get(`${type}.local`.toLowerCase()) || []) {
+        const srv = index.srv.get(instance.toLowerCase());
+        if (!srv) continue;
+        services.push({
+          name: instance.toLowerCase().endsWith(suffix.toLowerCase()) ? instance.slice(0, -suffix.length) : instance,
+          type,
+          host: srv.target,
+          port: srv.port,
+          addresses: [...(index.a.get(srv.target.toLowerCase()) || [])],
+          txt: index.txt.get(instance.toLowerCase()) || {}
+        });
+      }
+    }
+    return services;
+  }
+
+  /**
+   * @param {Array<[string, number]>} questions - [name, type]
+   * @returns {Buffer}
+   * @private
+   */
+  static encodeQuery(questions) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(questions.length, 4);
+
+    const parts = [header];
+    for (const [name, type] of questions) {
+      const tail = Buffer.alloc(4);
+      tail.writeUInt16BE(type, 0);
+      tail.writeUInt16BE(CLASS_IN, 2);
+      parts.push(MdnsBrowser.encodeName(name), tail);
+    }
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * @private
+   */
+  static encodeName(name) {
+    const labels = name.split('.').filter(Boolean).map(label => {
+      const bytes = Buffer.from(label, 'utf8');
+      return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+    });
+    return Buffer.concat([...labels, Buffer.from([0])]);
+  }
+
+  /**
+   * Decode the answer, authority and additional records of a response
+   * @param {Buffer} message
+   * @returns {Array<{name: string, type: number, data: *}>} Queries yield no records
+   * @private
+   */
+  static decodeResponse(message) {
+    if (!(message.readUInt16BE(2) & FLAG_RESPONSE)) return [];
+
+    const questionCount = message.readUInt16BE(4);
+    const recordCount = message.readUInt16BE(6) + message.readUInt16BE(8) + message.readUInt16BE(10);
+    let offset = 12;
+
+    for (let i = 0; i < questionCount; i++) {
+      offset = MdnsBrowser.decodeName(message, offset).offset + 4;
+    }
+
+    const records = [];
+    for (let i = 0; i < recordCount; i++) {
+      const { name, offset: next } = MdnsBrowser.decodeName(message, offset);
+      const type = message.readUInt16BE(next);
+      const length = message.readUInt16BE(next + 8);
+      const start = next + 10;
+      offset = start + length;
+
+      let data;
+      if (type === TYPE_PTR) {
+        data = MdnsBrowser.decodeName(message, start).name;
+      } else if (type === TYPE_SRV) {
+        data = { port: message.readUInt16BE(start + 4), target: MdnsBrowser.decodeName(message, start + 6).name };
+      } else if (type === TYPE_TXT) {
+        data = MdnsBrowser.decodeTxt(message.slice(start, offset));
+      } else if (type === TYPE_A && length === 4) {
+        data = Array.from(message.slice(start, offset)).join('.');
+      } else {
+        continue;
+      }
+      records.push({ name, type, data });
+    }
+    return records;
+  }
+
+  /**
+   * Read a (possibly compressed) domain name
+   * @returns {{name: string, offset: number}} offset: just after the name in the record
+   * @private
+   */
+  static decodeName(message, offset) {
+    const labels = [];
+    let end = null;
+    let jumps = 0;
+
+    for (;;) {
+      const length = message[offset];
+      if (length === undefined) throw new Error('Truncated DNS name');
+      if (length === 0) {
+        offset += 1;
+        break;
+      }
+      if ((length & 0xc0) === 0xc0) {
+        if (++jumps > 16) throw new Error('DNS name pointer loop');
+        if (end === null) end = offset + 2;
+        offset = message.readUInt16BE(offset) & 0x3fff;
+        continue;
+      }
+      labels.push(message.toString('utf8', offset + 1, offset + 1 + length));
+      offset += 1 + length;
+    }
+
+    return { name: labels.join('.'), offset: end === null ? offset : end };
+  }
+
+  /**
+   * TXT strings (key=value) as an object, keys lower-cased
+   * @private
+   */
+  static decodeTxt(data) {
+    const txt = {};
+    let offset = 0;
+    while (offset < data.length) {
+      const length = data[offset];
+      const entry = data.toString('utf8', offset + 1, offset + 1 + length);
+      offset += 1 + length;
+
+      const separator = entry.indexOf('=');
+      if (separator > 0) {
+        txt[entry.slice(0, separator).toLowerCase()] = entry.slice(separator + 1);
+      } else if (entry) {
+        txt[entry.toLowerCase()] = true;
+      }
+    }
+    return txt;
+  }
+}
+
+module.exports = MdnsBrowser;
@@ -0,0 +1,303 @@
+/**
+ * Network Printer
+ *
+ * Sends documents straight to a network printer, without an OS print queue:
+ *   socket://192.168.1.50[:9100]      raw TCP (JetDirect) — ESC/POS, ZPL, EPL, PCL, PDF*
+ *   lpd://192.168.1.50[:515]/queue    Line Printer Daemon (RFC 1179)
+ *   ipp://192.168.1.50[:631]/ipp/print, ipps://...   Internet Printing Protocol
+ *
+ * (*) raw and LPD printers receive the bytes as-is: PDF only prints on
+ * printers that interpret it. IPP printers are told the document format.
+ */
+
+const net = require('net');
+const os = require('os');
+const IppClient = require('./ippClient');
+
+const PROTOCOLS = {
+  socket: { port: 9100 },
+  lpd: { port: 515 },
+  ipp: { port: 631 },
+  ipps: { port: 631 }
+};
+
+const DEFAULT_TIMEOUT = 10000;
+
+class NetworkPrinter {
+  /**
+   * @param {string} uri - socket://, lpd://, ipp:// or ipps:// URI
+   * @param {Object} [options]
+   * @param {number} [options.timeout=10000] - Connection / acknowledgement timeout, ms
+   */
+  constructor(uri, { timeout = DEFAULT_TIMEOUT } = {}) {
+    const parsed = NetworkPrinter.parse(uri);
+    this.uri = uri;
+    this.protocol = parsed.protocol;
+    this.host = parsed.host;
+    this.port = parsed.port;
+    this.queue = parsed.queue;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Check whether a URI can be printed to directly
+   * @param {string} uri
+   * @returns {boolean}
+   */
+  static isSupported(uri) {
+    try {
+      NetworkPrinter.parse(uri);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether the printer is told the document is a PDF (IPP). Raw and LPD
+   * printers get the bytes as-is: label printers would print PDF source as text
+   * @returns {boolean}
+   */
+  printsPdf() {
+    return this.protocol === 'ipp' || this.protocol === 'ipps';
+  }
+
+  /**
+   * @param {string} uri
+   * @returns {{protocol: string, host: string, port: number, queue: string|null}}
+   */
+  static parse(uri) {
+    let url;
+    try {
+      url = new URL(String(uri));
+    } catch (_) {
+      throw new Error(`Invalid printer URI: ${uri}`);
+    }
+
+    const protocol = url.protocol.replace(/:$/, '').toLowerCase();
+    if (!PROTOCOLS[protocol]) {
+      throw new Error(`Unsupported printer URI: ${uri} (use ${Object.keys(PROTOCOLS).map(p => `${p}://`).join(', ')})`);
+    }
+    if (!url.hostname) {
+      throw new Error(`Printer URI has no host: ${uri}`);
+    }
+
+    const queue = decodeURIComponent(url.pathname.replace(/^\/+/, '')) || null;
+    if (protocol === 'lpd' && !queue) {
+      throw new Error(`LPD printer URI needs a queue name: ${uri} (lpd://host/queue)`);
+    }
+
+    return {
+      protocol,
+      host: url.hostname.replace(/^\[|\]$/g, ''),
+      port: parseInt(url.port, 10) || PROTOCOLS[protocol].port,
+      queue
+    };
+  }
+
+  /**
+   * Send a document
+   * @param {Buffer|string} data
+   * @param {Object} [options]
+   * @param {string} [options.jobName]
+   * @param {string} [options.documentFormat] - MIME type, for IPP (application/pdf, application/octet-stream)
+   * @param {PrintOptions} [options.printOptions] - Copies, duplex... (IPP only; IPP warnings
+   *   are added to printOptions.warnings)
+   * @returns {Promise<{osJobId: null, printerJobId: number|null, warnings: string[]}>}
+   *   osJobId is null: there is no OS spooler job to monitor
+   */
+  async send(data, { jobName = 'RepairMind', documentFormat = 'application/octet-stream', printOptions } = {}) {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+    const warnings = [];
+    let printerJobId = null;
+
+    try {
+      if (this.protocol === 'ipp' || this.protocol === 'ipps') {
+        const jobAttributes = printOptions ? printOptions.toIppAttributes() : [];
+        ({ jobId: printerJobId } = await IppClient.printJob(this.uri, buffer, {
+          jobName, documentFormat, jobAttributes, timeout: Math.max(this.timeout, 30000)
+        }));
+      } else {
+        if (printOptions && NetworkPrinter.hasDocumentOptions(printOptions)) {
+          warnings.push(`Print options (copies, duplex...) are not sent to ${this.protocol}:// printers`);
+        }
+        if (this.protocol === 'lpd') {
+          await this.sendLPD(buffer, jobName);
+        } else {
+          await this.sendSocket(buffer);
+        }
+      }
+    } catch (error) {
+      throw new Error(`Network print to ${this.host}:${this.port} failed: ${error.message}`);
+    }
+
+    return { osJobId: null, printerJobId, warnings };
+  }
+
+  /**
+   * @private
+   */
+  static hasDocumentOptions(printOptions) {
+    return printOptions.copies > 1 || !!printOptions.duplex || !!printOptions.colorMode ||
+      !!printOptions.tray || !!printOptions.orientation || !!printOptions.pageRanges;
+  }
+
+  /**
+   * Check that the printer answers
+   * @returns {Promise<{online: boolean, state: string, reasons: string[], message: string|null}>}
+   *   state: 'idle' | 'processing' | 'stopped' (IPP) or 'unknown' when only the port answers
+   */
+  async probe() {
+    try {
+      if (this.protocol === 'ipp' || this.protocol === 'ipps') {
+        const { state, reasons, message } = await IppClient.getPrinterState(this.uri, { timeout: this.timeout });
+        return { online: true, state, reasons, message };
+      }
+
+      const socket = await this.connect();
+      socket.destroy();
+      return { online: true, state: 'unknown', reasons: [], message: null };
+    } catch (error) {
+      return { online: false, state: 'offline', reasons: [], message: error.message };
+    }
+  }
+
+  /**
+   * Open a TCP connection to the printer
+   * @returns {Promise<net.Socket>}
+   * @private
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setTimeout(this.timeout);
+      socket.once('connect', () => {
+        socket.removeAllListeners('error');
+        resolve(socket);
+      });
+      socket.once('timeout', () => {
+        socket.destroy();
+        reject(new Error(`connection timeout (${this.timeout}ms)`));
+      });
+      socket.once('error', (error) => {
+        socket.destroy();
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Raw TCP: write the data and close
+   * @private
+   */
+  async sendSocket(buffer) {
+    const socket = await this.connect();
+
+    await new Promise((resolve, reject) => {
+      socket.on('timeout', () => {
+        socket.destroy();
+        reject(new Error(`write timeout (${this.timeout}ms)`));
+      });
+      socket.on('error', reject);
+      // Printers may keep the connection open after the data — done once it is flushed
+      socket.end(buffer, () => {
+        resolve();
+        setTimeout(() => socket.destroy(), 1000).unref();
+      });
+    });
+  }
+
+  /**
+   * LPD (RFC 1179): receive-job, control file, data file
+   * @private
+   */
+  async sendLPD(buffer, jobName) {
+    const socket = await this.connect();
+    const host = os.hostname().replace(/[^\w.-]/g, '').slice(0, 31) || 'repairmind';
+    const jobNumber = String(Math.floor(Math.random() * 1000)).padStart(3, '0');
+    const dataFile = `dfA${jobNumber}${host}`;
+    const controlFile = Buffer.from([
+      `H${host}`,
+      'Prepairmind',
+      `J${jobName}`,
+      `l${dataFile}`, // print as-is, control characters included
+      `U${dataFile}`,
+      `N${jobName}`
+    ].join('\n') + '\n', 'utf8');
+
+    const reader = NetworkPrinter.ackReader(socket, this.timeout);
+    try {
+      const send = async (chunk, step) => {
+        socket.write(chunk);
+        await reader.next(step);
+      };
+
+      await send(Buffer.from(`\x02${this.queue}\n`), 'receive job');
+      await send(Buffer.from(`\x02${controlFile.length} cfA${jobNumber}${host}\n`), 'control file header');
+      await send(Buffer.concat([controlFile, Buffer.from([0])]), 'control file');
+      await send(Buffer.from(`\x03${buffer.length} ${dataFile}\n`), 'data file header');
+      await send(Buffer.concat([buffer, Buffer.from([0])]), 'data file');
+    } finally {
+      socket.end();
+      setTimeout(() => socket.destroy(), 1000).unref();
+    }
+  }
+
+  /**
+   * Read the one-byte acknowledgements of an LPD server (0 = accepted)
+   * @private
+   */
+  static ackReader(socket, timeout) {
+    const pending = [];
+    const received = [];
+    let failure = null;
+
+    const settle = () => {
+      while (pending.length && (received.length || failure)) {
+        const { resolve, reject, step, timer } = pending.shift();
+        clearTimeout(timer);
+        if (failure && !received.length) {
+          reject(failure);
+          continue;
+        }
+        const ack = received.shift();
+        if (ack === 0) {
+          resolve();
+        } else {
+          reject(new Error(`LPD server refused ${step} (code ${ack})`));
+        }
+      }
+    };
+
+    socket.on('data', (chunk) => {
+      received.push(...chunk);
+      settle();
+    });
+    socket.on('error', (error) => {
+      failure = error;
+      settle();
+    });
+    socket.on('close', () => {
+      failure = failure || new Error('connection closed by the printer');
+      settle();
+    });
+
+    return {
+      next(step) {
+        return new Promise((resolve, reject) => {
+          const timer = setTimeout(() => {
+            const index = pending.findIndex(p => p.timer === timer);
+            if (index >= 0) pending.splice(index, 1);
+            reject(new Error(`LPD ${step}: no acknowledgement (${timeout}ms)`));
+          }, timeout);
+          pending.push({ resolve, reject, step, timer });
+          settle();
+        });
+      }
+    };
+  }
+}
+
+NetworkPrinter.PROTOCOLS = Object.keys(PROTOCOLS);
+
+module.exports = NetworkPrinter;
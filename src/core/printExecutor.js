@@ -3,20 +3,53 @@
  *
  * Executes print jobs on local printers.
  * Supports different document types and printer types.
+ * Virtual printers (metadata.virtual) have no OS queue: raw data and PDFs are
+ * sent to them over the network (see NetworkPrinter).
  */
 
 const printer = require('@thiagoelg/node-printer');
 const { ThermalPrinter, PrinterTypes } = require('node-thermal-printer');
 const PDFDocument = require('pdfkit');
+const ThermalTemplate = require('./thermalTemplate');
+const ThermalCharset = require('./thermalCharset');
+const DocumentLocale = require('./documentLocale');
+const InvoiceLayout = require('./invoiceLayout');
+const LabelCompiler = require('./labelCompiler');
+const LabelBarcode = require('./labelBarcode');
+const LabelImage = require('./labelImage');
+const LabelBatch = require('./labelBatch');
+const LabelSheet = require('./labelSheet');
+const PrintOptions = require('./printOptions');
+const NetworkPrinter = require('./networkPrinter');
+const LogoCache = require('./logoCache');
 const { execFile } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
 class PrintExecutor {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.tenantId] - Tenant owning the cached logos
+   * @param {Function} [options.getPrinterSettings] - (systemName) => per-printer settings
+   * @param {Function} [options.getLocaleDefaults] - () => tenant/user { locale, currency, timeZone }
+   * @param {Function} [options.getDefaultDrawerPin] - () => configured cash drawer pin (2 | 5)
+   * @param {Function} [options.onProgress] - (job, { done, total, labels }) => void, per record of label
+   *   batches, as its label is rendered or compiled (the batch is then sent as one document)
+   */
+  constructor(options = {}) {
     this.tempDir = path.join(os.tmpdir(), 'repairmind-print');
+    this.tenantId = options.tenantId || null;
+    this.getPrinterSettings = options.getPrinterSettings || (() => ({}));
+    this.getLocaleDefaults = options.getLocaleDefaults || (() => ({}));
+    this.getDefaultDrawerPin = options.getDefaultDrawerPin || (() => undefined);
+    this.onProgress = options.onProgress || (() => {});
     this.ensureTempDir();
+
+    this.logoCache = new LogoCache({
+      cacheDir: path.join(this.tempDir, 'logo-cache'),
+      download: (url, destPath) => this.downloadFile(url, destPath)
+    });
   }
 
   /**
@@ -32,7 +65,7 @@ class PrintExecutor {
    * Execute a print job
    * @param {Object} job - Print job object
    * @param {Object} printerInfo - Printer information
-   * @returns {Promise<{osJobId: number|null}>} OS spooler job ID if available
+   * @returns {Promise<{osJobId: number|null, warnings?: string[]}>} OS spooler job ID if available
    */
   async executePrintJob(job, printerInfo) {
     switch (job.documentType) {
@@ -57,6 +90,9 @@ class PrintExecutor {
       case 'raw':
         return this.printRaw(job, printerInfo);
 
+      case 'cash_drawer':
+        return this.openCashDrawer(job, printerInfo);
+
       default:
         throw new Error(`Unsupported document type: ${job.documentType}`);
     }
@@ -66,133 +102,155 @@ class PrintExecutor {
    * Print thermal receipt/ticket
    * @param {Object} job - Print job
    * @param {Object} printerInfo - Printer info
-   * @returns {Promise<void>}
+   * @returns {Promise<{osJobId: null, warnings: string[]}>}
    */
   async printThermal(job, printerInfo) {
     try {
-      // Detect printer type (EPSON or STAR)
-      const printerType = this.detectThermalPrinterType(printerInfo.systemName);
-
-      const thermalPrinter = new ThermalPrinter({
-        type: printerType,
-        interface: `printer:${printerInfo.systemName}`,
-        driver: printer,
-        width: job.options?.paperSize === '58mm' ? 32 : 48,
-        characterSet: 'PC437_USA'
-      });
-
-      const isConnected = await thermalPrinter.isPrinterConnected();
-      if (!isConnected) {
-        throw new Error('Thermal printer not connected');
-      }
+      const settings = this.getThermalSettings(job, printerInfo);
+      const thermalPrinter = await this.createThermalPrinter(job, printerInfo, settings);
 
       // Build thermal receipt
-      await this.buildThermalReceipt(thermalPrinter, job.content);
+      const warnings = await this.buildThermalReceipt(thermalPrinter, job.content, { ...job.options, ...settings });
 
       // Execute print
       await thermalPrinter.execute();
 
       // Clear buffer
       thermalPrinter.clear();
+
+      return { osJobId: null, warnings };
     } catch (error) {
       throw new Error(`Thermal print failed: ${error.message}`);
     }
   }
 
   /**
-   * Build thermal receipt content
-   * @param {ThermalPrinter} printer - Thermal printer instance
-   * @param {Object} content - Receipt content
-   * @returns {Promise<void>}
+   * Resolve code page settings for a thermal job
+   * (job options, then the printer's saved settings)
+   * @param {Object} job - Print job
+   * @param {Object} printerInfo - Printer info
+   * @returns {{characterSet: string, transliterate: boolean}}
    */
-  async buildThermalReceipt(printer, content) {
-    printer.alignCenter();
-    printer.bold(true);
-    printer.setTextDoubleHeight();
-    printer.println(content.storeName || 'RepairMind');
-    printer.setTextNormal();
-    printer.bold(false);
-    printer.newLine();
+  getThermalSettings(job, printerInfo) {
+    const saved = this.getPrinterSettings(printerInfo.systemName) || {};
+    return {
+      characterSet: job.options?.characterSet || saved.characterSet || 'PC437_USA',
+      transliterate: job.options?.transliterate ?? saved.transliterate ?? true
+    };
+  }
 
-    if (content.storeAddress) {
-      printer.println(content.storeAddress);
-    }
+  /**
+   * Create a connected ThermalPrinter for a job
+   * @param {Object} job - Print job
+   * @param {Object} printerInfo - Printer info
+   * @param {Object} [settings] - Code page settings (see getThermalSettings)
+   * @returns {Promise<ThermalPrinter>}
+   */
+  async createThermalPrinter(job, printerInfo, settings = this.getThermalSettings(job, printerInfo)) {
+    // Detect printer type (EPSON or STAR)
+    const printerType = this.detectThermalPrinterType(printerInfo.systemName);
 
-    printer.drawLine();
+    if (!ThermalCharset.isSupported(settings.characterSet)) {
+      throw new Error(`Unsupported character set: ${settings.characterSet}`);
+    }
+    if (!ThermalCharset.isSupported(settings.characterSet, printerType)) {
+      throw new Error(`Character set ${settings.characterSet} is not available on ${printerType.toUpperCase()} printers (use ${ThermalCharset.supportedFor(printerType).join(', ')})`);
+    }
 
-    // Ticket/Receipt number
-    if (content.ticketNumber || content.receiptNumber) {
-      printer.alignCenter();
-      printer.bold(true);
-      printer.println(`#${content.ticketNumber || content.receiptNumber}`);
-      printer.bold(false);
-      printer.newLine();
+    const network = this.getNetworkPrinter(printerInfo);
+    if (network) {
+      const { online, message } = await network.probe();
+      if (!online) throw new Error(`Thermal printer not connected (${message})`);
     }
 
-    // Date
-    printer.alignLeft();
-    printer.println(`Date: ${new Date().toLocaleString()}`);
-    printer.newLine();
+    const thermalPrinter = new ThermalPrinter({
+      type: printerType,
+      interface: `printer:${printerInfo.systemName}`,
+      driver: network ? this.createNetworkDriver(network) : printer,
+      width: (job.options?.paperSize || `${printerInfo.capabilities?.maxWidth}mm`) === '58mm' ? 32 : 48,
+      characterSet: settings.characterSet
+    });
 
-    // Client info
-    if (content.clientName) {
-      printer.println(`Client: ${content.clientName}`);
+    const isConnected = await thermalPrinter.isPrinterConnected();
+    if (!isConnected) {
+      throw new Error('Thermal printer not connected');
     }
-    if (content.phone) {
-      printer.println(`Phone: ${content.phone}`);
-    }
-    printer.newLine();
 
-    // Items
-    if (content.items && content.items.length > 0) {
-      printer.drawLine();
+    return thermalPrinter;
+  }
 
-      for (const item of content.items) {
-        printer.leftRight(
-          `${item.quantity}x ${item.description}`,
-          `${(item.price * item.quantity).toFixed(2)}`
-        );
+  /**
+   * node-printer compatible driver sending to a network printer, so that
+   * ThermalPrinter works the same with virtual printers
+   * @param {NetworkPrinter} network
+   * @returns {Object}
+   * @private
+   */
+  createNetworkDriver(network) {
+    return {
+      // Reachability is probed before the ThermalPrinter is created
+      getPrinter: () => ({ status: [] }),
+      printDirect: ({ data, success, error }) => {
+        network.send(data).then(() => success(null), error);
       }
+    };
+  }
 
-      printer.drawLine();
+  /**
+   * Build thermal receipt content.
+   * Uses the declarative block list from content.blocks when provided,
+   * otherwise maps the legacy fields onto the default receipt template.
+   * @param {ThermalPrinter} printer - Thermal printer instance
+   * @param {Object} content - Receipt content
+   * @param {Object} [options] - Job options (openDrawer: true | 2 | 5, transliterate)
+   * @returns {Promise<string[]>} Non-fatal warnings (e.g. logo skipped)
+   */
+  async buildThermalReceipt(printer, content, options = {}) {
+    const locale = this.getDocumentLocale({ content, options });
+    const blocks = Array.isArray(content.blocks)
+      ? [...content.blocks]
+      : ThermalTemplate.defaultReceiptBlocks(content, locale);
+
+    // Kick the cash drawer at the end of the receipt
+    if (options?.openDrawer) {
+      const pin = options.openDrawer === true ? options.drawerPin : options.openDrawer;
+      blocks.push({ type: 'drawer', pin: pin || this.getDefaultDrawerPin() });
     }
 
-    // Total (only if provided)
-    if (content.total !== undefined && content.total !== null) {
-      printer.alignRight();
-      printer.bold(true);
-      printer.setTextDoubleHeight();
-      printer.println(`TOTAL: ${content.total.toFixed(2)} EUR`);
-      printer.setTextNormal();
-      printer.bold(false);
-      printer.newLine();
-    }
+    const template = new ThermalTemplate(printer, content, {
+      loadImage: (url) => this.logoCache.get(url, this.tenantId),
+      locale,
+      charset: new ThermalCharset(printer.config.characterSet, { transliterate: options?.transliterate !== false })
+    });
+    await template.render(blocks);
+    return template.warnings;
+  }
 
-    // Footer
-    if (content.footer) {
-      printer.alignCenter();
-      printer.println(content.footer);
-    }
+  /**
+   * Open the cash drawer connected to a thermal printer (no paper output)
+   * @param {Object} job - Print job (options.pin: 2 | 5)
+   * @param {Object} printerInfo - Printer info
+   * @returns {Promise<void>}
+   */
+  async openCashDrawer(job, printerInfo) {
+    try {
+      const thermalPrinter = await this.createThermalPrinter(job, printerInfo);
+      const pin = job.options?.pin || job.options?.drawerPin || job.content?.pin || this.getDefaultDrawerPin();
 
-    // Thank you message (only for real receipts with items)
-    if (content.items && content.items.length > 0) {
-      printer.newLine();
-      printer.alignCenter();
-      printer.println('Merci de votre visite !');
+      thermalPrinter.clear();
+      await new ThermalTemplate(thermalPrinter).render([{ type: 'drawer', pin }]);
+      await thermalPrinter.execute();
+      thermalPrinter.clear();
+    } catch (error) {
+      throw new Error(`Cash drawer failed: ${error.message}`);
     }
-
-    printer.newLine();
-    printer.newLine();
-
-    // Cut paper
-    printer.cut();
   }
 
   /**
    * Print PDF document
    * @param {Object} job - Print job
    * @param {Object} printerInfo - Printer info
-   * @returns {Promise<void>}
+   * @returns {Promise<{osJobId: number|null, warnings?: string[]}>}
    */
   async printPDF(job, printerInfo) {
     // If backend sent a pre-rendered PDF (URL or base64), print it directly
@@ -205,10 +263,14 @@ class PrintExecutor {
       try {
         const pdfPath = path.join(this.tempDir, `job_${job.id}.pdf`);
 
+        const locale = this.getDocumentLocale(job);
+        const printOptions = this.getPrintOptions(job, printerInfo);
+
         // Create PDF
         const doc = new PDFDocument({
           size: job.options?.paperSize || 'A4',
-          margins: job.options?.margins || { top: 50, bottom: 50, left: 50, right: 50 }
+          margins: job.options?.margins || { top: 50, bottom: 50, left: 50, right: 50 },
+          bufferPages: true // page numbers are written once all pages exist
         });
 
         const stream = fs.createWriteStream(pdfPath);
@@ -216,13 +278,13 @@ class PrintExecutor {
         doc.pipe(stream);
 
         // Build PDF content
-        this.buildPDFDocument(doc, job.content, job.documentType);
+        this.buildPDFDocument(doc, job.content, job.documentType, locale);
 
         doc.end();
 
         stream.on('finish', () => {
-          this.sendFileToPrinter(pdfPath, printerInfo.systemName)
-            .then(resolve)
+          this.sendDocument(pdfPath, printerInfo, { printOptions })
+            .then(result => resolve(this.withWarnings(result, printOptions.warnings)))
             .catch(reject);
         });
 
@@ -244,6 +306,8 @@ class PrintExecutor {
     const pdfPath = path.join(this.tempDir, `job_${job.id}.pdf`);
 
     try {
+      const printOptions = this.getPrintOptions(job, printerInfo);
+
       if (job.content.pdfUrl) {
         // Download PDF from URL
         await this.downloadFile(job.content.pdfUrl, pdfPath);
@@ -255,12 +319,34 @@ class PrintExecutor {
         throw new Error('No PDF source provided (pdfUrl or pdfBase64 required)');
       }
 
-      await this.sendFileToPrinter(pdfPath, printerInfo.systemName);
+      const result = await this.sendDocument(pdfPath, printerInfo, { printOptions });
+      return this.withWarnings(result, printOptions.warnings);
     } catch (error) {
       throw new Error(`PDF print failed: ${error.message}`);
     }
   }
 
+  /**
+   * Resolve the document print options of a job (copies, duplex, color...)
+   * @param {Object} job - Print job
+   * @param {Object} printerInfo - Printer info
+   * @param {Object} [overrides] - Options forced by the caller
+   * @returns {PrintOptions}
+   */
+  getPrintOptions(job, printerInfo, overrides = {}) {
+    return new PrintOptions({ ...job.options, ...overrides }, printerInfo.capabilities);
+  }
+
+  /**
+   * Attach non-fatal warnings to a print result, before the ones it already
+   * carries (e.g. options a network printer could not receive)
+   * @private
+   */
+  withWarnings(result, warnings) {
+    const all = [...new Set([...warnings, ...(result?.warnings || [])])];
+    return all.length ? { ...result, warnings: all } : result;
+  }
+
   /**
    * Download a file from URL to local path
    * @param {string} url - Source URL
@@ -321,13 +407,68 @@ class PrintExecutor {
     });
   }
 
+  /**
+   * Network printer behind a virtual printer
+   * @param {Object} printerInfo - Printer info
+   * @returns {NetworkPrinter|null} null for system printers
+   */
+  getNetworkPrinter(printerInfo) {
+    return printerInfo.metadata?.virtual ? new NetworkPrinter(printerInfo.metadata.uri) : null;
+  }
+
+  /**
+   * Print a PDF file on a system or virtual printer
+   * @param {string} filePath - Path to the PDF
+   * @param {Object} printerInfo - Printer info
+   * @param {Object} [options] - See sendFileToPrinter
+   * @returns {Promise<{osJobId: number|null, warnings?: string[]}>}
+   */
+  async sendDocument(filePath, printerInfo, options = {}) {
+    const network = this.getNetworkPrinter(printerInfo);
+    if (!network) {
+      return this.sendFileToPrinter(filePath, printerInfo.systemName, options);
+    }
+
+    try {
+      const { osJobId, warnings } = await network.send(fs.readFileSync(filePath), {
+        documentFormat: 'application/pdf',
+        printOptions: options.printOptions
+      });
+      return { osJobId, warnings };
+    } finally {
+      try { fs.unlinkSync(filePath); } catch (_) {}
+    }
+  }
+
+  /**
+   * Send raw data to a system or virtual printer
+   * @param {string|Buffer} data - Raw data (ESC/POS, ZPL, EPL, PCL...)
+   * @param {Object} printerInfo - Printer info
+   * @param {string} [doctype] - Document type for the system driver (RAW, TEXT...)
+   * @returns {Promise<{osJobId: number|null, warnings?: string[]}>}
+   */
+  async sendRaw(data, printerInfo, doctype = 'RAW') {
+    const network = this.getNetworkPrinter(printerInfo);
+    if (!network) {
+      return this.printRawData(data, printerInfo.systemName, doctype);
+    }
+
+    const { osJobId, warnings } = await network.send(data);
+    return { osJobId, warnings };
+  }
+
   /**
    * Send a file to a system printer (platform-aware)
    * @param {string} filePath - Path to file to print
    * @param {string} printerName - System printer name
+   * @param {Object} [options]
+   * @param {PrintOptions} [options.printOptions] - Copies, duplex, color, tray...
+   * @param {Object} [options.pageSize] - Custom page size (Electron, microns)
    * @returns {Promise<{osJobId: number|null}>} OS spooler job ID if available
    */
   sendFileToPrinter(filePath, printerName, options = {}) {
+    const printOptions = options.printOptions || new PrintOptions();
+
     const cleanupLater = () => {
       setTimeout(() => {
         if (fs.existsSync(filePath)) {
@@ -346,29 +487,31 @@ class PrintExecutor {
       } catch (_) {
         // Electron not available (CLI mode) — fallback to lpr on macOS
         if (process.platform === 'darwin') {
-          return this.printFileUnix(filePath, printerName, 'lpr').then(() => { cleanupLater(); return { osJobId: null }; });
+          return this.printFileUnix(filePath, printerName, 'lpr', printOptions).then(() => { cleanupLater(); return { osJobId: null }; });
         }
       }
     }
 
     // Linux: use lp for job ID tracking
     if (process.platform === 'linux') {
-      return this.printFileLinux(filePath, printerName).then((result) => { cleanupLater(); return result; });
+      return this.printFileLinux(filePath, printerName, printOptions).then((result) => { cleanupLater(); return result; });
     }
 
     // Fallback
-    return this.printFileUnix(filePath, printerName, 'lpr').then(() => { cleanupLater(); return { osJobId: null }; });
+    return this.printFileUnix(filePath, printerName, 'lpr', printOptions).then(() => { cleanupLater(); return { osJobId: null }; });
   }
 
   /**
    * Print file on Linux using lp (parses job ID from output)
    * @param {string} filePath - Path to file
    * @param {string} printerName - Printer name
+   * @param {PrintOptions} [printOptions]
    * @returns {Promise<{osJobId: number|null}>}
    */
-  printFileLinux(filePath, printerName) {
+  printFileLinux(filePath, printerName, printOptions = new PrintOptions()) {
     return new Promise((resolve, reject) => {
-      execFile('lp', ['-d', printerName, filePath], { timeout: 30000 }, (error, stdout) => {
+      const args = ['-d', printerName, ...printOptions.toLpArgs(), filePath];
+      execFile('lp', args, { timeout: 30000 }, (error, stdout) => {
         if (error) {
           reject(new Error(`Print failed: ${error.message}`));
         } else {
@@ -387,6 +530,7 @@ class PrintExecutor {
    * @param {string} filePath - Path to PDF file
    * @param {string} printerName - Target printer name
    * @param {typeof import('electron').BrowserWindow} BrowserWindow
+   * @param {Object} [options] - See sendFileToPrinter
    */
   printFileElectron(filePath, printerName, BrowserWindow, options = {}) {
     return new Promise((resolve, reject) => {
@@ -408,7 +552,8 @@ class PrintExecutor {
           const printOptions = {
             silent: true,
             deviceName: printerName,
-            printBackground: true
+            printBackground: true,
+            ...(options.printOptions ? options.printOptions.toElectronOptions() : {})
           };
 
           // Pass custom page size if provided (width/height in microns)
@@ -447,12 +592,13 @@ class PrintExecutor {
    * @param {string} filePath - Path to file
    * @param {string} printerName - Printer name
    * @param {string} command - 'lpr' (macOS/Win) or 'lp' (Linux)
+   * @param {PrintOptions} [printOptions]
    */
-  printFileUnix(filePath, printerName, command) {
+  printFileUnix(filePath, printerName, command, printOptions = new PrintOptions()) {
     return new Promise((resolve, reject) => {
       const args = command === 'lpr'
-        ? ['-P', printerName, filePath]
-        : ['-d', printerName, filePath];
+        ? ['-P', printerName, ...printOptions.toLprArgs(), filePath]
+        : ['-d', printerName, ...printOptions.toLpArgs(), filePath];
 
       execFile(command, args, { timeout: 30000 }, (error) => {
         if (error) {
@@ -465,140 +611,191 @@ class PrintExecutor {
   }
 
   /**
-   * Build PDF document content
-   * @param {PDFDocument} doc - PDF document
+   * Build PDF document content (paginated, see InvoiceLayout)
+   * @param {PDFDocument} doc - PDF document (bufferPages: true)
    * @param {Object} content - Document content
    * @param {string} documentType - Document type
+   * @param {DocumentLocale} [locale] - Wording and number/date formatting
    */
-  buildPDFDocument(doc, content, documentType) {
-    // Header
-    doc.fontSize(20).text(this.getDocumentTitle(documentType), { align: 'center' });
-    doc.moveDown();
-
-    // Document number
-    if (content.invoiceNumber || content.quoteNumber || content.ticketNumber) {
-      doc.fontSize(12).text(
-        `N° ${content.invoiceNumber || content.quoteNumber || content.ticketNumber}`,
-        { align: 'right' }
-      );
-    }
+  buildPDFDocument(doc, content, documentType, locale = new DocumentLocale()) {
+    new InvoiceLayout(doc, content, { documentType, locale }).render();
+  }
 
-    doc.moveDown();
+  /**
+   * Print label (ZPL, raw data, or generated PDF label)
+   * @param {Object} job - Print job
+   * @param {Object} printerInfo - Printer info
+   */
+  async printLabel(job, printerInfo) {
+    const content = job.content;
 
-    // Company info
-    if (content.companyName) {
-      doc.fontSize(10);
-      doc.text(content.companyName);
-      if (content.companyAddress) doc.text(content.companyAddress);
-      if (content.companyPhone) doc.text(`Tel: ${content.companyPhone}`);
+    // Mode 1: Raw ZPL commands (Zebra printers)
+    if (content.zpl) {
+      return this.sendRaw(content.zpl, printerInfo, 'RAW');
     }
 
-    doc.moveDown();
-
-    // Client info
-    if (content.clientName) {
-      doc.fontSize(10);
-      doc.text('Client:');
-      doc.text(content.clientName);
-      if (content.clientAddress) doc.text(content.clientAddress);
-      if (content.clientPhone) doc.text(`Tel: ${content.clientPhone}`);
+    // Mode 2: Raw data (any format — EPL, TSPL, etc.)
+    if (content.rawData) {
+      return this.sendRaw(content.rawData, printerInfo, 'RAW');
     }
 
-    doc.moveDown(2);
-
-    // Items table
-    if (content.items && content.items.length > 0) {
-      // Table header
-      doc.fontSize(10).fillColor('black');
-      const tableTop = doc.y;
-      const descriptionX = 50;
-      const quantityX = 350;
-      const priceX = 420;
-      const totalX = 490;
-
-      doc.text('Description', descriptionX, tableTop);
-      doc.text('Qté', quantityX, tableTop);
-      doc.text('Prix', priceX, tableTop);
-      doc.text('Total', totalX, tableTop);
-
-      doc.moveTo(50, doc.y + 5).lineTo(550, doc.y + 5).stroke();
-      doc.moveDown();
+    // Mode 3: Pre-rendered label as base64/URL
+    if (content.pdfUrl || content.pdfBase64) {
+      return this.printPDFFromSource(job, printerInfo);
+    }
 
-      // Table rows
-      let yPos = doc.y;
+    // Generated labels: a single label, or a batch of records × copies sent
+    // as one multi-page document / one raw stream
+    const batch = new LabelBatch(content, { copies: job.options?.copies, locale: this.getDocumentLocale(job) });
+    const { labels, warnings } = await this.prepareLabels(job, batch);
+
+    const labelSettings = this.getLabelSettings(job, printerInfo);
+    let result;
+    if (labelSettings.sheet) {
+      // Mode 4: Labels laid out on A4/Letter sheets for office printers
+      result = await this.printLabelSheet(job, printerInfo, labels, labelSettings);
+    } else if (content.elements && labelSettings.language) {
+      // Mode 5: Templated elements compiled to the printer language (Zebra/TSC/Godex)
+      result = await this.printNativeLabel(job, printerInfo, labels, labelSettings);
+    } else {
+      // Mode 6: Generate label HTML (templated or legacy) and print it through Chromium
+      result = await this.printGeneratedLabel(job, printerInfo, labels);
+    }
 
-      for (const item of content.items) {
-        doc.text(item.description || item.name, descriptionX, yPos, { width: 280 });
-        doc.text(item.quantity.toString(), quantityX, yPos);
-        doc.text(`${item.price.toFixed(2)}`, priceX, yPos);
-        doc.text(`${(item.quantity * item.price).toFixed(2)}`, totalX, yPos);
+    return this.withWarnings(result, warnings);
+  }
 
-        yPos += 25;
+  /**
+   * Expand a label job into its labels and fetch their images
+   * @param {Object} job - Print job
+   * @param {LabelBatch} batch
+   * @returns {Promise<{labels: Array<{index: number, copies: number, content: Object}>, warnings: string[]}>}
+   */
+  async prepareLabels(job, batch) {
+    const labels = [];
+    const warnings = [];
+    const total = batch.records.length;
+
+    for (const label of batch.labels()) {
+      if (label.content.elements) {
+        const images = await this.loadLabelImages(label.content.elements);
+        warnings.push(...images.warnings.map(w => (total > 1 ? `Record #${label.index + 1}: ${w}` : w)));
+        label.content = { ...label.content, elements: images.elements };
       }
-
-      doc.moveTo(50, yPos).lineTo(550, yPos).stroke();
-      doc.y = yPos + 10;
+      labels.push(label);
     }
 
-    doc.moveDown(2);
+    return { labels, warnings };
+  }
 
-    // Total
-    if (content.total !== undefined) {
-      doc.fontSize(14).fillColor('black');
-      doc.text(`Total: ${content.total.toFixed(2)} EUR`, { align: 'right' });
+  /**
+   * Read the images of label image elements (URLs through the image cache)
+   * @param {Array} elements - Label elements
+   * @returns {Promise<{elements: Array, warnings: string[]}>} Image elements carry a `buffer`;
+   *   optional images that fail to load are dropped with a warning
+   */
+  async loadLabelImages(elements) {
+    const warnings = [];
+    const resolved = [];
+
+    for (const el of elements) {
+      if (!LabelImage.isImage(el)) {
+        resolved.push(el);
+        continue;
+      }
+      try {
+        const buffer = await LabelImage.load(el, (url) => this.logoCache.get(url, this.tenantId));
+        resolved.push({ ...el, buffer });
+      } catch (error) {
+        if (!el.optional) throw new Error(`Label image failed: ${error.message}`);
+        warnings.push(`Image skipped: ${error.message}`);
+      }
     }
 
-    // Footer
-    if (content.footer) {
-      doc.moveDown(3);
-      doc.fontSize(8).fillColor('gray');
-      doc.text(content.footer, { align: 'center' });
-    }
+    return { elements: resolved, warnings };
   }
 
   /**
-   * Print label (ZPL, raw data, or generated PDF label)
+   * Resolve the native label language, resolution and sheet layout of a printer
+   * (job options, then the printer's saved settings, then detection).
+   * A language of 'html' forces rendering through Chromium; a labelSheet of
+   * false forces roll printing on a printer that has a default sheet, a partial
+   * labelSheet ({ startPosition: 8 }) applies to the saved sheet.
    * @param {Object} job - Print job
    * @param {Object} printerInfo - Printer info
+   * @returns {{language: string|null, dpi: number, sheet: string|Object|null}}
    */
-  async printLabel(job, printerInfo) {
-    const content = job.content;
-
-    // Mode 1: Raw ZPL commands (Zebra printers)
-    if (content.zpl) {
-      return this.printRawData(content.zpl, printerInfo.systemName, 'RAW');
-    }
+  getLabelSettings(job, printerInfo) {
+    const saved = this.getPrinterSettings(printerInfo.systemName) || {};
+    const capabilities = printerInfo.capabilities || {};
+    const language = job.options?.labelLanguage || saved.labelLanguage || capabilities.labelLanguage || null;
+    const sheet = LabelSheet.merge(job.options?.labelSheet ?? job.content?.labelSheet, saved.labelSheet);
+
+    return {
+      language: LabelCompiler.isSupported(language) ? language : null,
+      dpi: Number(job.options?.dpi || saved.dpi || capabilities.dpi) || 203,
+      sheet: sheet || null
+    };
+  }
 
-    // Mode 2: Raw data (any format — EPL, TSPL, etc.)
-    if (content.rawData) {
-      return this.printRawData(content.rawData, printerInfo.systemName, 'RAW');
-    }
+  /**
+   * Physical label size in mm: the template (content), the job options, the
+   * printer's manual override, then 62×29mm (DYMO standard address)
+   * @param {Object} job - Print job
+   * @param {Object} printerInfo - Printer info
+   * @returns {{widthMm: number, heightMm: number}}
+   */
+  getLabelSize(job, printerInfo) {
+    const capabilities = printerInfo.capabilities || {};
+    return {
+      widthMm: job.content?.widthMm || job.options?.labelWidthMm || capabilities.labelWidthMm || 62,
+      heightMm: job.content?.heightMm || job.options?.labelHeightMm || capabilities.labelHeightMm || 29
+    };
+  }
 
-    // Mode 3: Pre-rendered label as base64/URL
-    if (content.pdfUrl || content.pdfBase64) {
-      return this.printPDFFromSource(job, printerInfo);
+  /**
+   * Compile templated labels to ZPL/EPL/TSPL and send them raw, as a single
+   * stream (one label format per record, copies via ^PQ / P / PRINT)
+   * @param {Object} job - Print job
+   * @param {Object} printerInfo - Printer info
+   * @param {Array<{copies: number, content: Object}>} labels - See prepareLabels
+   * @param {{language: string, dpi: number}} labelSettings
+   */
+  async printNativeLabel(job, printerInfo, labels, { language, dpi }) {
+    const { widthMm, heightMm } = this.getLabelSize(job, printerInfo);
+    const compiler = new LabelCompiler({ language, dpi, widthMm, heightMm, gapMm: job.options?.labelGapMm });
+
+    // Elements the printer language can't express go through Chromium instead
+    const unsupported = labels.map(label => compiler.unsupportedElement(label.content.elements)).find(Boolean);
+    if (unsupported) {
+      const network = this.getNetworkPrinter(printerInfo);
+      if (network && !network.printsPdf()) {
+        throw new Error(`Label needs the printer language: ${unsupported.type} element not supported in ${language.toUpperCase()} (${network.protocol}:// printers can't print PDF)`);
+      }
+      return this.printGeneratedLabel(job, printerInfo, labels);
     }
 
-    // Mode 4: Generate simple label PDF from structured content
-    return this.printGeneratedLabel(job, printerInfo);
+    const data = Buffer.concat(labels.map((label, i) => {
+      const compiled = compiler.compile(label.content.elements, { copies: label.copies });
+      this.reportLabelProgress(job, labels, i + 1);
+      return compiled;
+    }));
+    return this.sendRaw(data, printerInfo, 'RAW');
   }
 
   /**
-   * Generate and print a label using Electron's hidden BrowserWindow.
-   * Renders HTML at exact label dimensions with @page CSS, then prints
-   * via webContents.print() with matching pageSize in microns.
+   * Generate and print labels using Electron's hidden BrowserWindow.
+   * Renders HTML at exact label dimensions with @page CSS (one page per
+   * label), then prints via webContents.print() with matching pageSize in microns.
    * This avoids PDF rasterization issues with label printers (DYMO, etc.).
    *
    * @param {Object} job - Print job
    * @param {Object} printerInfo - Printer info
+   * @param {Array<{copies: number, content: Object}>} [labels] - See prepareLabels (default: the job content, once)
    */
-  async printGeneratedLabel(job, printerInfo) {
-    const content = job.content;
-
-    // Physical label dimensions in mm (default 62x29mm for DYMO standard address)
-    // Template-resolved content may include widthMm/heightMm from the template
-    const widthMm = content.widthMm || job.options?.labelWidthMm || 62;
-    const heightMm = content.heightMm || job.options?.labelHeightMm || 29;
+  async printGeneratedLabel(job, printerInfo, labels = [{ copies: 1, content: job.content }]) {
+    // Physical label dimensions in mm
+    const { widthMm, heightMm } = this.getLabelSize(job, printerInfo);
 
     // DYMO/Brother QL feed the short edge first (portrait).
     // We keep the original dimensions (62×29) for HTML layout and use
@@ -606,16 +803,31 @@ class PrintExecutor {
     // This lets Chromium + the printer driver rotate content correctly.
     const landscape = job.options?.labelRotate !== false && widthMm > heightMm;
 
-    // Build HTML label — templated (positioned elements) or legacy (title/subtitle/sku)
-    const html = content.elements
-      ? this.buildTemplatedLabelHTML(content.elements, widthMm, heightMm)
-      : this.buildLabelHTML(content, widthMm, heightMm);
+    // Virtual printers have no driver to print HTML — they get the rendered PDF,
+    // which only IPP printers are told to interpret
+    const network = this.getNetworkPrinter(printerInfo);
+    if (network && !network.printsPdf()) {
+      const hint = labels.every(label => label.content.elements)
+        ? `set a label language (${LabelCompiler.LANGUAGES.join(', ')}) for ${printerInfo.systemName}`
+        : 'only templated labels (elements) can be compiled';
+      throw new Error(`Label needs the printer language: ${hint} (${network.protocol}:// printers can't print PDF)`);
+    }
+
+    const pages = this.buildLabelPages(job, labels, widthMm, heightMm, this.getLabelSettings(job, printerInfo).dpi);
+    const html = this.wrapLabelPages(pages, widthMm, heightMm);
+    if (network) {
+      const pdfPath = path.join(this.tempDir, `label_${job.id}.pdf`);
+      const { BrowserWindow } = require('electron');
+      await this.renderHTMLToPDF(html, pdfPath, BrowserWindow);
+      return this.sendDocument(pdfPath, printerInfo);
+    }
+
     const htmlPath = path.join(this.tempDir, `label_${job.id}.html`);
     fs.writeFileSync(htmlPath, html, 'utf8');
 
     try {
       const { BrowserWindow } = require('electron');
-      await this.printHTMLLabel(htmlPath, printerInfo.systemName, widthMm, heightMm, BrowserWindow, landscape);
+      await this.printHTMLLabel(htmlPath, printerInfo.systemName, widthMm, heightMm, BrowserWindow, landscape, pages.length);
     } finally {
       // Cleanup
       setTimeout(() => {
@@ -626,12 +838,85 @@ class PrintExecutor {
     return { osJobId: null };
   }
 
+  /**
+   * Print labels on A4/Letter label sheets: the labels are placed on a grid,
+   * rendered to PDF by Chromium, then printed like any other document
+   * @param {Object} job - Print job
+   * @param {Object} printerInfo - Printer info
+   * @param {Array<{copies: number, content: Object}>} labels - See prepareLabels
+   * @param {{sheet: string|Object, dpi: number}} labelSettings
+   */
+  async printLabelSheet(job, printerInfo, labels, { sheet, dpi }) {
+    const layout = new LabelSheet(sheet);
+    const pages = this.buildLabelPages(job, labels, layout.labelWidthMm, layout.labelHeightMm, dpi);
+    const html = this.wrapLabelSheets(pages, layout);
+
+    const pdfPath = path.join(this.tempDir, `labels_${job.id}.pdf`);
+    const { BrowserWindow } = require('electron');
+    await this.renderHTMLToPDF(html, pdfPath, BrowserWindow);
+
+    // Copies are already laid out on the sheets
+    const printOptions = this.getPrintOptions(job, printerInfo, { copies: 1 });
+    const result = await this.sendDocument(pdfPath, printerInfo, { printOptions });
+    return this.withWarnings(result, printOptions.warnings);
+  }
+
+  /**
+   * Build the HTML page of every label to print (copies included)
+   * — templated (positioned elements) or legacy (title/subtitle/sku)
+   * @param {Object} job - Print job
+   * @param {Array<{copies: number, content: Object}>} labels - See prepareLabels
+   * @param {number} widthMm - Label width
+   * @param {number} heightMm - Label height
+   * @param {number} dpi - Printer resolution, for monochrome images
+   * @returns {string[]}
+   */
+  buildLabelPages(job, labels, widthMm, heightMm, dpi) {
+    const locale = this.getDocumentLocale(job);
+    const pages = [];
+
+    labels.forEach((label, i) => {
+      const page = label.content.elements
+        ? this.buildTemplatedLabelPage(label.content.elements, { dpi })
+        : this.buildLabelPage(
+          { barcodeFormat: job.documentType === 'qrcode' ? 'qrcode' : undefined, ...label.content },
+          widthMm, heightMm, locale
+        );
+      for (let copy = 0; copy < label.copies; copy++) pages.push(page);
+      this.reportLabelProgress(job, labels, i + 1);
+    });
+
+    return pages;
+  }
+
+  /**
+   * Report the labels of a batch rendered or compiled so far
+   * @param {Object} job - Print job
+   * @param {Array<{copies: number}>} labels - See prepareLabels
+   * @param {number} done - Records done
+   * @private
+   */
+  reportLabelProgress(job, labels, done) {
+    if (labels.length < 2) return;
+    this.onProgress(job, { done, total: labels.length, labels: labels.reduce((sum, label) => sum + label.copies, 0) });
+  }
+
   /**
    * Build HTML string for a label with exact dimensions via @page CSS.
    * Content is laid out at the label's natural dimensions (e.g. 62×29mm).
    * Orientation is handled by Electron's landscape print option, not CSS.
+   * Numeric prices are formatted with the job currency; barcodeText is printed
+   * as a scannable barcode (barcodeFormat, Code128 by default, QR for qrcode jobs).
+   */
+  buildLabelHTML(content, widthMm, heightMm, locale = new DocumentLocale()) {
+    return this.wrapLabelPages([this.buildLabelPage(content, widthMm, heightMm, locale)], widthMm, heightMm);
+  }
+
+  /**
+   * Build one legacy label page (see buildLabelHTML)
+   * @returns {string}
    */
-  buildLabelHTML(content, widthMm, heightMm) {
+  buildLabelPage(content, widthMm, heightMm, locale = new DocumentLocale()) {
     const lines = [];
 
     if (content.title) {
@@ -644,24 +929,24 @@ class PrintExecutor {
       lines.push(`<div style="font-size:7pt;text-align:center">${this.escapeHTML(content.sku)}</div>`);
     }
     if (content.price) {
-      lines.push(`<div style="font-size:12pt;font-weight:bold;text-align:center;margin-top:2mm">${this.escapeHTML(String(content.price))}</div>`);
+      const price = typeof content.price === 'number' ? locale.formatCurrency(content.price) : String(content.price);
+      lines.push(`<div style="font-size:12pt;font-weight:bold;text-align:center;margin-top:2mm">${this.escapeHTML(price)}</div>`);
     }
     if (content.barcodeText) {
-      lines.push(`<div style="font-size:6pt;text-align:center;margin-top:1mm">${this.escapeHTML(content.barcodeText)}</div>`);
+      const format = content.barcodeFormat || 'code128';
+      const isSquare = format === 'qrcode' || format === 'datamatrix';
+      // Whatever height the text lines above leave free, within scannable bounds
+      const size = isSquare ? Math.min(heightMm - 2, widthMm - 4, 20) : Math.min(widthMm - 4, 50);
+      lines.push(LabelBarcode.toHTML({
+        type: format === 'qrcode' ? 'qrcode' : 'barcode',
+        format,
+        content: String(content.barcodeText),
+        width: size,
+        height: isSquare ? size : Math.min(10, Math.max(6, heightMm * 0.35))
+      }, s => this.escapeHTML(s), { positioned: false }));
     }
 
-    return `<!DOCTYPE html>
-<html><head><style>
-  @page { size: ${widthMm}mm ${heightMm}mm; margin: 0; }
-  * { margin: 0; padding: 0; box-sizing: border-box; }
-  body {
-    width: ${widthMm}mm; height: ${heightMm}mm;
-    font-family: Arial, Helvetica, sans-serif;
-    display: flex; flex-direction: column;
-    justify-content: center; align-items: center;
-    padding: 1mm 2mm;
-  }
-</style></head><body>${lines.join('\n')}</body></html>`;
+    return `<div class="label label-flow">${lines.join('\n')}</div>`;
   }
 
   /**
@@ -672,31 +957,101 @@ class PrintExecutor {
    * @param {Array} elements - Positioned elements from label template
    * @param {number} widthMm - Label width (e.g. 62mm)
    * @param {number} heightMm - Label height (e.g. 29mm)
+   * @param {Object} [options]
+   * @param {number} [options.dpi=203] - Printer resolution, for monochrome images
+   */
+  buildTemplatedLabelHTML(elements, widthMm, heightMm, options = {}) {
+    return this.wrapLabelPages([this.buildTemplatedLabelPage(elements, options)], widthMm, heightMm);
+  }
+
+  /**
+   * Build one templated label page (see buildTemplatedLabelHTML)
+   * @returns {string}
    */
-  buildTemplatedLabelHTML(elements, widthMm, heightMm) {
+  buildTemplatedLabelPage(elements, { dpi = 203 } = {}) {
     const elems = elements.map(el => {
       if (el.type === 'line') {
         return `<div style="position:absolute;left:${el.x}mm;top:${el.y}mm;width:${el.width}mm;height:0;border-top:0.3mm solid black;"></div>`;
       }
+      if (LabelBarcode.isBarcode(el)) {
+        return LabelBarcode.toHTML(el, s => this.escapeHTML(s));
+      }
+      if (LabelImage.isImage(el)) {
+        return LabelImage.toHTML(el, { dpi });
+      }
 
       const fs = el.fontSize || 8;
       const fw = el.fontWeight || 'normal';
       const ta = el.textAlign || 'left';
-      const content = this.escapeHTML(el.content || '');
+      const content = this.escapeHTML(String(el.content ?? ''));
 
       return `<div style="position:absolute;left:${el.x}mm;top:${el.y}mm;width:${el.width}mm;height:${el.height}mm;font-size:${fs}pt;font-weight:${fw};text-align:${ta};line-height:${el.height}mm;overflow:hidden;white-space:nowrap;text-overflow:ellipsis;">${content}</div>`;
     });
 
+    return `<div class="label">${elems.join('\n')}</div>`;
+  }
+
+  /**
+   * Wrap label pages into an HTML document, one label per printed page
+   * @param {string[]} pages - Label pages (buildLabelPage / buildTemplatedLabelPage)
+   * @param {number} widthMm
+   * @param {number} heightMm
+   * @returns {string}
+   */
+  wrapLabelPages(pages, widthMm, heightMm) {
     return `<!DOCTYPE html>
 <html><head><style>
   @page { size: ${widthMm}mm ${heightMm}mm; margin: 0; }
-  * { margin: 0; padding: 0; box-sizing: border-box; }
-  body {
+  ${this.labelCSS(widthMm, heightMm)}
+  .label { break-after: page; }
+  .label:last-child { break-after: auto; }
+</style></head><body>${pages.join('\n')}</body></html>`;
+  }
+
+  /**
+   * Wrap label pages into an HTML document of label sheets (grid layout)
+   * @param {string[]} pages - Label pages (buildLabelPage / buildTemplatedLabelPage)
+   * @param {LabelSheet} layout
+   * @returns {string}
+   */
+  wrapLabelSheets(pages, layout) {
+    const positions = layout.positions(pages.length);
+    const sheets = [];
+    pages.forEach((page, i) => {
+      const { sheet, x, y } = positions[i];
+      (sheets[sheet] = sheets[sheet] || []).push(`<div class="cell" style="left:${x}mm;top:${y}mm;">${page}</div>`);
+    });
+
+    return `<!DOCTYPE html>
+<html><head><style>
+  @page { size: ${layout.paperWidthMm}mm ${layout.paperHeightMm}mm; margin: 0; }
+  ${this.labelCSS(layout.labelWidthMm, layout.labelHeightMm)}
+  .sheet {
+    width: ${layout.paperWidthMm}mm; height: ${layout.paperHeightMm}mm;
+    position: relative; overflow: hidden;
+    break-after: page;
+  }
+  .sheet:last-child { break-after: auto; }
+  .cell { position: absolute; }
+</style></head><body>${sheets.map(cells => `<div class="sheet">${cells.join('\n')}</div>`).join('\n')}</body></html>`;
+  }
+
+  /**
+   * Styles shared by roll labels and label sheets
+   * @private
+   */
+  labelCSS(widthMm, heightMm) {
+    return `* { margin: 0; padding: 0; box-sizing: border-box; }
+  body { font-family: Arial, Helvetica, sans-serif; }
+  .label {
     width: ${widthMm}mm; height: ${heightMm}mm;
-    font-family: Arial, Helvetica, sans-serif;
-    position: relative;
+    position: relative; overflow: hidden;
   }
-</style></head><body>${elems.join('\n')}</body></html>`;
+  .label-flow {
+    display: flex; flex-direction: column;
+    justify-content: center; align-items: center;
+    padding: 1mm 2mm;
+  }`;
   }
 
   /**
@@ -714,8 +1069,9 @@ class PrintExecutor {
    * @param {number} heightMm - Label height in mm (physical label height, e.g. 29)
    * @param {typeof import('electron').BrowserWindow} BrowserWindow
    * @param {boolean} landscape - Print in landscape orientation (for labels wider than tall)
+   * @param {number} [pageCount=1] - Number of labels in the document (extends the timeout)
    */
-  printHTMLLabel(htmlPath, printerName, widthMm, heightMm, BrowserWindow, landscape = false) {
+  printHTMLLabel(htmlPath, printerName, widthMm, heightMm, BrowserWindow, landscape = false, pageCount = 1) {
     return new Promise((resolve, reject) => {
       const win = new BrowserWindow({
         show: false,
@@ -758,12 +1114,61 @@ class PrintExecutor {
         reject(new Error(`Failed to load label HTML: ${errorDescription}`));
       });
 
+      // 30s, plus time for Chromium to lay out and spool large batches
+      const timeout = 30000 + Math.max(0, pageCount - 1) * 200;
       setTimeout(() => {
         if (!win.isDestroyed()) {
           win.destroy();
-          reject(new Error('Label print timeout (30s)'));
+          reject(new Error(`Label print timeout (${Math.round(timeout / 1000)}s)`));
         }
-      }, 30000);
+      }, timeout);
+    });
+  }
+
+  /**
+   * Render an HTML document to a PDF file with Chromium (page size from @page CSS)
+   * @param {string} html - HTML document
+   * @param {string} pdfPath - Destination PDF path
+   * @param {typeof import('electron').BrowserWindow} BrowserWindow
+   * @returns {Promise<void>}
+   */
+  renderHTMLToPDF(html, pdfPath, BrowserWindow) {
+    const htmlPath = pdfPath.replace(/\.pdf$/, '.html');
+    fs.writeFileSync(htmlPath, html, 'utf8');
+
+    return new Promise((resolve, reject) => {
+      const win = new BrowserWindow({
+        show: false,
+        webPreferences: { nodeIntegration: false, contextIsolation: true }
+      });
+
+      const timer = setTimeout(() => {
+        if (!win.isDestroyed()) win.destroy();
+        reject(new Error('PDF rendering timeout (60s)'));
+      }, 60000);
+
+      win.webContents.on('did-finish-load', async () => {
+        try {
+          const pdf = await win.webContents.printToPDF({ printBackground: true, preferCSSPageSize: true });
+          fs.writeFileSync(pdfPath, pdf);
+          resolve();
+        } catch (error) {
+          reject(new Error(`PDF rendering failed: ${error.message}`));
+        } finally {
+          clearTimeout(timer);
+          if (!win.isDestroyed()) win.destroy();
+        }
+      });
+
+      win.webContents.on('did-fail-load', (event, errorCode, errorDescription) => {
+        clearTimeout(timer);
+        win.destroy();
+        reject(new Error(`Failed to load label HTML: ${errorDescription}`));
+      });
+
+      win.loadFile(htmlPath);
+    }).finally(() => {
+      try { fs.unlinkSync(htmlPath); } catch (_) {}
     });
   }
 
@@ -801,7 +1206,7 @@ class PrintExecutor {
     }
 
     const doctype = job.options?.doctype || 'RAW';
-    return this.printRawData(data, printerInfo.systemName, doctype);
+    return this.sendRaw(data, printerInfo, doctype);
   }
 
   /**
@@ -820,21 +1225,24 @@ class PrintExecutor {
     return PrinterTypes.EPSON;
   }
 
+  /**
+   * Resolve locale and currency of a job
+   * (job options, then job content, then tenant/user preferences)
+   * @param {Object} job - Print job
+   * @returns {DocumentLocale}
+   */
+  getDocumentLocale(job) {
+    return DocumentLocale.fromJob(job, this.getLocaleDefaults() || {});
+  }
+
   /**
    * Get document title based on type
    * @param {string} documentType - Document type
+   * @param {DocumentLocale} [locale] - Document locale
    * @returns {string}
    */
-  getDocumentTitle(documentType) {
-    const titles = {
-      invoice: 'FACTURE',
-      quote: 'DEVIS',
-      delivery_note: 'BON DE LIVRAISON',
-      report: 'RAPPORT',
-      ticket: 'BON DE RÉPARATION'
-    };
-
-    return titles[documentType] || 'DOCUMENT';
+  getDocumentTitle(documentType, locale = new DocumentLocale()) {
+    return locale.title(documentType);
   }
 }
 
@@ -0,0 +1,278 @@
+/**
+ * Print Options
+ *
+ * Normalized document print settings read from job.options:
+ *   copies: 2                       (1-99)
+ *   duplex: 'long-edge'             ('simplex' | 'long-edge' | 'short-edge', true = long-edge)
+ *   colorMode: 'grayscale'          ('color' | 'grayscale')
+ *   tray: 'Tray2'                   (capabilities.trays: PPD InputSlot or IPP media-source)
+ *   orientation: 'landscape'        ('portrait' | 'landscape')
+ *   pageRanges: '1-3,5'             (or [1, [3, 5]] / [{ from: 3, to: 5 }], 1-based)
+ *   collate: true
+ *
+ * Malformed values are rejected; settings the printer can't honor (duplex on a
+ * simplex printer, unknown tray...) produce warnings so the document still
+ * prints. Options are then mapped to lp/lpr arguments (CUPS), to Electron's
+ * webContents.print() options (Windows/macOS) or to IPP job attributes
+ * (network printers without an OS queue).
+ */
+
+const IppClient = require('./ippClient');
+
+const DUPLEX_ALIASES = {
+  simplex: 'simplex', 'one-sided': 'simplex', none: 'simplex',
+  'long-edge': 'long-edge', longedge: 'long-edge', 'two-sided-long-edge': 'long-edge',
+  'short-edge': 'short-edge', shortedge: 'short-edge', 'two-sided-short-edge': 'short-edge'
+};
+
+const COLOR_ALIASES = {
+  color: 'color', colour: 'color',
+  grayscale: 'grayscale', greyscale: 'grayscale', gray: 'grayscale', grey: 'grayscale',
+  monochrome: 'grayscale', mono: 'grayscale', bw: 'grayscale'
+};
+
+const MAX_COPIES = 99;
+
+class PrintOptions {
+  /**
+   * @param {Object} [options] - job.options
+   * @param {Object} [capabilities] - Printer capabilities (PrinterDetector)
+   */
+  constructor(options = {}, capabilities = {}) {
+    this.warnings = [];
+
+    this.copies = PrintOptions.parseCopies(options.copies);
+    this.duplex = PrintOptions.parseDuplex(options.duplex);
+    this.colorMode = PrintOptions.parseColorMode(options.colorMode ?? options.color);
+    this.tray = options.tray ?? options.inputTray ?? null;
+    this.orientation = PrintOptions.parseOrientation(options.orientation);
+    this.pageRanges = PrintOptions.parsePageRanges(options.pageRanges ?? options.pages);
+    this.collate = options.collate === undefined ? null : options.collate !== false;
+
+    this.applyCapabilities(capabilities || {});
+  }
+
+  /**
+   * @private
+   */
+  static parseCopies(value) {
+    if (value === undefined || value === null) return 1;
+    const copies = Number(value);
+    if (!Number.isInteger(copies) || copies < 1 || copies > MAX_COPIES) {
+      throw new Error(`Invalid print option copies: ${value} (1-${MAX_COPIES})`);
+    }
+    return copies;
+  }
+
+  /**
+   * @private
+   */
+  static parseDuplex(value) {
+    if (value === undefined || value === null) return null;
+    if (value === true) return 'long-edge';
+    if (value === false) return 'simplex';
+
+    const duplex = DUPLEX_ALIASES[String(value).toLowerCase()];
+    if (!duplex) {
+      throw new Error(`Invalid print option duplex: ${value} (simplex, long-edge, short-edge)`);
+    }
+    return duplex;
+  }
+
+  /**
+   * @private
+   */
+  static parseColorMode(value) {
+    if (value === undefined || value === null) return null;
+    if (value === true) return 'color';
+    if (value === false) return 'grayscale';
+
+    const mode = COLOR_ALIASES[String(value).toLowerCase()];
+    if (!mode) {
+      throw new Error(`Invalid print option colorMode: ${value} (color, grayscale)`);
+    }
+    return mode;
+  }
+
+  /**
+   * @private
+   */
+  static parseOrientation(value) {
+    if (value === undefined || value === null) return null;
+    const orientation = String(value).toLowerCase();
+    if (orientation !== 'portrait' && orientation !== 'landscape') {
+      throw new Error(`Invalid print option orientation: ${value} (portrait, landscape)`);
+    }
+    return orientation;
+  }
+
+  /**
+   * Parse page ranges into sorted, 1-based inclusive { from, to } pairs
+   * @private
+   */
+  static parsePageRanges(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const items = typeof value === 'string' ? value.split(',') : [].concat(value);
+    const ranges = items.map(item => {
+      let from;
+      let to;
+      if (typeof item === 'number') {
+        from = to = item;
+      } else if (Array.isArray(item)) {
+        [from, to = from] = item;
+      } else if (item && typeof item === 'object') {
+        ({ from, to = from } = item);
+      } else {
+        const match = String(item).trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match) throw new Error(`Invalid print option pageRanges: ${value}`);
+        from = parseInt(match[1], 10);
+        to = match[2] ? parseInt(match[2], 10) : from;
+      }
+
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) {
+        throw new Error(`Invalid print option pageRanges: ${JSON.stringify(value)}`);
+      }
+      return { from, to };
+    });
+
+    return ranges.sort((a, b) => a.from - b.from);
+  }
+
+  /**
+   * Check the settings against the printer capabilities. When they were only
+   * guessed from the printer name (source 'heuristic'), duplex/color are still
+   * sent — drivers ignore what they can't do; an unknown tray is dropped.
+   * @private
+   */
+  applyCapabilities(capabilities) {
+    const guessed = !capabilities.source || capabilities.source === 'heuristic';
+
+    if (this.duplex && this.duplex !== 'simplex' && capabilities.duplex === false) {
+      if (guessed) {
+        this.warnings.push('Printer may not support duplex — pages may print one-sided');
+      } else {
+        this.warnings.push('Printer does not support duplex — printing one-sided');
+        this.duplex = 'simplex';
+      }
+    }
+    if (this.colorMode === 'color' && capabilities.color === false) {
+      if (guessed) {
+        this.warnings.push('Printer may not support color — pages may print in grayscale');
+      } else {
+        this.warnings.push('Printer does not support color — printing grayscale');
+        this.colorMode = 'grayscale';
+      }
+    }
+    if (this.tray && Array.isArray(capabilities.trays) && capabilities.trays.length > 0 &&
+        !capabilities.trays.includes(this.tray)) {
+      this.warnings.push(`Unknown input tray "${this.tray}" (available: ${capabilities.trays.join(', ')}) — using default tray`);
+      this.tray = null;
+    }
+    // IPP trays are media-source keywords, driver trays PPD InputSlot choices
+    this.trayOption = capabilities.source === 'ipp' ? 'media-source' : 'InputSlot';
+  }
+
+  /**
+   * Page ranges as CUPS page-list ("1-3,5")
+   * @returns {string|null}
+   */
+  get pageList() {
+    if (!this.pageRanges) return null;
+    return this.pageRanges.map(({ from, to }) => (from === to ? `${from}` : `${from}-${to}`)).join(',');
+  }
+
+  /**
+   * CUPS job options (-o name=value), shared by lp and lpr
+   * @private
+   */
+  cupsOptions() {
+    const options = [];
+    if (this.duplex) {
+      options.push(`sides=${{ simplex: 'one-sided', 'long-edge': 'two-sided-long-edge', 'short-edge': 'two-sided-short-edge' }[this.duplex]}`);
+    }
+    if (this.colorMode) {
+      // IPP attribute, plus the PPD option most drivers use
+      options.push(`print-color-mode=${this.colorMode === 'color' ? 'color' : 'monochrome'}`);
+      options.push(`ColorModel=${this.colorMode === 'color' ? 'RGB' : 'Gray'}`);
+    }
+    if (this.tray) options.push(`${this.trayOption}=${this.tray}`);
+    if (this.orientation) options.push(`orientation-requested=${this.orientation === 'landscape' ? 4 : 3}`);
+    if (this.collate !== null) options.push(`collate=${this.collate}`);
+    return options.flatMap(option => ['-o', option]);
+  }
+
+  /**
+   * Arguments for `lp` (Linux), before the file name
+   * @returns {string[]}
+   */
+  toLpArgs() {
+    const args = [];
+    if (this.copies > 1) args.push('-n', String(this.copies));
+    if (this.pageList) args.push('-P', this.pageList);
+    return args.concat(this.cupsOptions());
+  }
+
+  /**
+   * Arguments for `lpr` (macOS fallback), before the file name
+   * @returns {string[]}
+   */
+  toLprArgs() {
+    const args = [];
+    if (this.copies > 1) args.push(`-#${this.copies}`);
+    if (this.pageList) args.push('-o', `page-ranges=${this.pageList}`);
+    return args.concat(this.cupsOptions());
+  }
+
+  /**
+   * IPP job template attributes, for printers reached directly over IPP
+   * (the tray needs a media-col collection, which isn't sent — reported as a warning)
+   * @returns {Array<[number, string, *]>} [valueTag, name, value]
+   */
+  toIppAttributes() {
+    const { INTEGER, ENUM, RANGE, KEYWORD } = IppClient.TAGS;
+    const attributes = [];
+    if (this.copies > 1) attributes.push([INTEGER, 'copies', this.copies]);
+    if (this.duplex) {
+      attributes.push([KEYWORD, 'sides', { simplex: 'one-sided', 'long-edge': 'two-sided-long-edge', 'short-edge': 'two-sided-short-edge' }[this.duplex]]);
+    }
+    if (this.colorMode) attributes.push([KEYWORD, 'print-color-mode', this.colorMode === 'color' ? 'color' : 'monochrome']);
+    if (this.orientation) attributes.push([ENUM, 'orientation-requested', this.orientation === 'landscape' ? 4 : 3]);
+    if (this.pageRanges) {
+      attributes.push([RANGE, 'page-ranges', this.pageRanges.map(({ from, to }) => ({ lower: from, upper: to }))]);
+    }
+    if (this.collate !== null) {
+      attributes.push([KEYWORD, 'multiple-document-handling',
+        this.collate ? 'separate-documents-collated-copies' : 'separate-documents-uncollated-copies']);
+    }
+    if (this.tray) {
+      this.warnings.push('Input tray selection is not supported on direct IPP printers — using default tray');
+    }
+    return attributes;
+  }
+
+  /**
+   * Options for Electron's webContents.print()
+   * (input tray selection isn't available there — reported as a warning)
+   * @returns {Object}
+   */
+  toElectronOptions() {
+    const options = { copies: this.copies };
+    if (this.duplex) {
+      options.duplexMode = { simplex: 'simplex', 'long-edge': 'longEdge', 'short-edge': 'shortEdge' }[this.duplex];
+    }
+    if (this.colorMode) options.color = this.colorMode === 'color';
+    if (this.orientation) options.landscape = this.orientation === 'landscape';
+    if (this.collate !== null) options.collate = this.collate;
+    if (this.pageRanges) {
+      // Electron page ranges are 0-based
+      options.pageRanges = this.pageRanges.map(({ from, to }) => ({ from: from - 1, to: to - 1 }));
+    }
+    if (this.tray && !this.warnings.some(w => w.startsWith('Input tray'))) {
+      this.warnings.push(`Input tray selection is not supported on ${process.platform} — using default tray`);
+    }
+    return options;
+  }
+}
+
+module.exports = PrintOptions;
@@ -0,0 +1,241 @@
+/**
+ * Printer Capabilities
+ *
+ * Reads what a printer really supports instead of guessing from its name:
+ * - IPP printer attributes (network printers, driverless/IPP Everywhere queues)
+ * - driver options: the PPD on CUPS (PageSize, Duplex, ColorModel, Resolution, InputSlot)
+ * - the CUPS printer-type bits (color, duplex)
+ *
+ * Each source returns only what it exposes; PrinterDetector fills the gaps
+ * with its name-based heuristics. `source` tells the backend which one won.
+ */
+
+const IppClient = require('./ippClient');
+
+const IPP_ATTRIBUTES = [
+  'media-supported', 'media-default',
+  'sides-supported',
+  'print-color-mode-supported', 'color-supported',
+  'printer-resolution-supported', 'printer-resolution-default',
+  'media-source-supported'
+];
+
+// CUPS printer-type bits (cups/cups.h)
+const CUPS_PRINTER_COLOR = 0x0004;
+const CUPS_PRINTER_DUPLEX = 0x0010;
+
+// PWG media names (RFC 5100) and PPD PageSize names of common papers
+const PAPER_NAMES = {
+  iso_a3: 'A3', iso_a4: 'A4', iso_a5: 'A5', iso_a6: 'A6', iso_b5: 'B5', jis_b5: 'B5',
+  na_letter: 'Letter', na_legal: 'Legal', na_executive: 'Executive',
+  a3: 'A3', a4: 'A4', a5: 'A5', a6: 'A6', b5: 'B5',
+  letter: 'Letter', legal: 'Legal', executive: 'Executive'
+};
+
+const COLOR_CHOICE = /rgb|cmy|colou?r/i;
+const SIMPLEX_CHOICES = ['none', 'off', 'false', 'simplex', 'one-sided'];
+
+class PrinterCapabilities {
+  /**
+   * Discover the capabilities of a system printer
+   * @param {Object} systemPrinter - node-printer printer object
+   * @param {Object} [options]
+   * @param {Function} [options.getDriverOptions] - (name) => PPD options (node-printer)
+   * @param {number} [options.timeout] - IPP timeout, ms
+   * @returns {Promise<Object|null>} Partial capabilities, or null if nothing is exposed
+   */
+  static async discover(systemPrinter, { getDriverOptions, timeout = 3000 } = {}) {
+    const found = [];
+
+    const uri = PrinterCapabilities.ippUri(systemPrinter);
+    if (uri) {
+      try {
+        const attributes = await IppClient.getPrinterAttributes(uri, IPP_ATTRIBUTES, { timeout });
+        found.push(PrinterCapabilities.fromIppAttributes(attributes));
+      } catch (_) {
+        // Printer offline or not speaking IPP — try the driver
+      }
+    }
+
+    found.push(PrinterCapabilities.readDriver(systemPrinter, getDriverOptions));
+    return PrinterCapabilities.merge(...found);
+  }
+
+  /**
+   * Capabilities available without network access (PPD and CUPS printer-type)
+   * @param {Object} systemPrinter
+   * @param {Function} [getDriverOptions]
+   * @returns {Object|null}
+   */
+  static readDriver(systemPrinter, getDriverOptions) {
+    let driverOptions = null;
+    if (typeof getDriverOptions === 'function') {
+      try {
+        driverOptions = getDriverOptions(systemPrinter.name);
+      } catch (_) {
+        // No PPD (Windows, raw queues)
+      }
+    }
+
+    return PrinterCapabilities.merge(
+      PrinterCapabilities.fromDriverOptions(driverOptions),
+      PrinterCapabilities.fromPrinterType(systemPrinter.options?.['printer-type'])
+    );
+  }
+
+  /**
+   * IPP URI of a network printer (from the CUPS device URI)
+   * @param {Object} systemPrinter
+   * @returns {string|null}
+   * @private
+   */
+  static ippUri(systemPrinter) {
+    const deviceUri = systemPrinter.options?.['device-uri'] || '';
+    return /^ipps?:\/\//i.test(deviceUri) ? deviceUri : null;
+  }
+
+  /**
+   * Merge partial capabilities; earlier sources win
+   * @param {...Object|null} sources
+   * @returns {Object|null}
+   */
+  static merge(...sources) {
+    const merged = {};
+    for (const source of sources.filter(Boolean)) {
+      for (const [key, value] of Object.entries(source)) {
+        if (merged[key] === undefined && value !== undefined) merged[key] = value;
+      }
+    }
+    return Object.keys(merged).length > 0 ? merged : null;
+  }
+
+  /**
+   * @param {Object} attributes - IPP printer attributes (IppClient)
+   * @returns {Object|null}
+   */
+  static fromIppAttributes(attributes) {
+    if (!attributes) return null;
+    const list = (name) => (attributes[name] === undefined ? null : [].concat(attributes[name]));
+    const capabilities = {};
+
+    const media = list('media-supported');
+    if (media) capabilities.paperSizes = PrinterCapabilities.paperNames(media);
+
+    const sides = list('sides-supported');
+    if (sides) capabilities.duplex = sides.some(s => String(s).startsWith('two-sided'));
+
+    const colorModes = list('print-color-mode-supported');
+    if (colorModes) {
+      capabilities.color = colorModes.some(m => String(m).includes('color'));
+    } else if (typeof attributes['color-supported'] === 'boolean') {
+      capabilities.color = attributes['color-supported'];
+    }
+
+    const resolutions = list('printer-resolution-supported');
+    if (resolutions) capabilities.resolutions = PrinterCapabilities.toDpi(resolutions);
+    const defaultResolution = list('printer-resolution-default');
+    if (defaultResolution) capabilities.dpi = PrinterCapabilities.toDpi(defaultResolution)[0];
+
+    const trays = list('media-source-supported');
+    if (trays) capabilities.trays = trays.filter(t => t && t !== 'auto');
+
+    return PrinterCapabilities.withSource(capabilities, 'ipp');
+  }
+
+  /**
+   * @param {Object} driverOptions - PPD options, e.g. { PageSize: { A4: true, Letter: false } }
+   *   (true marks the default choice)
+   * @returns {Object|null}
+   */
+  static fromDriverOptions(driverOptions) {
+    if (!driverOptions || typeof driverOptions !== 'object') return null;
+    const choices = (...names) => {
+      const option = names.map(n => driverOptions[n]).find(o => o && typeof o === 'object');
+      return option ? Object.keys(option) : null;
+    };
+    const defaultChoice = (name) => {
+      const option = driverOptions[name];
+      return option ? Object.keys(option).find(key => option[key] === true) : undefined;
+    };
+    const capabilities = {};
+
+    const sizes = choices('PageSize', 'PageRegion');
+    if (sizes) capabilities.paperSizes = PrinterCapabilities.paperNames(sizes);
+
+    const duplex = choices('Duplex', 'EFDuplex', 'KMDuplex');
+    if (duplex) capabilities.duplex = duplex.some(c => !SIMPLEX_CHOICES.includes(c.toLowerCase()));
+
+    const colorModes = choices('ColorModel', 'ColorMode', 'CMAndResolution', 'SelectColor');
+    if (colorModes) capabilities.color = colorModes.some(c => COLOR_CHOICE.test(c));
+
+    const resolutions = choices('Resolution');
+    if (resolutions) {
+      capabilities.resolutions = PrinterCapabilities.toDpi(resolutions);
+      const current = defaultChoice('Resolution');
+      if (current) capabilities.dpi = PrinterCapabilities.toDpi([current])[0];
+    }
+
+    const trays = choices('InputSlot');
+    if (trays) capabilities.trays = trays.filter(t => t.toLowerCase() !== 'auto');
+
+    return PrinterCapabilities.withSource(capabilities, 'driver');
+  }
+
+  /**
+   * @param {number|string} printerType - CUPS printer-type attribute
+   * @returns {Object|null}
+   */
+  static fromPrinterType(printerType) {
+    const bits = parseInt(printerType, 10);
+    if (!Number.isInteger(bits)) return null;
+    return {
+      color: (bits & CUPS_PRINTER_COLOR) !== 0,
+      duplex: (bits & CUPS_PRINTER_DUPLEX) !== 0,
+      source: 'driver'
+    };
+  }
+
+  /**
+   * @private
+   */
+  static withSource(capabilities, source) {
+    return Object.keys(capabilities).length > 0 ? { ...capabilities, source } : null;
+  }
+
+  /**
+   * Friendly paper names (iso_a4_210x297mm / A4 → 'A4'); other names are kept
+   * @param {string[]} names - PWG media names or PPD PageSize choices
+   * @returns {string[]}
+   * @private
+   */
+  static paperNames(names) {
+    const result = names.map(name => {
+      const value = String(name);
+      const pwg = value.match(/^([a-z]+_[a-z0-9]+)_[\d.]+x[\d.]+(mm|in)$/i);
+      const key = (pwg ? pwg[1] : value).toLowerCase();
+      return PAPER_NAMES[key] || value;
+    });
+    return [...new Set(result)];
+  }
+
+  /**
+   * Dots per inch of IPP resolutions or PPD choices ('600dpi', '300x600dpi')
+   * @param {Array<Object|string>} resolutions
+   * @returns {number[]} Sorted, without duplicates
+   * @private
+   */
+  static toDpi(resolutions) {
+    const dpi = resolutions.map(r => {
+      if (r && typeof r === 'object') {
+        return r.units === 'dpcm' ? Math.round(r.x * 2.54) : r.x;
+      }
+      const match = String(r).match(/^(\d+)(?:x(\d+))?dpi$/i);
+      return match ? parseInt(match[1], 10) : null;
+    }).filter(Number.isInteger);
+    return [...new Set(dpi)].sort((a, b) => a - b);
+  }
+}
+
+PrinterCapabilities.IPP_ATTRIBUTES = IPP_ATTRIBUTES;
+
+module.exports = PrinterCapabilities;
@@ -2,14 +2,30 @@
  * Printer Detector
  *
  * Detects and identifies local printers (USB, network, system).
- * Determines printer type and capabilities.
+ * Determines printer type and capabilities: read from IPP / the driver when
+ * exposed (see PrinterCapabilities), guessed from the printer name otherwise.
+ * User-defined network printers without an OS queue (see NetworkPrinter) are
+ * listed alongside, with metadata.virtual set.
  */
 
 const printer = require('@thiagoelg/node-printer');
+const PrinterCapabilities = require('./printerCapabilities');
+const NetworkPrinter = require('./networkPrinter');
+const PrinterStatus = require('./printerStatus');
+
+const TYPES = ['thermal', 'label', 'laser', 'inkjet', 'dotmatrix', 'generic'];
+const INTERFACES = ['usb', 'network', 'bluetooth', 'serial', 'parallel', 'unknown'];
 
 class PrinterDetector {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.getOverrides] - (systemName) => manual overrides (ConfigManager)
+   * @param {Function} [options.getVirtualPrinters] - () => network printers (ConfigManager)
+   */
+  constructor({ getOverrides, getVirtualPrinters } = {}) {
     this.printers = [];
+    this.getOverrides = getOverrides || (() => ({}));
+    this.getVirtualPrinters = getVirtualPrinters || (() => []);
   }
 
   /**
@@ -20,7 +36,12 @@ class PrinterDetector {
     try {
       const systemPrinters = printer.getPrinters();
 
-      this.printers = systemPrinters.map(p => this.mapPrinterInfo(p));
+      // Capability queries run in parallel — an offline network printer only costs its timeout
+      const detected = Promise.all(systemPrinters.map(async p =>
+        this.mapPrinterInfo(p, await this.discoverCapabilities(p))));
+      const virtual = Promise.all(this.getVirtualPrinters().map(vp => this.mapVirtualPrinter(vp)));
+
+      this.printers = [...await detected, ...await virtual];
 
       return this.printers;
     } catch (error) {
@@ -28,37 +49,129 @@ class PrinterDetector {
     }
   }
 
+  /**
+   * Names of the printers detectPrinters() would return, without mapping
+   * them (no capability queries or probes) — cheap enough to poll
+   * @returns {string[]}
+   */
+  listPrinterNames() {
+    return [
+      ...printer.getPrinters().map(p => p.name),
+      ...this.getVirtualPrinters().map(vp => vp.name)
+    ];
+  }
+
+  /**
+   * Read the real capabilities of a printer (IPP, then driver/PPD)
+   * @param {Object} systemPrinter - System printer object
+   * @returns {Promise<Object|null>} Partial capabilities, null when nothing is exposed
+   */
+  async discoverCapabilities(systemPrinter) {
+    try {
+      return await PrinterCapabilities.discover(systemPrinter, { getDriverOptions: printer.getPrinterDriverOptions });
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Map a user-defined network printer: its status is probed and an IPP
+   * printer is asked for its capabilities, as for system printers
+   * @param {Object} virtualPrinter - { name, displayName, uri, type } (ConfigManager)
+   * @returns {Promise<Object>} Mapped printer info
+   */
+  async mapVirtualPrinter(virtualPrinter) {
+    const network = new NetworkPrinter(virtualPrinter.uri, { timeout: 3000 });
+    const systemPrinter = {
+      name: virtualPrinter.name,
+      displayName: virtualPrinter.displayName || virtualPrinter.name,
+      driver: `Direct ${network.protocol}`,
+      options: { 'device-uri': virtualPrinter.uri },
+      virtual: virtualPrinter
+    };
+
+    const [probe, discovered] = await Promise.all([
+      network.probe(),
+      PrinterCapabilities.discover(systemPrinter).catch(() => null)
+    ]);
+    systemPrinter.health = PrinterStatus.fromProbe(probe);
+
+    const info = this.mapPrinterInfo(systemPrinter, discovered);
+    info.metadata.virtual = true;
+    info.metadata.uri = virtualPrinter.uri;
+    return info;
+  }
+
   /**
    * Map system printer info to RepairMind format
    * @param {Object} systemPrinter - System printer object
+   * @param {Object|null} [discovered] - Capabilities read from IPP/driver
+   *   (default: driver only, no network access)
    * @returns {Object} Mapped printer info
    */
-  mapPrinterInfo(systemPrinter) {
-    const type = this.detectPrinterType(systemPrinter);
-    const interfaceType = this.detectInterface(systemPrinter);
-
-    return {
+  mapPrinterInfo(systemPrinter, discovered = PrinterCapabilities.readDriver(systemPrinter, printer.getPrinterDriverOptions)) {
+    const overrides = this.getOverrides(systemPrinter.name) || {};
+    const type = overrides.type || systemPrinter.virtual?.type || this.detectPrinterType(systemPrinter);
+    const interfaceType = overrides.interface || this.detectInterface(systemPrinter);
+    const found = discovered || {};
+    const health = systemPrinter.health || PrinterStatus.fromSystemPrinter(systemPrinter);
+
+    const info = {
       systemName: systemPrinter.name,
       displayName: systemPrinter.displayName || systemPrinter.name,
       type,
       interface: interfaceType,
       driver: systemPrinter.driver || 'Generic',
       capabilities: {
-        color: this.supportsColor(systemPrinter, type),
-        duplex: this.supportsDuplex(systemPrinter, type),
-        paperSizes: this.getSupportedPaperSizes(systemPrinter),
+        color: found.color ?? this.supportsColor(systemPrinter, type),
+        duplex: found.duplex ?? this.supportsDuplex(systemPrinter, type),
+        paperSizes: found.paperSizes?.length ? found.paperSizes : this.getSupportedPaperSizes(systemPrinter, type),
         maxWidth: this.getMaxWidth(type),
         cutter: type === 'thermal' || type === 'label',
-        cashDrawer: type === 'thermal'
+        cashDrawer: type === 'thermal',
+        labelLanguage: type === 'label' ? this.detectLabelLanguage(systemPrinter) : null,
+        dpi: type === 'label' ? (found.dpi || this.detectDpi(systemPrinter)) : null,
+        resolutions: found.resolutions || null,
+        trays: found.trays?.length ? found.trays : null,
+        source: found.source || 'heuristic'
       },
       metadata: {
         isDefault: systemPrinter.isDefault || false,
-        status: systemPrinter.status || 'unknown',
+        status: health.status,
+        statusReasons: health.reasons,
+        statusMessage: health.message,
         portName: systemPrinter.portName || null,
         location: systemPrinter.location || null,
-        comment: systemPrinter.comment || null
+        comment: systemPrinter.comment || null,
+        overridden: Object.keys(overrides)
       }
     };
+
+    return this.applyOverrides(info, overrides);
+  }
+
+  /**
+   * Apply manual capability overrides (type and interface are applied
+   * before detection, as the other capabilities depend on them)
+   * @param {Object} info - Mapped printer info
+   * @param {Object} overrides - See ConfigManager.getPrinterOverrides
+   * @returns {Object}
+   */
+  applyOverrides(info, overrides) {
+    const capabilities = info.capabilities;
+
+    if (overrides.paperSizes?.length) capabilities.paperSizes = overrides.paperSizes;
+    if (overrides.dpi) capabilities.dpi = overrides.dpi;
+    if (overrides.thermalWidth && info.type === 'thermal') {
+      capabilities.maxWidth = overrides.thermalWidth;
+      capabilities.paperSizes = overrides.paperSizes?.length ? overrides.paperSizes : [`${overrides.thermalWidth}mm`];
+    }
+    if (overrides.labelWidthMm && overrides.labelHeightMm) {
+      capabilities.labelWidthMm = overrides.labelWidthMm;
+      capabilities.labelHeightMm = overrides.labelHeightMm;
+      if (info.type === 'label') capabilities.maxWidth = overrides.labelWidthMm;
+    }
+    return info;
   }
 
   /**
@@ -195,6 +308,50 @@ class PrinterDetector {
     return 'generic';
   }
 
+  /**
+   * Detect the native command language of a label printer
+   * @param {Object} printer - System printer object
+   * @returns {string|null} 'zpl' | 'epl' | 'tspl' | null (driver/HTML path)
+   */
+  detectLabelLanguage(printer) {
+    const name = (printer.name + ' ' + (printer.displayName || '') + ' ' + (printer.driver || '')).toLowerCase();
+
+    // Zebra desktop models from the 2844 family only speak EPL
+    if (/\b(t?lp ?2844|lp2824|tlp ?2824)\b/.test(name) || name.includes('epl')) {
+      return 'epl';
+    }
+    if (name.includes('zebra') || name.includes('zpl') || /\b(zd|zt|gk4|gx4|zq)\d/.test(name)) {
+      return 'zpl';
+    }
+    // TSC (TTP/TDP/TE series) use TSPL
+    if (name.includes('tsc ') || name.includes('tspl') || /\b(ttp|tdp)-|\bte[23]\d\d/.test(name)) {
+      return 'tspl';
+    }
+    // Godex printers ship with ZPL emulation (GZPL) auto-detected by the firmware
+    if (name.includes('godex')) {
+      return 'zpl';
+    }
+
+    return null;
+  }
+
+  /**
+   * Detect print head resolution of a label printer (dots per inch)
+   * @param {Object} printer - System printer object
+   * @returns {number}
+   */
+  detectDpi(printer) {
+    const name = (printer.name + ' ' + (printer.displayName || '') + ' ' + (printer.driver || '')).toLowerCase();
+
+    const explicit = name.match(/(203|300|600)\s*dpi/);
+    if (explicit) return parseInt(explicit[1], 10);
+
+    // Model suffixes: ZD420-300, TTP-345 / TE300 (300dpi), Godex G530
+    if (/-300\b|ttp-345|te3\d\d|g530|ez530/.test(name)) return 300;
+
+    return 203;
+  }
+
   /**
    * Detect printer interface (USB, network, etc.)
    * @param {Object} printer - System printer object
@@ -279,10 +436,10 @@ class PrinterDetector {
   /**
    * Get supported paper sizes
    * @param {Object} printer - System printer object
+   * @param {string} [type] - Printer type (detected if omitted)
    * @returns {Array<string>}
    */
-  getSupportedPaperSizes(printer) {
-    const type = this.detectPrinterType(printer);
+  getSupportedPaperSizes(printer, type = this.detectPrinterType(printer)) {
 
     if (type === 'thermal') {
       return ['80mm', '58mm'];
@@ -353,4 +510,7 @@ class PrinterDetector {
   }
 }
 
+PrinterDetector.TYPES = TYPES;
+PrinterDetector.INTERFACES = INTERFACES;
+
 module.exports = PrinterDetector;
@@ -0,0 +1,198 @@
+/**
+ * Printer Discovery
+ *
+ * Finds network printers that are not installed in the OS, so they can be
+ * added as virtual printers (see NetworkPrinter) without admin rights:
+ * - DNS-SD over mDNS: _ipp._tcp, _pdl-datastream._tcp (raw 9100), _printer._tcp (LPD)
+ * - optional scan of a subnet (CIDR) for an open raw printing port
+ *
+ * Results are merged per IP address, the preferred URI first (IPP, raw, LPD).
+ * Names and models come from any device on the network: they are cleaned
+ * (see cleanName) before anyone displays or saves them.
+ */
+
+const MdnsBrowser = require('./mdnsBrowser');
+const NetworkPrinter = require('./networkPrinter');
+
+const SERVICES = {
+  '_ipp._tcp': 'ipp',
+  '_pdl-datastream._tcp': 'socket',
+  '_printer._tcp': 'lpd'
+};
+const PROTOCOL_RANK = ['ipp', 'socket', 'lpd'];
+
+const MAX_SCAN_HOSTS = 1024; // a /22
+const MAX_NAME_LENGTH = 63; // DNS-SD instance name limit
+const SCAN_CONCURRENCY = 64;
+
+class PrinterDiscovery {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.detectType] - ({ name, driver }) => printer type (PrinterDetector)
+   */
+  constructor({ detectType } = {}) {
+    this.detectType = detectType || (() => 'generic');
+  }
+
+  /**
+   * Discover network printers
+   * @param {Object} [options]
+   * @param {string} [options.subnet] - CIDR to scan, e.g. '192.168.1.0/24' (mDNS only when omitted)
+   * @param {number} [options.port=9100] - Port probed by the subnet scan
+   * @param {number} [options.timeout=3000] - mDNS listening time, ms (scan: per host, up to 1s)
+   * @returns {Promise<{printers: Array<Object>, warnings: string[]}>}
+   *   printers: { host, name, model, uri, uris, type, sources }
+   */
+  async discover({ subnet = null, port = 9100, timeout = 3000 } = {}) {
+    const warnings = [];
+    const hosts = subnet ? PrinterDiscovery.subnetHosts(subnet) : [];
+
+    const [services, open] = await Promise.all([
+      MdnsBrowser.browse(Object.keys(SERVICES), { timeout }).catch((error) => {
+        warnings.push(`mDNS discovery unavailable: ${error.message}`);
+        return [];
+      }),
+      PrinterDiscovery.scanHosts(hosts, port, Math.min(timeout, 1000))
+    ]);
+
+    const found = new Map();
+    const entry = (host, name) => {
+      if (!found.has(host)) {
+        found.set(host, { host, name, model: null, uris: [], sources: [] });
+      }
+      return found.get(host);
+    };
+
+    for (const service of services) {
+      const host = service.addresses[0] || service.host;
+      const printer = entry(host, PrinterDiscovery.cleanName(service.name) || host);
+      printer.model = printer.model || PrinterDiscovery.cleanName(PrinterDiscovery.modelOf(service.txt)) || null;
+      PrinterDiscovery.addUri(printer, PrinterDiscovery.serviceUri(service, host));
+      if (!printer.sources.includes('mdns')) printer.sources.push('mdns');
+    }
+
+    for (const host of open) {
+      const printer = entry(host, host);
+      PrinterDiscovery.addUri(printer, `socket://${host}:${port}`);
+      printer.sources.push('scan');
+    }
+
+    const printers = [...found.values()].map(printer => {
+      printer.uris.sort((a, b) => PROTOCOL_RANK.indexOf(a.split(':')[0]) - PROTOCOL_RANK.indexOf(b.split(':')[0]));
+      return {
+        ...printer,
+        uri: printer.uris[0],
+        type: this.detectType({ name: printer.name, driver: printer.model || '' })
+      };
+    });
+
+    return { printers, warnings };
+  }
+
+  /**
+   * URI to print to a DNS-SD service (rp: resource path / LPD queue)
+   * @private
+   */
+  static serviceUri(service, host) {
+    const address = host.includes(':') ? `[${host}]` : host;
+    const resource = typeof service.txt.rp === 'string' ? service.txt.rp.replace(/^\/+/, '') : '';
+    switch (SERVICES[service.type]) {
+      case 'ipp':
+        return `ipp://${address}:${service.port}/${resource || 'ipp/print'}`;
+      case 'lpd':
+        return `lpd://${address}:${service.port}/${resource || 'auto'}`;
+      default:
+        return `socket://${address}:${service.port}`;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static addUri(printer, uri) {
+    if (!printer.uris.includes(uri)) printer.uris.push(uri);
+  }
+
+  /**
+   * Printer model from the TXT record (ty, or product without parentheses)
+   * @private
+   */
+  static modelOf(txt) {
+    if (typeof txt.ty === 'string' && txt.ty) return txt.ty;
+    if (typeof txt.product === 'string' && txt.product) return txt.product.replace(/^\((.*)\)$/, '$1');
+    return null;
+  }
+
+  /**
+   * Printer name or model fit to display and save: control characters and
+   * markup characters removed, whitespace collapsed, length bounded
+   * @param {*} value
+   * @returns {string} '' when nothing is left
+   */
+  static cleanName(value) {
+    return String(value ?? '')
+      .replace(/[\u0000-\u001f\u007f<>`]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, MAX_NAME_LENGTH)
+      .trim();
+  }
+
+  /**
+   * Host addresses of an IPv4 subnet (network and broadcast addresses excluded)
+   * @param {string} subnet - CIDR, e.g. '192.168.1.0/24'
+   * @returns {string[]}
+   */
+  static subnetHosts(subnet) {
+    const match = String(subnet).trim().match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\/(\d{1,2})$/);
+    const octets = match ? match.slice(1, 5).map(Number) : [];
+    const bits = match ? Number(match[5]) : -1;
+    if (!match || octets.some(o => o > 255) || bits > 32) {
+      throw new Error(`Invalid subnet: ${subnet} (e.g. 192.168.1.0/24)`);
+    }
+
+    const size = 2 ** (32 - bits);
+    if (size > MAX_SCAN_HOSTS) {
+      throw new Error(`Subnet too large: ${subnet} (at most ${MAX_SCAN_HOSTS} addresses, /22)`);
+    }
+
+    const address = octets.reduce((value, octet) => value * 256 + octet, 0);
+    const base = address - (address % size);
+    const first = size > 2 ? 1 : 0;
+    const last = size > 2 ? size - 2 : size - 1;
+    const hosts = [];
+    for (let i = first; i <= last; i++) {
+      const value = base + i;
+      hosts.push([value >>> 24, (value >>> 16) & 255, (value >>> 8) & 255, value & 255].join('.'));
+    }
+    return hosts;
+  }
+
+  /**
+   * Hosts with the port open
+   * @param {string[]} hosts
+   * @param {number} port
+   * @param {number} timeout - Per connection, ms
+   * @returns {Promise<string[]>}
+   * @private
+   */
+  static async scanHosts(hosts, port, timeout) {
+    const open = new Set();
+    let next = 0;
+
+    const worker = async () => {
+      while (next < hosts.length) {
+        const host = hosts[next++];
+        const { online } = await new NetworkPrinter(`socket://${host}:${port}`, { timeout }).probe();
+        if (online) open.add(host);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(SCAN_CONCURRENCY, hosts.length) }, worker));
+    return hosts.filter(host => open.has(host));
+  }
+}
+
+PrinterDiscovery.SERVICES = Object.keys(SERVICES);
+
+module.exports = PrinterDiscovery;
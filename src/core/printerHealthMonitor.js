@@ -0,0 +1,164 @@
+/**
+ * Printer Health Monitor
+ *
+ * Polls the status of every printer (see PrinterStatus) — the OS queue for
+ * system printers, the device itself for network printers — and reports
+ * changes of status or reasons:
+ * - 'change' (printerInfo, health, previous): right away, for the UI and tray
+ * - 'settled' (printerInfo, health): once the new state has held for
+ *   `debounce` ms, for the backend — a printer flapping between two states
+ *   within that delay is not reported
+ */
+
+const EventEmitter = require('events');
+const printer = require('@thiagoelg/node-printer');
+const NetworkPrinter = require('./networkPrinter');
+const PrinterStatus = require('./printerStatus');
+
+class PrinterHealthMonitor extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.getPrinters] - () => printers to watch (detected printers)
+   * @param {number} [options.interval=30000] - Poll interval, ms
+   * @param {number} [options.debounce=10000] - Time a new state must hold before 'settled', ms
+   * @param {number} [options.probeTimeout=3000] - Network printer probe timeout, ms
+   */
+  constructor(options = {}) {
+    super();
+    this.getPrinters = options.getPrinters || (() => []);
+    this.interval = options.interval || 30000;
+    this.debounce = options.debounce ?? 10000;
+    this.probeTimeout = options.probeTimeout || 3000;
+
+    this.health = new Map(); // systemName -> last polled { status, reasons, message }
+    this.settled = new Map(); // systemName -> signature last settled (or detected)
+    this.settleTimers = new Map();
+    this.timer = null;
+    this._polling = false;
+  }
+
+  /**
+   * Start polling (first poll right away)
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.interval);
+    this.poll();
+  }
+
+  /**
+   * Stop polling and drop pending 'settled' reports
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    for (const timer of this.settleTimers.values()) clearTimeout(timer);
+    this.settleTimers.clear();
+  }
+
+  /**
+   * Last polled status of a printer
+   * @param {string} systemName
+   * @returns {{status: string, reasons: string[], message: string|null}|null}
+   */
+  getHealth(systemName) {
+    return this.health.get(systemName) || null;
+  }
+
+  /**
+   * Drop the state of a printer that was removed (a pending report included)
+   * @param {string} systemName
+   */
+  forget(systemName) {
+    clearTimeout(this.settleTimers.get(systemName));
+    this.settleTimers.delete(systemName);
+    this.health.delete(systemName);
+    this.settled.delete(systemName);
+  }
+
+  /**
+   * Read the status of every printer once
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this._polling) return;
+    this._polling = true;
+
+    try {
+      const printers = this.getPrinters();
+      const systemPrinters = printers.some(p => !p.metadata?.virtual) ? this.listSystemPrinters() : null;
+
+      const results = await Promise.all(printers.map(async (printerInfo) => {
+        if (printerInfo.metadata?.virtual) {
+          const probe = await new NetworkPrinter(printerInfo.metadata.uri, { timeout: this.probeTimeout }).probe();
+          return [printerInfo, PrinterStatus.fromProbe(probe)];
+        }
+        // Spooler unreachable — keep the last known status rather than marking everything offline
+        if (!systemPrinters) return [printerInfo, null];
+        return [printerInfo, PrinterStatus.fromSystemPrinter(systemPrinters.get(printerInfo.systemName) || null)];
+      }));
+
+      for (const [printerInfo, health] of results) {
+        if (health) this.update(printerInfo, health);
+      }
+    } catch (error) {
+      this.emit('error', error);
+    } finally {
+      this._polling = false;
+    }
+  }
+
+  /**
+   * @returns {Map<string, Object>|null} null when the spooler can't be queried
+   * @private
+   */
+  listSystemPrinters() {
+    try {
+      return new Map(printer.getPrinters().map(sp => [sp.name, sp]));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Record a polled status; report it when it differs from the previous one
+   * @private
+   */
+  update(printerInfo, health) {
+    const key = printerInfo.systemName;
+    const signature = PrinterHealthMonitor.signature(health);
+    const previous = this.health.get(key) || {
+      status: printerInfo.metadata?.status,
+      reasons: printerInfo.metadata?.statusReasons || []
+    };
+
+    // The status at detection is what the backend got with the registration
+    if (!this.settled.has(key)) this.settled.set(key, PrinterHealthMonitor.signature(previous));
+
+    this.health.set(key, health);
+    if (signature === PrinterHealthMonitor.signature(previous)) return;
+
+    this.emit('change', printerInfo, health, previous);
+
+    clearTimeout(this.settleTimers.get(key));
+    this.settleTimers.delete(key);
+    if (signature === this.settled.get(key)) return; // back to the reported state
+
+    this.settleTimers.set(key, setTimeout(() => {
+      this.settleTimers.delete(key);
+      this.settled.set(key, signature);
+      this.emit('settled', printerInfo, health);
+    }, this.debounce));
+  }
+
+  /**
+   * @private
+   */
+  static signature(health) {
+    return `${health.status}|${[...(health.reasons || [])].sort().join(',')}`;
+  }
+}
+
+module.exports = PrinterHealthMonitor;
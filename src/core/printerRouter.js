@@ -0,0 +1,263 @@
+/**
+ * Printer Router
+ *
+ * Resolves the printer of a job that names a role (job.printerRole, e.g.
+ * 'receipt', 'workshop-label', 'invoice') or no printer at all, so the
+ * backend does not need the OS printer names of each machine.
+ *
+ * Rules are tried in order; a rule matches when all of its set conditions do:
+ *   { id, name, enabled, role, documentTypes: [], tags: [], from: 'HH:MM', to: 'HH:MM',
+ *     printer: systemName | printerType: type }
+ * - tags: all must be in job.tags
+ * - from/to: local time window, may span midnight (22:00 → 06:00)
+ * The first matching rule whose printer is available (see PrinterStatus)
+ * wins. Without one, the primary (then any) available printer of the type
+ * suited to the document type is used; a printer that is down is only
+ * chosen when nothing else matches, failover then takes over.
+ *
+ * A job can also target a station (job.station): a named group of printers
+ * of this machine (front desk, workshop...). Its load is spread across the
+ * available members of the type suited to the document, round-robin or to
+ * the member with the fewest pending jobs.
+ */
+
+const PrinterStatus = require('./printerStatus');
+
+// Printer types suited to each document type, preferred first
+const DOCUMENT_PRINTER_TYPES = {
+  receipt: ['thermal'],
+  ticket: ['thermal'],
+  cash_drawer: ['thermal'],
+  invoice: ['laser', 'inkjet', 'generic'],
+  quote: ['laser', 'inkjet', 'generic'],
+  delivery_note: ['laser', 'dotmatrix', 'inkjet', 'generic'],
+  report: ['laser', 'inkjet', 'generic'],
+  pdf_raw: ['laser', 'inkjet', 'generic'],
+  label: ['label'],
+  barcode: ['label'],
+  qrcode: ['label'],
+  raw: []
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const BALANCING = ['round-robin', 'least-queued'];
+
+class PrinterRouter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getRules - () => routing rules (ConfigManager)
+   * @param {Function} options.getPrinters - () => detected printers
+   * @param {Function} [options.getStations] - () => stations (ConfigManager)
+   * @param {Function} [options.getLoad] - (systemName) => jobs queued or printing (JobQueue)
+   * @param {Function} [options.now] - () => Date
+   */
+  constructor({ getRules, getPrinters, getStations, getLoad, now }) {
+    this.getRules = getRules;
+    this.getPrinters = getPrinters;
+    this.getStations = getStations || (() => []);
+    this.getLoad = getLoad || (() => 0);
+    this.now = now || (() => new Date());
+    this.turns = new Map(); // `${station}:${type}` -> round-robin counter
+  }
+
+  /**
+   * Resolve the printer of a job
+   * @param {Object} job - { documentType, printerRole?, tags?, station? }
+   * @returns {{printer: Object, rule: Object|null, station?: Object}}
+   *   rule: null when resolved from the document type or a station
+   */
+  resolve(job) {
+    if (job.station) return this.resolveStation(job);
+
+    const printers = this.getPrinters();
+    const minutes = PrinterRouter.minutesOf(this.now());
+    let fallback = null;
+
+    for (const rule of this.getRules()) {
+      if (rule.enabled === false || !PrinterRouter.matches(rule, job, minutes)) continue;
+
+      const targets = PrinterRouter.targets(rule, printers);
+      const printer = targets.find(p => PrinterStatus.isAvailable(p.metadata?.status));
+      if (printer) return { printer, rule };
+      if (!fallback && targets.length) fallback = { printer: targets[0], rule };
+    }
+
+    const byType = (DOCUMENT_PRINTER_TYPES[job.documentType] || [])
+      .flatMap(type => PrinterRouter.ofType(printers, type));
+    const printer = byType.find(p => PrinterStatus.isAvailable(p.metadata?.status));
+    if (printer) return { printer, rule: null };
+    if (fallback) return fallback;
+    if (byType.length) return { printer: byType[0], rule: null };
+
+    const target = job.printerRole ? `role '${job.printerRole}'` : `document type '${job.documentType}'`;
+    throw new Error(`No printer found for ${target} — add a routing rule`);
+  }
+
+  /**
+   * Pick the member of the job's station that takes it
+   * @param {Object} job - { documentType, station }
+   * @returns {{printer: Object, rule: null, station: Object}}
+   */
+  resolveStation(job) {
+    const station = this.getStations().find(s => s.name === job.station);
+    if (!station) {
+      throw new Error(`Unknown station: ${job.station}`);
+    }
+
+    const members = this.getPrinters().filter(p => station.printers.includes(p.systemName));
+    const types = DOCUMENT_PRINTER_TYPES[job.documentType] || [];
+    // Identical printers only: the first suited type the station has (any member for raw data)
+    const type = types.find(t => members.some(p => p.type === t)) || null;
+    const suited = types.length ? members.filter(p => p.type === type) : members;
+    if (suited.length === 0) {
+      throw new Error(`Station ${station.displayName || station.name} has no printer for document type '${job.documentType}'`);
+    }
+
+    const available = suited.filter(p => PrinterStatus.isAvailable(p.metadata?.status));
+    if (available.length === 0) return { printer: suited[0], rule: null, station };
+
+    let printer;
+    if (station.balancing === 'least-queued') {
+      printer = available.reduce((best, p) => (this.getLoad(p.systemName) < this.getLoad(best.systemName) ? p : best));
+    } else {
+      const key = `${station.name}:${type || '*'}`;
+      const turn = this.turns.get(key) || 0;
+      this.turns.set(key, turn + 1);
+      printer = available[turn % available.length];
+    }
+    return { printer, rule: null, station };
+  }
+
+  /**
+   * Check a station and normalize it
+   * @param {Object} station - { name?, displayName, printers, balancing }
+   * @returns {Object} Normalized station
+   */
+  static validateStation(station) {
+    if (!station || typeof station !== 'object' || !String(station.displayName || station.name || '').trim()) {
+      throw new Error('Station name is required');
+    }
+    if (!Array.isArray(station.printers) || station.printers.length === 0) {
+      throw new Error(`Station ${station.displayName || station.name}: add at least one printer`);
+    }
+    const balancing = station.balancing || BALANCING[0];
+    if (!BALANCING.includes(balancing)) {
+      throw new Error(`Unsupported load balancing: ${balancing} (${BALANCING.join(', ')})`);
+    }
+
+    const displayName = String(station.displayName || station.name).trim();
+    return {
+      name: station.name || PrinterRouter.slug(displayName) || `station-${Date.now().toString(36)}`,
+      displayName,
+      printers: [...new Set(station.printers)],
+      balancing
+    };
+  }
+
+  /**
+   * Check a rule and normalize it
+   * @param {Object} rule
+   * @returns {Object} Normalized rule
+   */
+  static validateRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+      throw new Error('Invalid routing rule');
+    }
+    if (!rule.printer === !rule.printerType) {
+      throw new Error(`Routing rule${rule.name ? ` '${rule.name}'` : ''}: set either a printer or a printer type`);
+    }
+    for (const key of ['from', 'to']) {
+      if (rule[key] && !TIME_PATTERN.test(rule[key])) {
+        throw new Error(`Invalid time '${rule[key]}' (HH:MM)`);
+      }
+    }
+    if (!rule.from !== !rule.to) {
+      throw new Error('Set both the start and the end of the time window');
+    }
+
+    const list = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(v => String(v).trim())
+      .filter(Boolean);
+
+    return {
+      id: rule.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name: rule.name || null,
+      enabled: rule.enabled !== false,
+      role: rule.role || null,
+      documentTypes: list(rule.documentTypes),
+      tags: list(rule.tags),
+      from: rule.from || null,
+      to: rule.to || null,
+      printer: rule.printer || null,
+      printerType: rule.printerType || null
+    };
+  }
+
+  /**
+   * @private
+   */
+  static matches(rule, job, minutes) {
+    if (rule.role && rule.role !== job.printerRole) return false;
+    if (rule.documentTypes?.length && !rule.documentTypes.includes(job.documentType)) return false;
+    if (rule.tags?.length && !rule.tags.every(tag => (job.tags || []).includes(tag))) return false;
+
+    if (rule.from && rule.to) {
+      const from = PrinterRouter.parseTime(rule.from);
+      const to = PrinterRouter.parseTime(rule.to);
+      const inWindow = from <= to
+        ? minutes >= from && minutes < to
+        : minutes >= from || minutes < to; // spans midnight
+      if (!inWindow) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Printers a rule targets, preferred first
+   * @private
+   */
+  static targets(rule, printers) {
+    if (rule.printer) return printers.filter(p => p.systemName === rule.printer);
+    return PrinterRouter.ofType(printers, rule.printerType);
+  }
+
+  /**
+   * Printers of a type, primary then default printers first
+   * @private
+   */
+  static ofType(printers, type) {
+    const rank = p => (p.isPrimary ? 0 : (p.metadata?.isDefault ? 1 : 2));
+    return printers.filter(p => p.type === type).sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * 'Front desk' -> 'front-desk'
+   * @private
+   */
+  static slug(value) {
+    return value.toLowerCase()
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+  }
+
+  /**
+   * @private
+   */
+  static parseTime(value) {
+    const [, hours, minutes] = value.match(TIME_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+  }
+
+  /**
+   * @private
+   */
+  static minutesOf(date) {
+    return date.getHours() * 60 + date.getMinutes();
+  }
+}
+
+PrinterRouter.DOCUMENT_PRINTER_TYPES = DOCUMENT_PRINTER_TYPES;
+PrinterRouter.BALANCING = BALANCING;
+
+module.exports = PrinterRouter;
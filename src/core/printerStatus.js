@@ -0,0 +1,109 @@
+/**
+ * Printer Status
+ *
+ * Normalizes printer states reported by the OS queue (node-printer: CUPS
+ * printer-state / printer-state-reasons, Windows status flags) or by the
+ * device itself (NetworkPrinter probe, IPP printer-state) to:
+ *
+ *   idle | printing | stopped | paper_out | error | offline
+ *
+ * plus the reasons behind it (media-empty, toner-low, door-open...). Warnings
+ * such as toner-low are listed in reasons without changing the status.
+ */
+
+const STATUSES = ['idle', 'printing', 'stopped', 'paper_out', 'error', 'offline'];
+
+// Reason keywords: IPP/CUPS without the -error/-warning/-report suffix, Windows flags lower-cased
+const OFFLINE_REASONS = ['offline', 'not-available', 'server-unknown', 'shutdown', 'timed-out', 'not-found'];
+const PAPER_OUT_REASONS = ['media-empty', 'media-needed', 'paper-out'];
+const ERROR_REASONS = [
+  'media-jam', 'paper-jam', 'paper-problem', 'door-open', 'cover-open', 'interlock-open',
+  'toner-empty', 'marker-supply-empty', 'no-toner', 'output-area-full', 'output-bin-full',
+  'input-tray-missing', 'user-intervention', 'error'
+];
+const STOPPED_REASONS = ['paused', 'moving-to-paused', 'pending-deletion'];
+const PRINTING_REASONS = ['printing', 'processing', 'busy', 'io-active'];
+
+// CUPS printer-state enum
+const CUPS_STATES = { 3: 'idle', 4: 'printing', 5: 'stopped' };
+
+class PrinterStatus {
+  /**
+   * Status of an OS printer
+   * @param {Object|null} systemPrinter - node-printer printer object (null: no longer listed)
+   * @returns {{status: string, reasons: string[], message: string|null}}
+   */
+  static fromSystemPrinter(systemPrinter) {
+    if (!systemPrinter) {
+      return { status: 'offline', reasons: ['not-found'], message: 'Printer no longer installed' };
+    }
+
+    const options = systemPrinter.options || {};
+    const reasons = PrinterStatus.normalizeReasons([
+      ...[].concat(systemPrinter.status || []), // Windows flags
+      ...String(options['printer-state-reasons'] || '').split(',')
+    ]);
+
+    let state = CUPS_STATES[options['printer-state']] || 'idle';
+    if (options['printer-is-accepting-jobs'] === 'false') state = 'stopped';
+
+    return {
+      status: PrinterStatus.classify(state, reasons),
+      reasons,
+      message: options['printer-state-message'] || null
+    };
+  }
+
+  /**
+   * Status of a network printer probed directly
+   * @param {Object} probe - NetworkPrinter.probe() result
+   * @returns {{status: string, reasons: string[], message: string|null}}
+   */
+  static fromProbe(probe) {
+    if (!probe.online) {
+      return { status: 'offline', reasons: ['offline'], message: probe.message || null };
+    }
+
+    const reasons = PrinterStatus.normalizeReasons(probe.reasons || []);
+    const state = { processing: 'printing', stopped: 'stopped' }[probe.state] || 'idle';
+    return { status: PrinterStatus.classify(state, reasons), reasons, message: probe.message || null };
+  }
+
+  /**
+   * Whether a printer in this status can take jobs
+   * @param {string} status
+   * @returns {boolean}
+   */
+  static isAvailable(status) {
+    return status === 'idle' || status === 'printing';
+  }
+
+  /**
+   * @private
+   */
+  static classify(state, reasons) {
+    const has = (list) => reasons.some(reason => list.includes(reason));
+
+    if (has(OFFLINE_REASONS)) return 'offline';
+    if (has(PAPER_OUT_REASONS)) return 'paper_out';
+    if (has(ERROR_REASONS)) return 'error';
+    if (state === 'stopped' || has(STOPPED_REASONS)) return 'stopped';
+    if (state === 'printing' || has(PRINTING_REASONS)) return 'printing';
+    return 'idle';
+  }
+
+  /**
+   * Lower-case keywords without severity suffix, 'none' and duplicates removed
+   * @private
+   */
+  static normalizeReasons(reasons) {
+    const normalized = reasons
+      .map(reason => String(reason).trim().toLowerCase().replace(/-(error|warning|report)$/, ''))
+      .filter(reason => reason && reason !== 'none');
+    return [...new Set(normalized)];
+  }
+}
+
+PrinterStatus.STATUSES = STATUSES;
+
+module.exports = PrinterStatus;
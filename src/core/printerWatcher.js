@@ -0,0 +1,87 @@
+/**
+ * Printer Watcher
+ *
+ * Detects printers being plugged in or removed (USB label printers come and
+ * go all day) without waiting for a manual refresh. The printer names are
+ * polled cheaply; a full detection (capabilities, probes) only runs when the
+ * list differs from the current one, and its result is diffed:
+ * - 'changed' ({ printers, added, removed }): printers is the new full list,
+ *   added/removed the printer infos that appeared / disappeared
+ */
+
+const EventEmitter = require('events');
+
+class PrinterWatcher extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.detector - PrinterDetector
+   * @param {Function} options.getPrinters - () => current printers (detected printers)
+   * @param {number} [options.interval=5000] - Poll interval, ms
+   */
+  constructor({ detector, getPrinters, interval = 5000 }) {
+    super();
+    this.detector = detector;
+    this.getPrinters = getPrinters;
+    this.interval = interval;
+    this.timer = null;
+    this._checking = false;
+  }
+
+  /**
+   * Start watching
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.check(), this.interval);
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Compare the installed printers with the current ones once
+   * @returns {Promise<boolean>} Whether the printer list changed
+   */
+  async check() {
+    if (this._checking) return false;
+    this._checking = true;
+
+    try {
+      const current = this.getPrinters();
+      if (PrinterWatcher.sameNames(this.detector.listPrinterNames(), current.map(p => p.systemName))) {
+        return false;
+      }
+
+      const printers = await this.detector.detectPrinters();
+      const before = new Set(current.map(p => p.systemName));
+      const after = new Set(printers.map(p => p.systemName));
+      const added = printers.filter(p => !before.has(p.systemName));
+      const removed = current.filter(p => !after.has(p.systemName));
+
+      this.emit('changed', { printers, added, removed });
+      return true;
+    } catch (error) {
+      this.emit('error', error);
+      return false;
+    } finally {
+      this._checking = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  static sameNames(a, b) {
+    const names = new Set(a);
+    return names.size === new Set(b).size && b.every(name => names.has(name));
+  }
+}
+
+module.exports = PrinterWatcher;
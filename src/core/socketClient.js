@@ -11,10 +11,13 @@
  * - _setupEventHandlers() uses _handlersAttached guard to prevent duplicate listeners
  * - updateJobStatus uses unique correlation ID to avoid cross-job ack collision
  * - _emitWithTimeout uses scoped listener removal for safety
+ * - Job status updates are acknowledged (socket.io ack or job_status_updated
+ *   echo carrying the correlation ID), with timeout and retry
  */
 
 const { io } = require('socket.io-client');
 const EventEmitter = require('events');
+const crypto = require('crypto');
 
 // Connection states
 const STATE = {
@@ -47,9 +50,18 @@ class SocketClient extends EventEmitter {
 
     // Registered printers cache for re-registration on reconnect
     this.registeredPrintersCache = [];
+    this.registeredStationsCache = [];
 
     // Guard: prevent duplicate event handler attachment
     this._handlersAttached = false;
+
+    // Job status acknowledgements
+    // Keyed by `${jobId}:${status}` — the correlation ID is reused across
+    // retries so the backend can deduplicate repeated deliveries
+    this.statusAckTimeout = 5000;
+    this.statusAckRetries = 2;
+    this.unacknowledgedStatus = new Map();
+    this.statusAckStats = { acknowledged: 0, rejected: 0, timeouts: 0, retries: 0, abandoned: 0 };
   }
 
   /**
@@ -181,6 +193,7 @@ class SocketClient extends EventEmitter {
     // Disconnect — trigger reconnection
     this.socket.on('disconnect', (reason) => {
       this.authenticated = false;
+      this._failPendingStatusAcks(new Error(`Disconnected: ${reason}`));
       this._setState(STATE.DISCONNECTED);
       this.emit('disconnected', reason);
 
@@ -210,8 +223,9 @@ class SocketClient extends EventEmitter {
       this.emit('heartbeat_ack');
     });
 
-    // Job status updated
+    // Job status updated — also acknowledges status updates (echo mode)
     this.socket.on('job_status_updated', (data) => {
+      this._settleStatusAck(data);
       this.emit('job_status_updated', data);
     });
 
@@ -293,8 +307,9 @@ class SocketClient extends EventEmitter {
             this._setState(STATE.CONNECTED);
             this.reconnectAttempts = 0;
 
-            // Re-register cached printers
+            // Re-register cached printers, then the stations grouping them
             await this._reRegisterPrinters();
+            await this._reRegisterStations();
 
             // Notify reconnection complete — PrintClientCore will sync pending jobs
             this.emit('reconnected');
@@ -339,6 +354,20 @@ class SocketClient extends EventEmitter {
     }
   }
 
+  /**
+   * Re-register all cached stations after reconnection
+   * @private
+   */
+  async _reRegisterStations() {
+    for (const stationData of this.registeredStationsCache) {
+      try {
+        await this._emitWithTimeout('register_station', stationData, 'station_registered', 5000);
+      } catch (_) {
+        // Non-fatal — station may already be registered
+      }
+    }
+  }
+
   /**
    * Emit with timeout helper
    * @private
@@ -385,6 +414,40 @@ class SocketClient extends EventEmitter {
     return this._emitWithTimeout('register_printer', printerData, 'printer_registered', 5000);
   }
 
+  /**
+   * Stop re-registering a printer after reconnection (printer removed)
+   * @param {string} systemName
+   * @returns {boolean} Whether the printer was cached
+   */
+  forgetPrinter(systemName) {
+    const count = this.registeredPrintersCache.length;
+    this.registeredPrintersCache = this.registeredPrintersCache.filter(p => p.systemName !== systemName);
+    return this.registeredPrintersCache.length !== count;
+  }
+
+  /**
+   * Register a station (named group of printers of this client)
+   * @param {Object} stationData - { name, displayName, balancing, printers: [{ systemName, printerId }] }
+   * @returns {Promise<Object>}
+   */
+  async registerStation(stationData) {
+    this.registeredStationsCache = [
+      ...this.registeredStationsCache.filter(s => s.name !== stationData.name),
+      stationData
+    ];
+    return this._emitWithTimeout('register_station', stationData, 'station_registered', 5000);
+  }
+
+  /**
+   * Unregister a station
+   * @param {string} name
+   * @returns {Promise<Object>}
+   */
+  async unregisterStation(name) {
+    this.registeredStationsCache = this.registeredStationsCache.filter(s => s.name !== name);
+    return this._emitWithTimeout('unregister_station', { name }, 'station_unregistered', 5000);
+  }
+
   /**
    * Update printer status
    */
@@ -439,14 +502,160 @@ class SocketClient extends EventEmitter {
   }
 
   /**
-   * Update print job status (fire-and-forget — does not block on ack)
-   * No longer uses socket.once() to avoid cross-job ack collision.
+   * Update print job status and wait for the backend to acknowledge it.
+   * Acknowledged either by the socket.io ack callback or by a job_status_updated
+   * echo carrying the same correlation ID. Retries on timeout.
+   * Rejects when not connected or unacknowledged so callers (status outbox)
+   * can keep the update; errors with `rejected: true` were refused by the backend,
+   * errors with `unacknowledged: true` were sent but never acknowledged.
+   * @returns {Promise<Object>} Backend acknowledgement
+   */
+  async updateJobStatus(jobId, status, metadata = {}) {
+    if (!this.socket || !this.authenticated) throw new Error('Not connected');
+
+    const key = `${jobId}:${status}`;
+    let pending = this.unacknowledgedStatus.get(key);
+    if (!pending) {
+      pending = {
+        correlationId: crypto.randomUUID(),
+        jobId,
+        status,
+        attempts: 0,
+        firstSentAt: Date.now(),
+        lastError: null,
+        settle: null
+      };
+      this.unacknowledgedStatus.set(key, pending);
+    }
+
+    const payload = { jobId, status, metadata, correlationId: pending.correlationId };
+
+    for (let attempt = 0; attempt <= this.statusAckRetries; attempt++) {
+      if (attempt > 0) this.statusAckStats.retries++;
+
+      try {
+        const ack = await this._emitStatusOnce(pending, payload);
+        this.unacknowledgedStatus.delete(key);
+        this.statusAckStats.acknowledged++;
+        return ack;
+      } catch (error) {
+        pending.lastError = error.message;
+
+        if (error.rejected) {
+          this.unacknowledgedStatus.delete(key);
+          this.statusAckStats.rejected++;
+          throw error;
+        }
+        if (!error.timeout) throw error; // Disconnected — outbox will replay
+        this.statusAckStats.timeouts++;
+      }
+    }
+
+    this.emit('status_unacknowledged', {
+      jobId,
+      status,
+      correlationId: pending.correlationId,
+      attempts: pending.attempts
+    });
+    const error = new Error(`Job status ${status} for job ${jobId} not acknowledged after ${pending.attempts} attempts`);
+    error.unacknowledged = true;
+    throw error;
+  }
+
+  /**
+   * Emit a single job_status attempt and wait for its acknowledgement
+   * @private
    */
-  updateJobStatus(jobId, status, metadata = {}) {
-    if (!this.socket || !this.authenticated) return Promise.resolve();
+  _emitStatusOnce(pending, payload) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.authenticated) {
+        reject(new Error('Not connected'));
+        return;
+      }
+
+      pending.attempts++;
 
-    this.socket.emit('job_status', { jobId, status, metadata });
-    return Promise.resolve();
+      const timer = setTimeout(() => {
+        const error = new Error(`job_status ack timeout (${this.statusAckTimeout}ms)`);
+        error.timeout = true;
+        settle(error);
+      }, this.statusAckTimeout);
+
+      const settle = (error, result) => {
+        if (pending.settle !== settle) return; // Already settled
+        pending.settle = null;
+        clearTimeout(timer);
+        if (error) reject(error);
+        else resolve(result);
+      };
+      pending.settle = settle;
+
+      this.socket.emit('job_status', payload, (response) => {
+        if (response && response.success === false) {
+          const error = new Error(response.error || response.message || 'Job status rejected by backend');
+          error.rejected = true;
+          settle(error);
+        } else {
+          settle(null, response || { success: true });
+        }
+      });
+    });
+  }
+
+  /**
+   * Settle a pending status update from a job_status_updated echo.
+   * Matches on correlation ID, or on jobId + status for backends that do not echo it.
+   * @private
+   */
+  _settleStatusAck(data) {
+    if (!data) return;
+
+    for (const pending of this.unacknowledgedStatus.values()) {
+      if (!pending.settle) continue;
+      const matches = data.correlationId
+        ? data.correlationId === pending.correlationId
+        : String(data.jobId) === String(pending.jobId) && data.status === pending.status;
+      if (matches) {
+        pending.settle(null, data);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Fail all in-flight status acknowledgements (on disconnect)
+   * @private
+   */
+  _failPendingStatusAcks(error) {
+    for (const pending of this.unacknowledgedStatus.values()) {
+      if (pending.settle) pending.settle(error);
+    }
+  }
+
+  /**
+   * Stop tracking a status update the caller gave up on (never acknowledged);
+   * it is only counted as abandoned from then on
+   * @param {string|number} jobId
+   * @param {string} status
+   */
+  forgetStatus(jobId, status) {
+    const key = `${jobId}:${status}`;
+    const pending = this.unacknowledgedStatus.get(key);
+    if (!pending || pending.settle) return; // unknown, or being sent again right now
+    this.unacknowledgedStatus.delete(key);
+    this.statusAckStats.abandoned++;
+  }
+
+  /**
+   * Get status acknowledgement statistics
+   * @returns {Object}
+   */
+  getStatusAckStats() {
+    return {
+      ...this.statusAckStats,
+      unacknowledged: this.unacknowledgedStatus.size,
+      pending: Array.from(this.unacknowledgedStatus.values()).map(({ settle, ...info }) => info)
+    };
   }
 
   /**
@@ -467,6 +676,7 @@ class SocketClient extends EventEmitter {
     }
 
     this.authenticated = false;
+    this._failPendingStatusAcks(new Error('Disconnected'));
     this._setState(STATE.DISCONNECTED);
   }
 }
@@ -0,0 +1,204 @@
+/**
+ * Status Outbox - Persistent job status reporting
+ *
+ * Every job status transition (sent, completed, failed, cancelled, expired)
+ * is recorded here first, then delivered to the backend. Entries survive
+ * disconnections and restarts and are replayed in order on reconnect.
+ *
+ * - Dedup by jobId + status: a repeated transition replaces the metadata
+ *   of the pending entry but keeps its original position
+ * - Debounced atomic save (tmp + rename), same as JobQueue
+ * - Bounded size: oldest entries are dropped beyond maxEntries
+ * - Updates explicitly rejected by the backend are dropped, not retried
+ * - An update sent but never acknowledged holds back the later ones for
+ *   maxUnacknowledged flushes, then is given up so they can flow
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+class StatusOutbox extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.storePath = options.storePath || path.join(require('os').tmpdir(), 'repairmind-print', 'status-outbox.json');
+    this.maxEntries = options.maxEntries || 1000;
+    this.maxUnacknowledged = options.maxUnacknowledged || 3;
+
+    this.entries = [];
+    this._flushing = false;
+
+    // Debounced save
+    this._saveTimer = null;
+    this._saveDelay = 200;
+
+    this.metrics = {
+      totalRecorded: 0,
+      totalDelivered: 0,
+      totalRejected: 0,
+      totalUnacknowledged: 0,
+      totalDropped: 0
+    };
+
+    this.load();
+  }
+
+  /**
+   * Record a status transition
+   * @param {string} jobId
+   * @param {string} status - sent | completed | failed | cancelled | expired
+   * @param {Object|string} metadata
+   */
+  add(jobId, status, metadata = {}) {
+    const existing = this.entries.find(e => e.jobId === jobId && e.status === status);
+    if (existing) {
+      existing.metadata = metadata;
+      existing.updatedAt = Date.now();
+    } else {
+      this.entries.push({
+        jobId,
+        status,
+        metadata,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        attempts: 0
+      });
+      this.metrics.totalRecorded++;
+    }
+
+    if (this.entries.length > this.maxEntries) {
+      const dropped = this.entries.splice(0, this.entries.length - this.maxEntries);
+      this.metrics.totalDropped += dropped.length;
+      this.emit('dropped', dropped);
+    }
+
+    this.save();
+  }
+
+  /**
+   * Deliver pending entries in order. Stops at the first failure so that
+   * later transitions are never delivered before earlier ones.
+   * @param {Function} deliver - async (entry) => void, throws on failure
+   *   (errors with `rejected: true` drop the entry instead of stopping, errors
+   *   with `unacknowledged: true` do once they happened maxUnacknowledged times)
+   * @returns {Promise<number>} Number of delivered entries
+   */
+  async flush(deliver) {
+    if (this._flushing || this.entries.length === 0) return 0;
+    this._flushing = true;
+
+    let delivered = 0;
+    try {
+      while (this.entries.length > 0) {
+        const entry = this.entries[0];
+        entry.attempts++;
+        try {
+          await deliver(entry);
+        } catch (error) {
+          entry.lastError = error.message;
+          if (error.rejected) {
+            const idx = this.entries.indexOf(entry);
+            if (idx >= 0) this.entries.splice(idx, 1);
+            this.metrics.totalRejected++;
+            this.emit('rejected', entry, error);
+            this.save();
+            continue;
+          }
+          if (error.unacknowledged) {
+            entry.unacknowledged = (entry.unacknowledged || 0) + 1;
+            if (entry.unacknowledged >= this.maxUnacknowledged) {
+              const idx = this.entries.indexOf(entry);
+              if (idx >= 0) this.entries.splice(idx, 1);
+              this.metrics.totalUnacknowledged++;
+              this.emit('unacknowledged', entry, error);
+              this.save();
+              continue;
+            }
+          }
+          this.save();
+          break;
+        }
+        // Entry may have been replaced/removed while awaiting — remove by identity
+        const idx = this.entries.indexOf(entry);
+        if (idx >= 0) this.entries.splice(idx, 1);
+        delivered++;
+        this.metrics.totalDelivered++;
+      }
+    } finally {
+      this._flushing = false;
+      if (delivered > 0) this.save();
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Number of entries waiting for delivery
+   * @returns {number}
+   */
+  size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Load entries from disk
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.storePath)) return;
+      const data = JSON.parse(fs.readFileSync(this.storePath, 'utf-8'));
+      this.entries = Array.isArray(data.entries) ? data.entries : [];
+      if (data.metrics) Object.assign(this.metrics, data.metrics);
+    } catch (_) {
+      this.entries = [];
+    }
+  }
+
+  /**
+   * Save entries to disk (debounced)
+   */
+  save() {
+    if (this._saveTimer) return;
+
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this._saveNow();
+    }, this._saveDelay);
+  }
+
+  /**
+   * Immediate atomic save
+   * @private
+   */
+  _saveNow() {
+    try {
+      const dir = path.dirname(this.storePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      const tmpPath = this.storePath + '.tmp';
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        entries: this.entries,
+        metrics: this.metrics,
+        savedAt: Date.now()
+      }, null, 2), 'utf-8');
+      fs.renameSync(tmpPath, this.storePath);
+    } catch (error) {
+      this.emit('error', new Error(`Failed to save status outbox: ${error.message}`));
+    }
+  }
+
+  /**
+   * Flush pending save to disk
+   */
+  destroy() {
+    if (this._saveTimer) {
+      clearTimeout(this._saveTimer);
+      this._saveTimer = null;
+    }
+    this._saveNow();
+  }
+}
+
+module.exports = StatusOutbox;
@@ -0,0 +1,142 @@
+/**
+ * Thermal Character Set
+ *
+ * Keeps receipt text within the code page selected on the printer.
+ * node-thermal-printer silently switches to any other code page when a
+ * glyph is missing — most printers don't support them all, which is what
+ * turns "Réparation écran" into garbage. Text is therefore sanitized first:
+ * - Glyphs available in the active code page are kept as-is
+ * - Others are transliterated ("€" → "EUR", "œ" → "oe", "ñ" → "n", "’" → "'")
+ * - Anything left becomes "?"
+ */
+
+const iconv = require('iconv-lite');
+
+// Code pages offered per printer (node-thermal-printer name → iconv encoding)
+const ENCODINGS = {
+  PC437_USA: 'CP437',
+  PC850_MULTILINGUAL: 'CP850',
+  PC858_EURO: 'CP858',
+  PC860_PORTUGUESE: 'CP860',
+  PC863_CANADIAN_FRENCH: 'CP863',
+  PC865_NORDIC: 'CP865',
+  PC852_LATIN2: 'CP852',
+  WPC1252: 'CP1252',
+  WPC1250_LATIN2: 'WIN1250',
+  ISO8859_15_LATIN9: 'ISO-8859-15'
+};
+
+// Code pages node-thermal-printer has no command for, per printer type:
+// it sends ESC GS t 0 (the STAR default page) instead, so the text comes out in the wrong page
+const UNAVAILABLE = {
+  star: ['PC850_MULTILINGUAL', 'ISO8859_15_LATIN9']
+};
+
+// Glyphs that don't decompose to ASCII with NFD
+const TRANSLITERATIONS = {
+  '€': 'EUR', '£': 'GBP', '¥': 'JPY', '¢': 'c',
+  'œ': 'oe', 'Œ': 'OE', 'æ': 'ae', 'Æ': 'AE', 'ß': 'ss', 'ø': 'o', 'Ø': 'O',
+  'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'TH',
+  '‘': "'", '’': "'", '‚': "'", '′': "'", '“': '"', '”': '"', '„': '"', '″': '"',
+  '«': '"', '»': '"', '‹': '<', '›': '>',
+  '–': '-', '—': '-', '‐': '-', '−': '-', '…': '...', '•': '*', '·': '.',
+  '\u00a0': ' ', '\u202f': ' ', '\u2009': ' ',
+  '°': 'o', 'º': 'o', 'ª': 'a', '×': 'x', '÷': '/', '±': '+/-',
+  '½': '1/2', '¼': '1/4', '¾': '3/4', '²': '2', '³': '3',
+  '©': '(c)', '®': '(R)', '™': 'TM', '¿': '?', '¡': '!'
+};
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+class ThermalCharset {
+  /**
+   * @param {string} [characterSet='PC437_USA'] - node-thermal-printer character set
+   * @param {Object} [options]
+   * @param {boolean} [options.transliterate=true] - Replace unsupported glyphs with close ASCII
+   */
+  constructor(characterSet = 'PC437_USA', { transliterate = true } = {}) {
+    if (!ThermalCharset.isSupported(characterSet)) {
+      throw new Error(`Unsupported character set: ${characterSet} (use ${ThermalCharset.SUPPORTED.join(', ')})`);
+    }
+
+    this.characterSet = characterSet;
+    this.encoding = ENCODINGS[characterSet];
+    this.transliterate = transliterate;
+    this._cache = new Map();
+  }
+
+  /**
+   * Check whether a character set can be selected
+   * @param {string} characterSet
+   * @param {string} [printerType] - 'epson' | 'star', restricts to the code pages that type can select
+   * @returns {boolean}
+   */
+  static isSupported(characterSet, printerType) {
+    return Object.prototype.hasOwnProperty.call(ENCODINGS, characterSet)
+      && !(UNAVAILABLE[printerType] || []).includes(characterSet);
+  }
+
+  /**
+   * Character sets a printer type can select
+   * @param {string} printerType - 'epson' | 'star'
+   * @returns {string[]}
+   */
+  static supportedFor(printerType) {
+    return ThermalCharset.SUPPORTED.filter(characterSet => ThermalCharset.isSupported(characterSet, printerType));
+  }
+
+  /**
+   * Make a string printable in the active code page
+   * @param {*} text
+   * @returns {string}
+   */
+  sanitize(text) {
+    let out = '';
+    for (const char of String(text ?? '')) {
+      out += char.charCodeAt(0) < 0x80 ? char : this._mapChar(char);
+    }
+    return out;
+  }
+
+  /**
+   * Check whether a glyph exists in the active code page
+   * @param {string} char
+   * @returns {boolean}
+   */
+  canEncode(char) {
+    return iconv.decode(iconv.encode(char, this.encoding), this.encoding) === char;
+  }
+
+  /**
+   * Glyph of each byte 0x80-0xFF in the active code page (for the test chart)
+   * @returns {string[]}
+   */
+  upperHalf() {
+    const bytes = Buffer.from(Array.from({ length: 128 }, (_, i) => 0x80 + i));
+    return Array.from(iconv.decode(bytes, this.encoding));
+  }
+
+  /**
+   * @private
+   */
+  _mapChar(char) {
+    if (this._cache.has(char)) return this._cache.get(char);
+
+    let mapped = '?';
+    if (this.canEncode(char)) {
+      mapped = char;
+    } else if (this.transliterate) {
+      const candidate = TRANSLITERATIONS[char] ?? char.normalize('NFD').replace(COMBINING_MARKS, '');
+      if (candidate && Array.from(candidate).every(c => c.charCodeAt(0) < 0x80 || this.canEncode(c))) {
+        mapped = candidate;
+      }
+    }
+
+    this._cache.set(char, mapped);
+    return mapped;
+  }
+}
+
+ThermalCharset.SUPPORTED = Object.keys(ENCODINGS);
+
+module.exports = ThermalCharset;
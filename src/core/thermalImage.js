@@ -0,0 +1,164 @@
+/**
+ * Thermal Image
+ *
+ * Turns a PNG (logo, signature...) into a 1-bit bitmap that prints cleanly
+ * on a thermal head:
+ * - Transparent pixels are composited onto white paper
+ * - Scaled to the printable width (384 dots on 58mm, 576 dots on 80mm)
+ *   with area averaging when shrinking, so thin strokes don't vanish
+ * - Floyd–Steinberg error diffusion (or a plain threshold) to black/white
+ *
+ * The result is a PNG with only opaque black and white pixels, ready for
+ * ThermalPrinter.printImageBuffer().
+ */
+
+const { PNG } = require('pngjs');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Keep raster jobs reasonable — very tall images stall the printer buffer
+const MAX_HEIGHT_DOTS = 2000;
+
+class ThermalImage {
+  /**
+   * Prepare an image for thermal printing
+   * @param {Buffer} buffer - PNG file contents
+   * @param {Object} options
+   * @param {number} options.maxWidth - Printable width in dots
+   * @param {number} [options.width] - Requested width in dots (never exceeds maxWidth)
+   * @param {number} [options.height] - Requested height in dots (default: keep aspect ratio)
+   * @param {string} [options.dither='floyd-steinberg'] - 'floyd-steinberg' | 'threshold'
+   * @param {number} [options.threshold=128] - Black/white cut-off (0-255)
+   * @returns {Buffer} 1-bit PNG
+   */
+  static prepare(buffer, options = {}) {
+    const { bits, width, height } = ThermalImage.rasterize(buffer, options);
+    return ThermalImage.encode(bits, width, height);
+  }
+
+  /**
+   * Scale and convert an image to black/white dots (same options as prepare)
+   * @param {Buffer} buffer - PNG file contents
+   * @param {Object} options
+   * @returns {{bits: Uint8Array, width: number, height: number}} 1 = black dot, row-major
+   */
+  static rasterize(buffer, { maxWidth, width, height, dither = 'floyd-steinberg', threshold = 128 } = {}) {
+    const source = ThermalImage.decode(buffer);
+
+    const targetWidth = Math.max(1, Math.min(Math.round(width || source.width), maxWidth || source.width));
+    const targetHeight = Math.max(1, Math.round(height || source.height * targetWidth / source.width));
+    if (targetHeight > MAX_HEIGHT_DOTS) {
+      throw new Error(`Image too tall once scaled (${targetHeight} dots, max ${MAX_HEIGHT_DOTS})`);
+    }
+
+    const gray = ThermalImage.scale(ThermalImage.toGrayscale(source), source.width, source.height, targetWidth, targetHeight);
+    const bits = dither === 'threshold'
+      ? gray.map(v => (v < threshold ? 1 : 0))
+      : ThermalImage.floydSteinberg(gray, targetWidth, targetHeight, threshold);
+
+    return { bits: Uint8Array.from(bits), width: targetWidth, height: targetHeight };
+  }
+
+  /**
+   * Decode a PNG buffer
+   * @param {Buffer} buffer
+   * @returns {{width: number, height: number, data: Buffer}} RGBA pixels
+   */
+  static decode(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      throw new Error('Unsupported image format (PNG required)');
+    }
+    return PNG.sync.read(buffer);
+  }
+
+  /**
+   * RGBA → luminance, alpha composited onto white paper
+   * @param {{width: number, height: number, data: Buffer}} image
+   * @returns {Float32Array} 0 (black) … 255 (white)
+   */
+  static toGrayscale({ width, height, data }) {
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+      const o = i << 2;
+      const alpha = data[o + 3] / 255;
+      const luminance = 0.2126 * data[o] + 0.7152 * data[o + 1] + 0.0722 * data[o + 2];
+      gray[i] = luminance * alpha + 255 * (1 - alpha);
+    }
+    return gray;
+  }
+
+  /**
+   * Resize a grayscale image (area average when shrinking, nearest when enlarging)
+   * @returns {Float32Array}
+   */
+  static scale(gray, srcWidth, srcHeight, dstWidth, dstHeight) {
+    if (srcWidth === dstWidth && srcHeight === dstHeight) return gray;
+
+    const out = new Float32Array(dstWidth * dstHeight);
+    const xRatio = srcWidth / dstWidth;
+    const yRatio = srcHeight / dstHeight;
+
+    for (let y = 0; y < dstHeight; y++) {
+      const y0 = Math.floor(y * yRatio);
+      const y1 = Math.max(y0 + 1, Math.min(srcHeight, Math.floor((y + 1) * yRatio)));
+      for (let x = 0; x < dstWidth; x++) {
+        const x0 = Math.floor(x * xRatio);
+        const x1 = Math.max(x0 + 1, Math.min(srcWidth, Math.floor((x + 1) * xRatio)));
+
+        let sum = 0;
+        for (let sy = y0; sy < y1; sy++) {
+          for (let sx = x0; sx < x1; sx++) {
+            sum += gray[sy * srcWidth + sx];
+          }
+        }
+        out[y * dstWidth + x] = sum / ((y1 - y0) * (x1 - x0));
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Floyd–Steinberg error diffusion
+   * @returns {Uint8Array} 1 = black dot, 0 = white
+   */
+  static floydSteinberg(gray, width, height, threshold = 128) {
+    const buf = Float32Array.from(gray);
+    const bits = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const value = buf[i] < threshold ? 0 : 255;
+        const error = buf[i] - value;
+        bits[i] = value === 0 ? 1 : 0;
+
+        if (x + 1 < width) buf[i + 1] += error * 7 / 16;
+        if (y + 1 < height) {
+          if (x > 0) buf[i + width - 1] += error * 3 / 16;
+          buf[i + width] += error * 5 / 16;
+          if (x + 1 < width) buf[i + width + 1] += error * 1 / 16;
+        }
+      }
+    }
+    return bits;
+  }
+
+  /**
+   * Encode a bit array as an opaque black/white PNG
+   * @returns {Buffer}
+   */
+  static encode(bits, width, height) {
+    const png = new PNG({ width, height });
+    for (let i = 0; i < bits.length; i++) {
+      const o = i << 2;
+      const v = bits[i] ? 0 : 255;
+      png.data[o] = v;
+      png.data[o + 1] = v;
+      png.data[o + 2] = v;
+      png.data[o + 3] = 255;
+    }
+    return PNG.sync.write(png);
+  }
+}
+
+module.exports = ThermalImage;
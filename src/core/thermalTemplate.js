@@ -0,0 +1,563 @@
+/**
+ * Thermal Template Renderer
+ *
+ * Renders a declarative block list onto a node-thermal-printer instance,
+ * so each shop can define its own receipt layout without a client build.
+ *
+ * Block types:
+ *   text       { text, align, size, bold, underline, invert, font }
+ *   row        { left, right, bold }                  two-column row
+ *   table      { columns: [{ width, align }], header, rows, bold }
+ *   items      { }                                    content.items as rows
+ *   separator  { char }
+ *   feed       { lines }
+ *   image      { url | base64, width, align, dither, optional }
+ *                                                    PNG, scaled and dithered to the paper width
+ *   barcode    { data, symbology, height, width, hri }
+ *   qrcode     { data, cellSize, correction }
+ *   cut        { partial }
+ *   drawer     { pin }                                cash drawer kick (pin 2 or 5)
+ *   charmap    { sample }                             code page chart (test print)
+ *
+ * Common block properties:
+ *   if         Context path — block is skipped when the value is empty
+ *   raw        Text, data and image sources are printed as is, without
+ *              {{placeholders}} (values taken straight from job content)
+ *
+ * Strings may reference job content with {{path}} placeholders
+ * (e.g. "Ticket #{{ticketNumber}}", "{{client.name}}"), optionally formatted
+ * for the job locale: {{total|currency}}, {{qty|number}}, {{createdAt|date}},
+ * {{createdAt|datetime}}.
+ * Printed text is passed through the printer's ThermalCharset, so glyphs
+ * missing from the active code page are transliterated.
+ */
+
+const ThermalImage = require('./thermalImage');
+const ThermalCharset = require('./thermalCharset');
+const DocumentLocale = require('./documentLocale');
+
+const ALIGN = { left: 'alignLeft', center: 'alignCenter', right: 'alignRight' };
+
+// GS k barcode type (EPSON) / ESC b n1 (STAR), with data validation and
+// an estimate of the symbol width in modules (used to fit 58mm paper).
+// STAR n1 = 0 can't be used: node-thermal-printer sends `type || 7` (Code93),
+// so UPC-E goes as 48, its other code; STAR only takes the full 11-12 digits.
+const BARCODE_TYPES = {
+  UPC_A: { epson: 65, star: 1, pattern: /^\d{11,12}$/, modules: () => 95 },
+  UPC_E: { epson: 66, star: 48, pattern: /^\d{6,8}$|^\d{11,12}$/, starPattern: /^\d{11,12}$/, modules: () => 51 },
+  EAN13: { epson: 67, star: 3, pattern: /^\d{12,13}$/, modules: () => 95 },
+  EAN8: { epson: 68, star: 2, pattern: /^\d{7,8}$/, modules: () => 67 },
+  CODE39: { epson: 69, star: 4, pattern: /^[0-9A-Z \-.$/+%]+$/, modules: (len) => (len + 2) * 16 },
+  ITF: { epson: 70, star: 5, pattern: /^\d+$/, modules: (len) => len * 9 + 9 },
+  CODABAR: { epson: 71, star: 8, pattern: /^[0-9A-Da-d\-$:/.+]+$/, modules: (len) => (len + 2) * 12 },
+  CODE93: { epson: 72, star: 7, pattern: /^[\x00-\x7F]+$/, modules: (len) => (len + 4) * 9 + 1 },
+  CODE128: { epson: 73, star: 6, pattern: /^[\x00-\x7F]+$/, modules: (len) => len * 11 + 35 }
+};
+
+// Human-readable interpretation position: GS H n (EPSON)
+// STAR can only print it below the bars (ESC b n2 = 2)
+const HRI_POSITIONS = { none: 0, above: 1, below: 2, both: 3 };
+
+// QR byte capacity per version at correction level M (versions 1-10)
+const QR_CAPACITY_M = [14, 26, 42, 62, 84, 106, 122, 152, 180, 213];
+
+// Dots per character column on 203dpi printers (32 cols = 384 dots / 58mm, 48 cols = 576 dots / 80mm)
+const DOTS_PER_COLUMN = 12;
+
+// Accented text our shops print every day (FR / BE / ES)
+const CHARMAP_SAMPLE = 'Réparation écran — 12,50 € · Ça coûte · Año · Pâtisserie';
+
+class ThermalTemplate {
+  /**
+   * @param {import('node-thermal-printer').ThermalPrinter} printer - Thermal printer instance
+   * @param {Object} context - Values available to {{placeholders}} (job content)
+   * @param {Object} [options]
+   * @param {Function} [options.loadImage] - async (url) => Buffer, for image blocks with a url
+   * @param {ThermalCharset} [options.charset] - Active code page (defaults to the printer's)
+   * @param {DocumentLocale} [options.locale] - Number/date formatting (defaults to fr-FR / EUR)
+   */
+  constructor(printer, context = {}, options = {}) {
+    this.printer = printer;
+    this.context = context;
+    this.loadImage = options.loadImage || null;
+    this.charset = options.charset || new ThermalCharset(printer.config?.characterSet || undefined);
+    this.locale = options.locale || new DocumentLocale();
+    this.warnings = [];
+  }
+
+  /**
+   * Render a block list
+   * @param {Array<Object>} blocks
+   * @returns {Promise<void>}
+   */
+  async render(blocks) {
+    if (!Array.isArray(blocks)) {
+      throw new Error('Template blocks must be an array');
+    }
+
+    for (const [index, block] of blocks.entries()) {
+      if (!block || typeof block !== 'object') continue;
+      if (block.if && this.isEmpty(this.resolve(block.if))) continue;
+
+      try {
+        await this.renderBlock(block);
+      } catch (error) {
+        throw new Error(`Block #${index} (${block.type}): ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Render a single block
+   * @param {Object} block
+   */
+  async renderBlock(block) {
+    const p = this.printer;
+
+    switch (block.type) {
+      case 'text': {
+        this.applyStyle(block);
+        p.println(this.text(block.text, block.raw));
+        this.resetStyle(block);
+        break;
+      }
+
+      case 'row': {
+        if (block.bold) p.bold(true);
+        p.leftRight(this.text(block.left, block.raw), this.text(block.right, block.raw));
+        if (block.bold) p.bold(false);
+        break;
+      }
+
+      case 'table': {
+        const columns = block.columns || [];
+        const toCells = (cells, bold) => cells.map((cell, i) => ({
+          text: this.text(cell),
+          align: (columns[i]?.align || 'left').toUpperCase(),
+          width: columns[i]?.width || 1 / cells.length,
+          bold: bold || columns[i]?.bold || false
+        }));
+
+        if (block.header) p.tableCustom(toCells(block.header, true));
+        const rows = typeof block.rows === 'string' ? this.resolve(block.rows) : block.rows;
+        for (const row of rows || []) {
+          p.tableCustom(toCells(row, block.bold));
+        }
+        break;
+      }
+
+      case 'items': {
+        for (const item of this.context.items || []) {
+          p.leftRight(
+            this.charset.sanitize(`${item.quantity}x ${item.description || item.name || ''}`),
+            this.charset.sanitize(this.locale.formatAmount(item.price * item.quantity))
+          );
+        }
+        break;
+      }
+
+      case 'separator':
+        p.drawLine(block.char ? this.charset.sanitize(block.char) : undefined);
+        break;
+
+      case 'feed':
+        for (let i = 0; i < (block.lines || 1); i++) p.newLine();
+        break;
+
+      case 'image': {
+        let bitmap;
+        try {
+          bitmap = ThermalImage.prepare(await this.loadImageSource(block), {
+            maxWidth: p.getWidth() * DOTS_PER_COLUMN,
+            width: block.width,
+            dither: block.dither,
+            threshold: block.threshold
+          });
+        } catch (error) {
+          // Optional images (e.g. the shop logo) must never block a receipt
+          if (!block.optional) throw error;
+          this.warnings.push(`Image skipped: ${error.message}`);
+          break;
+        }
+        p[ALIGN[block.align] || 'alignCenter']();
+        await p.printImageBuffer(bitmap);
+        p.alignLeft();
+        break;
+      }
+
+      case 'barcode':
+        this.renderBarcode(block);
+        break;
+
+      case 'qrcode':
+        this.renderQRCode(block);
+        break;
+
+      case 'cut':
+        if (block.partial) p.partialCut();
+        else p.cut();
+        break;
+
+      case 'charmap':
+        this.renderCharMap(block);
+        break;
+
+      case 'drawer':
+        p.add(ThermalTemplate.drawerKickCommand(p.config.type, block.pin));
+        break;
+
+      default:
+        throw new Error(`Unknown block type: ${block.type}`);
+    }
+  }
+
+  /**
+   * Render a 1D barcode with native ESC/POS (EPSON) or STAR line mode commands.
+   * The module width is reduced when the symbol would not fit the paper width.
+   * @param {Object} block - { data, symbology, height, width, hri, align }
+   */
+  renderBarcode(block) {
+    const p = this.printer;
+    const data = this.interpolate(block.data, block.raw);
+    if (!data) throw new Error('barcode block requires data');
+
+    const name = String(block.symbology || 'CODE128').toUpperCase().replace(/[-\s]/g, '_').replace(/^EAN_?(8|13)$/, 'EAN$1');
+    const symbology = BARCODE_TYPES[name];
+    if (!symbology) throw new Error(`Unsupported barcode symbology: ${block.symbology}`);
+    const pattern = (p.config.type === 'star' && symbology.starPattern) || symbology.pattern;
+    if (!pattern.test(data)) throw new Error(`Invalid ${name} data: ${data}`);
+
+    const hri = HRI_POSITIONS[block.hri] ?? HRI_POSITIONS.below;
+    const height = Math.max(1, Math.min(255, block.height || 80));
+    const maxDots = p.getWidth() * DOTS_PER_COLUMN;
+    const modules = symbology.modules(data.length) + 20; // + quiet zones
+
+    p[ALIGN[block.align] || 'alignCenter']();
+
+    if (p.config.type === 'star') {
+      // STAR mode n3: 1-3 = minimum module of 2-4 dots
+      let mode = Math.max(1, Math.min(3, (block.width || 3) - 1));
+      while (mode > 1 && modules * (mode + 1) > maxDots) mode--;
+      p.printBarcode(data, symbology.star, {
+        characters: hri === HRI_POSITIONS.none ? 1 : 2,
+        mode,
+        height
+      });
+    } else {
+      // EPSON GS w: module width 2-6 dots
+      let width = Math.max(2, Math.min(6, block.width || 3));
+      while (width > 2 && modules * width > maxDots) width--;
+      p.printBarcode(data, symbology.epson, {
+        hriPos: hri,
+        hriFont: 0,
+        width,
+        height
+      });
+    }
+
+    p.newLine();
+    p.alignLeft();
+  }
+
+  /**
+   * Render a QR code. The cell size is reduced so the symbol fits the paper width.
+   * @param {Object} block - { data, cellSize, correction, align }
+   */
+  renderQRCode(block) {
+    const p = this.printer;
+    const data = this.interpolate(block.data, block.raw);
+    if (!data) throw new Error('qrcode block requires data');
+
+    const correction = ['L', 'M', 'Q', 'H'].includes(String(block.correction).toUpperCase())
+      ? String(block.correction).toUpperCase()
+      : 'M';
+
+    // Estimate the symbol version to bound the cell size (8 = printer maximum)
+    const bytes = Buffer.byteLength(data);
+    const version = QR_CAPACITY_M.findIndex(capacity => capacity >= bytes) + 1 || 15;
+    const modules = 17 + 4 * version + 8; // + quiet zone
+    const maxCell = Math.max(1, Math.floor((p.getWidth() * DOTS_PER_COLUMN) / modules));
+    const cellSize = Math.max(1, Math.min(8, block.cellSize || 6, maxCell));
+
+    p[ALIGN[block.align] || 'alignCenter']();
+    p.printQR(data, {
+      cellSize,
+      correction,                  // EPSON
+      correctionLevel: correction, // STAR
+      model: 2
+    });
+    p.newLine();
+    p.alignLeft();
+  }
+
+  /**
+   * Code page chart: bytes 0x80-0xFF sent raw in a 16x8 grid, then a
+   * sample line sanitized like any receipt text
+   * @param {Object} block
+   */
+  renderCharMap(block) {
+    const p = this.printer;
+    const sep = p.getWidth() >= 36 ? ' ' : '';
+
+    p.alignLeft();
+    p.bold(true);
+    p.println(`Code page: ${this.charset.characterSet}`);
+    p.bold(false);
+    p.println(`   ${'0123456789ABCDEF'.split('').join(sep)}`);
+
+    for (let row = 0x8; row <= 0xf; row++) {
+      const bytes = [];
+      for (let col = 0; col < 16; col++) {
+        if (sep && col > 0) bytes.push(0x20);
+        bytes.push((row << 4) | col);
+      }
+      p.print(`${row.toString(16).toUpperCase()}x `);
+      p.add(Buffer.from(bytes));
+      p.newLine();
+    }
+
+    p.newLine();
+    p.println(this.text(block.sample || CHARMAP_SAMPLE));
+  }
+
+  /**
+   * Get the raw bytes of an image block (base64 / data URI, or url)
+   * @param {Object} block
+   * @returns {Promise<Buffer>}
+   */
+  async loadImageSource(block) {
+    if (block.base64) {
+      const base64 = this.interpolate(block.base64, block.raw).replace(/^data:[^;]+;base64,/, '');
+      return Buffer.from(base64, 'base64');
+    }
+    if (block.url) {
+      if (!this.loadImage) throw new Error('image url not supported here');
+      return this.loadImage(this.interpolate(block.url, block.raw));
+    }
+    throw new Error('image block requires url or base64 (PNG)');
+  }
+
+  /**
+   * Apply text style properties of a block
+   * @param {Object} block
+   */
+  applyStyle(block) {
+    const p = this.printer;
+
+    // Alignment is left between blocks — only switch when needed
+    if (ALIGN[block.align] && block.align !== 'left') p[ALIGN[block.align]]();
+    if (block.font === 'B') p.setTypeFontB();
+    if (block.bold) p.bold(true);
+    if (block.underline) p.underline(true);
+    if (block.invert) p.invert(true);
+
+    switch (block.size) {
+      case 'double-height': p.setTextDoubleHeight(); break;
+      case 'double-width': p.setTextDoubleWidth(); break;
+      case 'double':
+      case 'quad': p.setTextQuadArea(); break;
+      default:
+        if (block.size && typeof block.size === 'object') {
+          p.setTextSize(block.size.height || 0, block.size.width || 0);
+        }
+    }
+  }
+
+  /**
+   * Reset the text style properties applied by a block
+   * @param {Object} block
+   */
+  resetStyle(block) {
+    const p = this.printer;
+    if (block.size) p.setTextNormal();
+    if (block.bold) p.bold(false);
+    if (block.underline) p.underline(false);
+    if (block.invert) p.invert(false);
+    if (block.font === 'B') p.setTypeFontA();
+    if (ALIGN[block.align] && block.align !== 'left') p.alignLeft();
+  }
+
+  /**
+   * Interpolate a string and make it printable in the active code page
+   * @param {*} value
+   * @param {boolean} [raw=false] - Literal text, placeholders are not replaced
+   * @returns {string}
+   */
+  text(value, raw = false) {
+    return this.charset.sanitize(this.interpolate(value, raw));
+  }
+
+  /**
+   * Replace {{path}} placeholders with context values
+   * @param {*} value
+   * @param {boolean} [raw=false] - Literal text, placeholders are not replaced
+   * @returns {string}
+   */
+  interpolate(value, raw = false) {
+    if (value === undefined || value === null) return '';
+    if (raw) return String(value);
+    return String(value).replace(/\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (_, key, format) => {
+      const resolved = this.resolve(key);
+      if (resolved === undefined || resolved === null) return '';
+      return format ? this.format(resolved, format) : String(resolved);
+    });
+  }
+
+  /**
+   * Apply a placeholder format ({{path|format}})
+   * @param {*} value
+   * @param {string} format - currency | amount | number | date | datetime
+   * @returns {string}
+   */
+  format(value, format) {
+    switch (format) {
+      case 'currency': return this.locale.formatCurrency(value);
+      case 'amount': return this.locale.formatAmount(value);
+      case 'number': return this.locale.formatNumber(value);
+      case 'date': return this.locale.formatDate(value);
+      case 'datetime': return this.locale.formatDateTime(value);
+      default: throw new Error(`Unknown placeholder format: ${format}`);
+    }
+  }
+
+  /**
+   * Resolve a dot-notation path on the context
+   * @param {string} path
+   * @returns {*}
+   */
+  resolve(path) {
+    return String(path).split('.').reduce((acc, part) => (acc == null ? undefined : acc[part]), this.context);
+  }
+
+  /**
+   * @param {*} value
+   * @returns {boolean}
+   */
+  isEmpty(value) {
+    return value === undefined || value === null || value === '' || value === false
+      || (Array.isArray(value) && value.length === 0);
+  }
+
+  /**
+   * Default receipt layout — maps the legacy content fields
+   * (storeName, ticketNumber, items, total, footer...) onto blocks.
+   * @param {Object} content - Receipt content
+   * @param {DocumentLocale} [locale] - Wording and number/date formatting
+   * @returns {Array<Object>}
+   */
+  static defaultReceiptBlocks(content, locale = new DocumentLocale()) {
+    const blocks = [];
+
+    // Shop logo — content.logoUrl (cached per tenant) or content.logoBase64
+    if (content.logoUrl || content.logoBase64) {
+      blocks.push({
+        type: 'image',
+        url: content.logoUrl,
+        base64: content.logoBase64,
+        width: content.logoWidth,
+        optional: true,
+        raw: true
+      }, { type: 'feed' });
+    }
+
+    blocks.push(
+      { type: 'text', text: content.storeName || 'RepairMind', raw: true, align: 'center', bold: true, size: 'double-height' },
+      { type: 'feed' },
+      { type: 'text', text: '{{storeAddress}}', align: 'center', if: 'storeAddress' },
+      { type: 'separator' }
+    );
+
+    // Ticket/Receipt number
+    if (content.ticketNumber || content.receiptNumber) {
+      blocks.push(
+        { type: 'text', text: `#${content.ticketNumber || content.receiptNumber}`, raw: true, align: 'center', bold: true },
+        { type: 'feed' }
+      );
+    }
+
+    blocks.push(
+      { type: 'text', text: `${locale.t('date')}: ${locale.formatDateTime()}`, raw: true },
+      { type: 'feed' },
+      { type: 'text', text: `${locale.t('client')}: {{clientName}}`, if: 'clientName' },
+      { type: 'text', text: `${locale.t('phone')}: {{phone}}`, if: 'phone' },
+      { type: 'feed' }
+    );
+
+    const hasItems = Array.isArray(content.items) && content.items.length > 0;
+    if (hasItems) {
+      blocks.push({ type: 'separator' }, { type: 'items' }, { type: 'separator' });
+    }
+
+    // Total (only if provided)
+    if (content.total !== undefined && content.total !== null) {
+      blocks.push(
+        { type: 'text', text: `${locale.t('total').toUpperCase()}: ${locale.formatCurrency(content.total)}`, raw: true, align: 'right', bold: true, size: 'double-height' },
+        { type: 'feed' }
+      );
+    }
+
+    // Scannable codes — content.barcode / content.qrCode (true = ticket number)
+    const barcode = ThermalTemplate.normalizeCodeField(content.barcode, content);
+    if (barcode) {
+      blocks.push({ type: 'barcode', symbology: 'CODE128', hri: 'below', ...barcode, raw: true }, { type: 'feed' });
+    }
+    const qrCode = ThermalTemplate.normalizeCodeField(content.qrCode, content);
+    if (qrCode) {
+      blocks.push({ type: 'qrcode', ...qrCode, raw: true }, { type: 'feed' });
+    }
+
+    blocks.push({ type: 'text', text: '{{footer}}', align: 'center', if: 'footer' });
+
+    // Thank you message (only for real receipts with items)
+    if (hasItems) {
+      blocks.push({ type: 'feed' }, { type: 'text', text: locale.t('thankYou'), align: 'center' });
+    }
+
+    blocks.push({ type: 'feed', lines: 2 }, { type: 'cut' });
+    return blocks;
+  }
+
+  /**
+   * Cash drawer kick pulse
+   * - EPSON: ESC p m t1 t2 — m selects the connector pin (0 = pin 2, 1 = pin 5),
+   *   50ms on / 500ms off
+   * - STAR: BEL fires drawer 1 (pin 2), SUB fires drawer 2 (pin 5)
+   * @param {string} type - Printer type ('epson' | 'star')
+   * @param {number} [pin=2] - Drawer connector pin (2 or 5)
+   * @returns {Buffer}
+   */
+  static drawerKickCommand(type, pin) {
+    const drawerPin = Number(pin || 2);
+    if (drawerPin !== 2 && drawerPin !== 5) {
+      throw new Error(`Invalid cash drawer pin: ${pin} (use 2 or 5)`);
+    }
+    const usePin5 = drawerPin === 5;
+
+    if (type === 'star') {
+      return Buffer.from([usePin5 ? 0x1a : 0x07]);
+    }
+    return Buffer.from([0x1b, 0x70, usePin5 ? 0x01 : 0x00, 0x19, 0xfa]);
+  }
+
+  /**
+   * Normalize a content.barcode / content.qrCode field into block properties.
+   * Accepts a string (the data), `true` (the ticket/receipt number) or an
+   * object ({ data, symbology, height, width, hri, cellSize, correction }).
+   * @param {string|boolean|Object} value
+   * @param {Object} content - Receipt content
+   * @returns {Object|null}
+   */
+  static normalizeCodeField(value, content) {
+    if (!value) return null;
+
+    const fallback = content.ticketNumber || content.receiptNumber;
+    if (value === true) return fallback ? { data: String(fallback) } : null;
+    if (typeof value !== 'object') return { data: String(value) };
+
+    const data = value.data ?? value.value ?? fallback;
+    return data ? { ...value, data: String(data) } : null;
+  }
+}
+
+ThermalTemplate.BARCODE_TYPES = BARCODE_TYPES;
+module.exports = ThermalTemplate;
@@ -26,6 +26,9 @@ let autoUpdater = null;
 // Print Client Core
 const PrintClientCore = require('../core/PrintClientCore');
 const ConfigManager = require('../core/ConfigManager');
+const ThermalCharset = require('../core/thermalCharset');
+const PrinterDetector = require('../core/printerDetector');
+const PrinterRouter = require('../core/printerRouter');
 
 // Global references
 let tray = null;
@@ -133,6 +136,14 @@ function updateTrayMenu(status) {
     ? `Queue: ${queueStats.queued} pending, ${queueStats.processing} printing`
     : 'Queue: idle';
 
+  // Printers that can't print right now (offline, out of paper...)
+  const printerAlerts = printers
+    .filter(p => p.metadata?.status && !['idle', 'printing', 'unknown'].includes(p.metadata.status))
+    .map(p => ({
+      label: `⚠ ${p.displayName}: ${p.metadata.status.replace('_', ' ')}`,
+      enabled: false
+    }));
+
   const contextMenu = Menu.buildFromTemplate([
     {
       label: 'RepairMind Print Client',
@@ -147,6 +158,7 @@ function updateTrayMenu(status) {
       label: `Printers: ${printers.length}`,
       enabled: false
     },
+    ...printerAlerts,
     {
       label: queueLabel,
       enabled: false
@@ -315,6 +327,12 @@ async function initializePrintClient() {
       sendToRenderer('printer-primary-changed', printer);
     });
 
+    printClient.on('printer-status-changed', (change) => {
+      log.info('Printer status changed', change);
+      refreshTray();
+      sendToRenderer('printer-status-changed', change);
+    });
+
     // Job events
     printClient.on('job-completed', (entry) => {
       log.info('Print job completed', { jobId: entry.id });
@@ -331,6 +349,11 @@ async function initializePrintClient() {
       sendToRenderer('job-retrying', entry);
     });
 
+    printClient.on('job-rerouted', (entry) => {
+      log.warn('Print job rerouted', { jobId: entry.id, ...entry.reroutes[entry.reroutes.length - 1] });
+      sendToRenderer('job-rerouted', entry);
+    });
+
     printClient.on('job-queued', (entry) => {
       log.info('Print job queued', { jobId: entry.id });
       sendToRenderer('job-queued', entry);
@@ -346,10 +369,18 @@ async function initializePrintClient() {
       sendToRenderer('job-cancelled', entry);
     });
 
+    printClient.on('job-progress', (progress) => {
+      sendToRenderer('job-progress', progress);
+    });
+
     printClient.on('job-deduplicated', (info) => {
       log.info('Duplicate job rejected', { jobId: info.id });
     });
 
+    printClient.on('status-outbox-flushed', ({ delivered }) => {
+      log.info('Offline status updates delivered', { delivered });
+    });
+
     // Info/Warning/Error
     printClient.on('info', (msg) => {
       log.info(msg);
@@ -474,6 +505,24 @@ ipcMain.handle('get-metrics', () => {
   return printClient?.getMetrics() || {};
 });
 
+ipcMain.handle('get-local-api', () => {
+  return printClient?.getLocalApiInfo() || null;
+});
+
+ipcMain.handle('regenerate-local-api-token', () => {
+  if (!printClient) {
+    return { success: false, error: 'Print client not initialized' };
+  }
+  try {
+    const token = printClient.regenerateLocalApiToken();
+    log.info('Local API token regenerated');
+    return { success: true, token };
+  } catch (error) {
+    log.error('Regenerate local API token failed', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('refresh-printers', async () => {
   if (printClient) {
     return await printClient.refreshPrinters();
@@ -495,6 +544,133 @@ ipcMain.handle('test-print', async (event, { printerSystemName, type }) => {
   }
 });
 
+ipcMain.handle('open-cash-drawer', async (event, { printerSystemName, pin }) => {
+  if (!printClient || !configManager) {
+    return { success: false, error: 'Print client not initialized' };
+  }
+  if (!configManager.canOpenCashDrawer()) {
+    log.warn('Cash drawer open denied', { printer: printerSystemName, user: configManager.getUser()?.email });
+    return { success: false, error: 'Not allowed to open the cash drawer' };
+  }
+  try {
+    const job = printClient.openCashDrawer(printerSystemName, pin);
+    log.info('Cash drawer open enqueued', { jobId: job.id, printer: printerSystemName, user: configManager.getUser()?.email });
+    return { success: true, jobId: job.id };
+  } catch (error) {
+    log.error('Cash drawer open failed', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-printer-settings', async (event, { printerSystemName, settings }) => {
+  if (!printClient) {
+    return { success: false, error: 'Print client not initialized' };
+  }
+  try {
+    const updated = printClient.setPrinterSettings(printerSystemName, settings);
+    log.info('Printer settings updated', { printer: printerSystemName, settings: updated });
+    return { success: true, settings: updated };
+  } catch (error) {
+    log.error('Set printer settings failed', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-printer-overrides', async (event, { printerSystemName, overrides }) => {
+  if (!printClient) {
+    return { success: false, error: 'Print client not initialized' };
+  }
+  try {
+    const saved = await printClient.setPrinterOverrides(printerSystemName, overrides);
+    log.info('Printer overrides updated', { printer: printerSystemName, overrides: saved });
+    return { success: true, overrides: saved };
+  } catch (error) {
+    log.error('Set printer overrides failed', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-routing-rules', async (event, { rules }) => {
+  if (!printClient) {
+    return { success: false, error: 'Print client not initialized' };
+  }
+  try {
+    const saved = printClient.setRoutingRules(rules);
+    log.info('Routing rules updated', { count: saved.length });
+    return { success: true, rules: saved };
+  } catch (error) {
+    log.error('Set routing rules failed', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-stations', async (event, { stations }) => {
+  if (!printClient) {
+    return { success: false, error: 'Print client not initialized' };
+  }
+  try {
+    const saved = await printClient.setStations(stations);
+    log.info('Stations updated', { count: saved.length });
+    return { success: true, stations: saved };
+  } catch (error) {
+    log.error('Set stations failed', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-virtual-printer', async (event, virtualPrinter) => {
+  if (!printClient) {
+    return { success: false, error: 'Print client not initialized' };
+  }
+  try {
+    const saved = await printClient.saveVirtualPrinter(virtualPrinter);
+    log.info('Network printer saved', saved);
+    return { success: true, printer: saved };
+  } catch (error) {
+    log.error('Save network printer failed', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-virtual-printer', async (event, { name }) => {
+  if (!printClient) {
+    return { success: false, error: 'Print client not initialized' };
+  }
+  try {
+    await printClient.removeVirtualPrinter(name);
+    log.info('Network printer removed', { printer: name });
+    return { success: true };
+  } catch (error) {
+    log.error('Remove network printer failed', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('discover-network-printers', async (event, { subnet } = {}) => {
+  if (!printClient) {
+    return { success: false, error: 'Print client not initialized' };
+  }
+  try {
+    const { printers, warnings } = await printClient.discoverNetworkPrinters({ subnet });
+    warnings.forEach(warning => log.warn(warning));
+    return { success: true, printers, warnings };
+  } catch (error) {
+    log.error('Network printer discovery failed', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('probe-network-printer', async (event, { uri }) => {
+  if (!printClient) {
+    return { success: false, error: 'Print client not initialized' };
+  }
+  try {
+    return { success: true, ...await printClient.probeNetworkPrinter(uri) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('set-primary-printer', async (event, { printerId, isPrimary }) => {
   if (!printClient) {
     return { success: false, error: 'Print client not initialized' };
@@ -524,6 +700,12 @@ ipcMain.handle('get-config', () => {
   if (!configManager) return {};
   return {
     ...configManager.getAll(),
+    canOpenCashDrawer: configManager.canOpenCashDrawer(),
+    characterSets: ThermalCharset.SUPPORTED,
+    printerTypes: PrinterDetector.TYPES,
+    printerInterfaces: PrinterDetector.INTERFACES,
+    documentTypes: Object.keys(PrinterRouter.DOCUMENT_PRINTER_TYPES),
+    balancingModes: PrinterRouter.BALANCING,
     printClientConfig: printClient?.getConfig() || {}
   };
 });
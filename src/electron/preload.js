@@ -25,10 +25,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
   refreshPrinters: () => ipcRenderer.invoke('refresh-printers'),
   testPrint: (printerSystemName, type) => ipcRenderer.invoke('test-print', { printerSystemName, type }),
   setPrimaryPrinter: (printerId, isPrimary) => ipcRenderer.invoke('set-primary-printer', { printerId, isPrimary }),
+  openCashDrawer: (printerSystemName, pin) => ipcRenderer.invoke('open-cash-drawer', { printerSystemName, pin }),
+  setPrinterSettings: (printerSystemName, settings) => ipcRenderer.invoke('set-printer-settings', { printerSystemName, settings }),
+  setPrinterOverrides: (printerSystemName, overrides) => ipcRenderer.invoke('set-printer-overrides', { printerSystemName, overrides }),
+  setRoutingRules: (rules) => ipcRenderer.invoke('set-routing-rules', { rules }),
+  setStations: (stations) => ipcRenderer.invoke('set-stations', { stations }),
+  saveVirtualPrinter: (virtualPrinter) => ipcRenderer.invoke('save-virtual-printer', virtualPrinter),
+  removeVirtualPrinter: (name) => ipcRenderer.invoke('remove-virtual-printer', { name }),
+  probeNetworkPrinter: (uri) => ipcRenderer.invoke('probe-network-printer', { uri }),
+  discoverNetworkPrinters: (subnet) => ipcRenderer.invoke('discover-network-printers', { subnet }),
 
   // Configuration
   getConfig: () => ipcRenderer.invoke('get-config'),
   updateConfig: (config) => ipcRenderer.invoke('update-config', config),
+  getLocalApi: () => ipcRenderer.invoke('get-local-api'),
+  regenerateLocalApiToken: () => ipcRenderer.invoke('regenerate-local-api-token'),
   setEnvironment: (environment) => ipcRenderer.invoke('set-environment', environment),
 
   // Authentication
@@ -55,6 +66,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onPrinterPrimaryChanged: (callback) => {
     ipcRenderer.on('printer-primary-changed', (event, data) => callback(data));
   },
+  onPrinterStatusChanged: (callback) => {
+    ipcRenderer.on('printer-status-changed', (event, data) => callback(data));
+  },
 
   // Event listeners — jobs
   onJobCompleted: (callback) => {
@@ -69,12 +83,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onJobQueued: (callback) => {
     ipcRenderer.on('job-queued', (event, data) => callback(data));
   },
+  onJobRerouted: (callback) => {
+    ipcRenderer.on('job-rerouted', (event, data) => callback(data));
+  },
   onJobExpired: (callback) => {
     ipcRenderer.on('job-expired', (event, data) => callback(data));
   },
   onJobCancelled: (callback) => {
     ipcRenderer.on('job-cancelled', (event, data) => callback(data));
   },
+  onJobProgress: (callback) => {
+    ipcRenderer.on('job-progress', (event, data) => callback(data));
+  },
 
   // Event listeners — info/warning/error
   onInfo: (callback) => {
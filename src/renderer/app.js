@@ -8,6 +8,9 @@ let recentJobs = [];
 let config = {};
 let isAuthenticated = false;
 
+// Printer statuses needing someone at the printer (offline is shown apart)
+const PRINTER_PROBLEM_STATUSES = ['stopped', 'paper_out', 'error'];
+
 // DOM Elements
 const statusDot = document.querySelector('.status-dot');
 const statusText = document.getElementById('status-text');
@@ -17,6 +20,10 @@ const jobsList = document.getElementById('jobs-list');
 const versionSpan = document.getElementById('version');
 const configForm = document.getElementById('config-form');
 const refreshPrintersBtn = document.getElementById('refresh-printers');
+const addNetworkPrinterBtn = document.getElementById('add-network-printer');
+const routingRulesBtn = document.getElementById('routing-rules');
+const stationsBtn = document.getElementById('stations');
+const localApiBtn = document.getElementById('local-api-settings');
 const updateSection = document.getElementById('update-section');
 const downloadUpdateBtn = document.getElementById('download-update');
 const installUpdateBtn = document.getElementById('install-update');
@@ -61,6 +68,11 @@ function applyStaticTranslations() {
     const emailInput = document.getElementById('login-email');
     if (emailInput) emailInput.placeholder = t('login.emailPlaceholder');
 
+    if (addNetworkPrinterBtn) addNetworkPrinterBtn.title = t('networkPrinter.add');
+    if (routingRulesBtn) routingRulesBtn.title = t('routing.title');
+    if (stationsBtn) stationsBtn.title = t('stations.title');
+    if (localApiBtn) localApiBtn.title = t('localApi.title');
+
     // Update download/install buttons
     if (downloadUpdateBtn) downloadUpdateBtn.textContent = t('updates.download');
     if (installUpdateBtn) installUpdateBtn.textContent = t('updates.install');
@@ -171,6 +183,9 @@ async function init() {
     // Setup window controls
     setupWindowControls();
 
+    // Get config (needed to render printer actions)
+    config = await window.electronAPI.getConfig();
+
     // Get initial status
     const status = await window.electronAPI.getStatus();
     updateStatus(status);
@@ -191,9 +206,6 @@ async function init() {
         renderJobs();
     }
 
-    // Get config
-    config = await window.electronAPI.getConfig();
-
     // Setup event listeners
     setupEventListeners();
 }
@@ -247,6 +259,27 @@ function setupEventListeners() {
         }
     });
 
+    window.electronAPI.onPrinterStatusChanged((change) => {
+        const printer = printers.find(p => p.systemName === change.systemName);
+        if (!printer) return;
+
+        printer.metadata = {
+            ...printer.metadata,
+            status: change.status,
+            statusReasons: change.reasons,
+            statusMessage: change.message
+        };
+        renderPrinters();
+
+        if (change.status === change.previous) return;
+        const statusLabel = t(`printerStatus.${change.status}`);
+        if (change.status === 'offline' || PRINTER_PROBLEM_STATUSES.includes(change.status)) {
+            showToast(t('toast.printerStatus', { printer: change.displayName, status: statusLabel }), 'error');
+        } else if (change.previous === 'offline' || PRINTER_PROBLEM_STATUSES.includes(change.previous)) {
+            showToast(t('toast.printerStatus', { printer: change.displayName, status: statusLabel }), 'success');
+        }
+    });
+
     // Job completed
     window.electronAPI.onJobCompleted((entry) => {
         addRecentJob(entry.job || entry, 'completed', entry);
@@ -267,12 +300,24 @@ function setupEventListeners() {
         refreshQueueStats();
     });
 
+    // Job moved to a backup printer
+    window.electronAPI.onJobRerouted((entry) => {
+        const { from, to } = entry.reroutes[entry.reroutes.length - 1];
+        addRecentJob(entry.job, 'queued', entry);
+        showToast(t('toast.jobRerouted', { id: entry.id, from: printerName(from), to: printerName(to) }), 'info');
+    });
+
     // Job queued
     window.electronAPI.onJobQueued((entry) => {
         addRecentJob(entry.job, 'queued', entry);
         refreshQueueStats();
     });
 
+    // Label batch progress (per record rendered, before the batch is sent)
+    window.electronAPI.onJobProgress((progress) => {
+        addRecentJob(progress.job, 'processing', { progress });
+    });
+
     // Errors
     window.electronAPI.onError((message) => {
         showToast(message, 'error');
@@ -303,6 +348,18 @@ function setupEventListeners() {
         refreshPrintersBtn.disabled = false;
     });
 
+    // Add network printer (no OS queue)
+    addNetworkPrinterBtn.addEventListener('click', () => openNetworkPrinterEditor());
+
+    // Printer resolution of jobs sent without a printer
+    routingRulesBtn.addEventListener('click', () => openRoutingRulesEditor());
+
+    // Named groups of printers jobs can target
+    stationsBtn.addEventListener('click', () => openStationsEditor());
+
+    // Address and token of the local HTTP API, for kiosk / POS apps
+    localApiBtn.addEventListener('click', () => openLocalApiSettings());
+
     // Download update
     downloadUpdateBtn.addEventListener('click', async () => {
         downloadUpdateBtn.disabled = true;
@@ -341,6 +398,15 @@ function updateStatus(status) {
 // PRINTERS
 // ═══════════════════════════════════════════════════════════════
 
+function renderCharsetSelect(printer) {
+    const current = config?.printerSettings?.[printer.systemName]?.characterSet || 'PC437_USA';
+    const options = (config?.characterSets || [current]).map(cs =>
+        `<option value="${cs}"${cs === current ? ' selected' : ''}>${cs}</option>`
+    ).join('');
+
+    return `<select class="charset-select" data-printer="${escapeHtml(printer.systemName)}" title="${t('printers.charset')}">${options}</select>`;
+}
+
 function renderPrinters() {
     printerCount.textContent = printers.length;
 
@@ -364,6 +430,10 @@ function renderPrinters() {
         const typeLabel = t(`printerTypes.${printer.type}`);
         const usageLabel = t(`printerUsage.${printer.type}`);
         const interfaceLabel = (printer.interface || 'unknown').toUpperCase();
+        const isVirtual = !!printer.metadata?.virtual;
+        const status = printer.metadata?.status || 'idle';
+        const statusClass = status === 'offline' ? ' offline' : (PRINTER_PROBLEM_STATUSES.includes(status) ? ' warning' : '');
+        const statusTitle = printer.metadata?.statusMessage || (printer.metadata?.statusReasons || []).join(', ');
         const primaryTitle = isPrimary
             ? t('printers.unsetPrimary')
             : `${t('printers.setPrimary')} (${usageLabel})`;
@@ -372,7 +442,7 @@ function renderPrinters() {
             <div class="printer-card fade-in type-${printer.type}${isDefault ? ' is-default' : ''}${isPrimary ? ' is-primary' : ''}">
                 ${isPrimary ? `<span class="primary-badge">${t('printers.primary')}</span>` : ''}
                 ${!isPrimary && isDefault ? `<span class="default-badge">${t('printers.default')}</span>` : ''}
-                ${hasDbId ? `<button class="btn-star${isPrimary ? ' active' : ''}" data-printer-id="${printer.id}" data-is-primary="${isPrimary}" title="${primaryTitle}">
+                ${hasDbId ? `<button class="btn-star${isPrimary ? ' active' : ''}" data-printer-id="${escapeHtml(printer.id)}" data-is-primary="${isPrimary}" title="${primaryTitle}">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="${isPrimary ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                         <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
                     </svg>
@@ -380,13 +450,13 @@ function renderPrinters() {
                 <div class="printer-icon-large">
                     ${getPrinterIcon(printer.type)}
                 </div>
-                <div class="printer-card-name" title="${printer.displayName}">${printer.displayName}</div>
-                <div class="printer-card-type">${typeLabel}</div>
+                <div class="printer-card-name" title="${escapeHtml(printer.displayName)}">${escapeHtml(printer.displayName)}</div>
+                <div class="printer-card-type">${typeLabel}${printer.metadata?.overridden?.length ? ` <span class="override-hint" title="${t('printers.overridden')}">✎</span>` : ''}</div>
                 <div class="printer-card-usage">${usageLabel}</div>
-                <div class="printer-card-interface">${interfaceLabel}</div>
-                <div class="printer-card-status">
+                <div class="printer-card-interface"${isVirtual ? ` title="${escapeHtml(printer.metadata.uri)}"` : ''}>${interfaceLabel}${isVirtual ? ` · ${t('printers.direct')}` : ''}</div>
+                <div class="printer-card-status${statusClass}"${statusTitle ? ` title="${escapeHtml(statusTitle)}"` : ''}>
                     <span class="dot"></span>
-                    ${t('printers.online')}
+                    ${t(`printerStatus.${status}`)}
                 </div>
                 <div class="printer-card-actions">
                     <div class="test-dropdown">
@@ -397,17 +467,40 @@ function renderPrinters() {
                             ${t('printers.test')}
                         </button>
                         <div class="test-menu">
-                            <button class="test-menu-item" data-printer="${printer.systemName}" data-type="thermal">${t('printers.testThermal')}</button>
-                            <button class="test-menu-item" data-printer="${printer.systemName}" data-type="pdf">${t('printers.testPdf')}</button>
-                            <button class="test-menu-item" data-printer="${printer.systemName}" data-type="label">${t('printers.testLabel')}</button>
+                            <button class="test-menu-item" data-printer="${escapeHtml(printer.systemName)}" data-type="thermal">${t('printers.testThermal')}</button>
+                            <button class="test-menu-item" data-printer="${escapeHtml(printer.systemName)}" data-type="pdf">${t('printers.testPdf')}</button>
+                            <button class="test-menu-item" data-printer="${escapeHtml(printer.systemName)}" data-type="label">${t('printers.testLabel')}</button>
+                            ${printer.type === 'thermal' ? `<button class="test-menu-item" data-printer="${escapeHtml(printer.systemName)}" data-type="charmap">${t('printers.testCharmap')}</button>` : ''}
                         </div>
                     </div>
+                    ${printer.type === 'thermal' ? renderCharsetSelect(printer) : ''}
+                    <button class="btn-test btn-edit" data-printer="${escapeHtml(printer.systemName)}" title="${t('printers.edit')}">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                            <path d="M12 20h9"></path>
+                            <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+                        </svg>
+                        ${t('printers.edit')}
+                    </button>
+                    ${isVirtual ? `<button class="btn-test btn-remove" data-printer="${escapeHtml(printer.systemName)}" title="${t('printers.remove')}">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"></path>
+                        </svg>
+                        ${t('printers.remove')}
+                    </button>` : ''}
+                    ${printer.capabilities?.cashDrawer && config?.canOpenCashDrawer ? `<button class="btn-test btn-drawer" data-printer="${escapeHtml(printer.systemName)}" title="${t('printers.openDrawer')}">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                            <rect x="2" y="10" width="20" height="10" rx="1"></rect>
+                            <line x1="10" y1="15" x2="14" y2="15"></line>
+                        </svg>
+                        ${t('printers.openDrawer')}
+                    </button>` : ''}
                 </div>
             </div>`;
     }).join('');
 
     // Bind test print buttons
-    document.querySelectorAll('.btn-test').forEach(btn => {
+    document.querySelectorAll('.test-dropdown .btn-test').forEach(btn => {
         btn.addEventListener('click', (e) => {
             e.stopPropagation();
             const menu = btn.nextElementSibling;
@@ -435,6 +528,68 @@ function renderPrinters() {
         });
     });
 
+    // Bind code page selects
+    document.querySelectorAll('.charset-select').forEach(select => {
+        select.addEventListener('change', async () => {
+            const printerName = select.dataset.printer;
+            const characterSet = select.value;
+
+            select.disabled = true;
+            const result = await window.electronAPI.setPrinterSettings(printerName, { characterSet });
+            if (result.success) {
+                config.printerSettings = { ...config.printerSettings, [printerName]: result.settings };
+                showToast(t('toast.charsetSaved', { charset: characterSet, printer: printerName }), 'success');
+            } else {
+                showToast(t('toast.charsetFailed', { error: result.error }), 'error');
+            }
+            select.disabled = false;
+        });
+    });
+
+    // Bind printer settings (override) buttons
+    document.querySelectorAll('.btn-edit').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const printer = printers.find(p => p.systemName === btn.dataset.printer);
+            if (printer) openPrinterEditor(printer);
+        });
+    });
+
+    // Bind remove buttons (network printers)
+    document.querySelectorAll('.btn-remove').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const printer = printers.find(p => p.systemName === btn.dataset.printer);
+            if (!printer || !confirm(t('networkPrinter.confirmRemove', { printer: printer.displayName }))) return;
+
+            btn.disabled = true;
+            const result = await window.electronAPI.removeVirtualPrinter(printer.systemName);
+            if (result.success) {
+                showToast(t('toast.networkPrinterRemoved', { printer: printer.displayName }), 'success');
+            } else {
+                showToast(t('toast.networkPrinterFailed', { error: result.error }), 'error');
+                btn.disabled = false;
+            }
+        });
+    });
+
+    // Bind cash drawer buttons
+    document.querySelectorAll('.btn-drawer').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            const printerName = btn.dataset.printer;
+
+            btn.disabled = true;
+            const result = await window.electronAPI.openCashDrawer(printerName);
+            if (result.success) {
+                showToast(t('toast.drawerOpened', { printer: printerName }), 'success');
+            } else {
+                showToast(t('toast.drawerFailed', { error: result.error }), 'error');
+            }
+            btn.disabled = false;
+        });
+    });
+
     // Bind star (primary) buttons
     document.querySelectorAll('.btn-star').forEach(btn => {
         btn.addEventListener('click', async (e) => {
@@ -472,6 +627,559 @@ function renderPrinters() {
     });
 }
 
+// ═══════════════════════════════════════════════════════════════
+// PRINTER EDITOR — manual type / capability overrides
+// ═══════════════════════════════════════════════════════════════
+
+function renderOverrideSelect(name, values, current, labelOf = v => v) {
+    const options = values.map(v =>
+        `<option value="${escapeHtml(v)}"${String(v) === String(current ?? '') ? ' selected' : ''}>${escapeHtml(labelOf(v))}</option>`
+    ).join('');
+    return `<select name="${name}"><option value="">${t('printerEditor.auto')}</option>${options}</select>`;
+}
+
+function openPrinterEditor(printer) {
+    const overrides = config?.printerOverrides?.[printer.systemName] || {};
+    // Code page and backup are printer settings, shared with the card's code page select
+    const backupPrinter = config?.printerSettings?.[printer.systemName]?.backupPrinter || null;
+    const characterSet = config?.printerSettings?.[printer.systemName]?.characterSet || null;
+    const backupCandidates = printers.filter(p => p.systemName !== printer.systemName).map(p => p.systemName);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <form class="modal" id="printer-editor">
+            <h3>${t('printerEditor.title', { printer: escapeHtml(printer.displayName) })}</h3>
+            <p class="modal-hint">${t('printerEditor.hint')}</p>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>${t('printerEditor.type')}</label>
+                    ${renderOverrideSelect('type', config?.printerTypes || [], overrides.type, v => t(`printerTypes.${v}`))}
+                </div>
+                <div class="form-group">
+                    <label>${t('printerEditor.interface')}</label>
+                    ${renderOverrideSelect('interface', config?.printerInterfaces || [], overrides.interface, v => v.toUpperCase())}
+                </div>
+            </div>
+            <div class="form-group">
+                <label>${t('printerEditor.paperSizes')}</label>
+                <input type="text" name="paperSizes" value="${escapeHtml((overrides.paperSizes || []).join(', '))}" placeholder="${escapeHtml((printer.capabilities?.paperSizes || []).join(', '))}">
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>${t('printerEditor.labelWidth')}</label>
+                    <input type="number" name="labelWidthMm" min="1" max="300" step="0.1" value="${overrides.labelWidthMm ?? ''}" placeholder="62">
+                </div>
+                <div class="form-group">
+                    <label>${t('printerEditor.labelHeight')}</label>
+                    <input type="number" name="labelHeightMm" min="1" step="0.1" value="${overrides.labelHeightMm ?? ''}" placeholder="29">
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>${t('printerEditor.dpi')}</label>
+                    ${renderOverrideSelect('dpi', [203, 300, 600], overrides.dpi, v => `${v} dpi`)}
+                </div>
+                <div class="form-group">
+                    <label>${t('printerEditor.thermalWidth')}</label>
+                    ${renderOverrideSelect('thermalWidth', [58, 80], overrides.thermalWidth, v => `${v} mm`)}
+                </div>
+            </div>
+            <div class="form-group">
+                <label>${t('printerEditor.charset')}</label>
+                ${renderOverrideSelect('characterSet', config?.characterSets || [], characterSet)}
+            </div>
+            <div class="form-group">
+                <label>${t('printerEditor.backup')}</label>
+                ${renderOverrideSelect('backupPrinter', backupCandidates, backupPrinter, printerName)}
+            </div>
+            <div class="modal-actions">
+                <button type="button" class="btn-secondary" data-action="reset">${t('printerEditor.reset')}</button>
+                <button type="button" class="btn-secondary" data-action="cancel">${t('printerEditor.cancel')}</button>
+                <button type="submit" class="btn-primary">${t('printerEditor.save')}</button>
+            </div>
+        </form>`;
+    document.body.appendChild(overlay);
+
+    const form = overlay.querySelector('form');
+    const close = () => overlay.remove();
+
+    const save = async ({ backupPrinter: backup = backupPrinter, characterSet: charset = characterSet, ...values }) => {
+        form.querySelectorAll('button').forEach(b => { b.disabled = true; });
+        const settings = {};
+        if ((backup || null) !== backupPrinter) settings.backupPrinter = backup || null;
+        if (charset && charset !== characterSet) settings.characterSet = charset;
+        if (Object.keys(settings).length > 0) {
+            const saved = await window.electronAPI.setPrinterSettings(printer.systemName, settings);
+            if (!saved.success) {
+                showToast(t('toast.overridesFailed', { error: saved.error }), 'error');
+                form.querySelectorAll('button').forEach(b => { b.disabled = false; });
+                return;
+            }
+            config.printerSettings = { ...config.printerSettings, [printer.systemName]: saved.settings };
+        }
+        const result = await window.electronAPI.setPrinterOverrides(printer.systemName, values);
+        if (result.success) {
+            config.printerOverrides = { ...config.printerOverrides, [printer.systemName]: result.overrides };
+            showToast(t('toast.overridesSaved', { printer: printer.displayName }), 'success');
+            close();
+        } else {
+            showToast(t('toast.overridesFailed', { error: result.error }), 'error');
+            form.querySelectorAll('button').forEach(b => { b.disabled = false; });
+        }
+    };
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    form.querySelector('[data-action="cancel"]').addEventListener('click', close);
+    form.querySelector('[data-action="reset"]').addEventListener('click', () => save({}));
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        save(Object.fromEntries(new FormData(form)));
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// NETWORK PRINTERS — printed to directly (socket, LPD, IPP)
+// ═══════════════════════════════════════════════════════════════
+
+function openNetworkPrinterEditor(prefill = {}) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <form class="modal" id="network-printer-editor">
+            <h3>${t('networkPrinter.title')}</h3>
+            <div class="form-row discovery-row">
+                <div class="form-group">
+                    <label>${t('networkPrinter.subnet')}</label>
+                    <input type="text" name="subnet" value="${escapeHtml(config?.networkDiscovery?.subnet)}" placeholder="192.168.1.0/24">
+                </div>
+                <button type="button" class="btn-secondary" data-action="discover">${t('networkPrinter.discover')}</button>
+            </div>
+            <div class="discovered-printers" data-role="discovered"></div>
+            <p class="modal-hint">${t('networkPrinter.hint')}</p>
+            <div class="form-group">
+                <label>${t('networkPrinter.uri')}</label>
+                <input type="text" name="uri" required value="${escapeHtml(prefill.uri)}" placeholder="socket://192.168.1.50:9100">
+            </div>
+            <div class="form-group">
+                <label>${t('networkPrinter.name')}</label>
+                <input type="text" name="displayName" value="${escapeHtml(prefill.displayName)}" placeholder="${t('networkPrinter.namePlaceholder')}">
+            </div>
+            <div class="form-group">
+                <label>${t('printerEditor.type')}</label>
+                ${renderOverrideSelect('type', config?.printerTypes || [], prefill.type, v => t(`printerTypes.${v}`))}
+            </div>
+            <p class="modal-hint" data-role="probe"></p>
+            <div class="modal-actions">
+                <button type="button" class="btn-secondary" data-action="probe">${t('networkPrinter.test')}</button>
+                <button type="button" class="btn-secondary" data-action="cancel">${t('printerEditor.cancel')}</button>
+                <button type="submit" class="btn-primary">${t('networkPrinter.save')}</button>
+            </div>
+        </form>`;
+    document.body.appendChild(overlay);
+
+    const form = overlay.querySelector('form');
+    const probeResult = form.querySelector('[data-role="probe"]');
+    const close = () => overlay.remove();
+    const setBusy = (busy) => form.querySelectorAll('button').forEach(b => { b.disabled = busy; });
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    form.querySelector('[data-action="cancel"]').addEventListener('click', close);
+    form.querySelector('[data-action="discover"]').addEventListener('click', async () => {
+        const results = form.querySelector('[data-role="discovered"]');
+        setBusy(true);
+        results.innerHTML = `<p class="modal-hint">${t('networkPrinter.discovering')}</p>`;
+        const result = await window.electronAPI.discoverNetworkPrinters(form.elements.subnet.value);
+        if (result.success) {
+            config.networkDiscovery = { ...config.networkDiscovery, subnet: form.elements.subnet.value.trim() || null };
+            renderDiscoveredPrinters(results, result.printers);
+        } else {
+            results.innerHTML = `<p class="modal-hint">${escapeHtml(result.error)}</p>`;
+        }
+        setBusy(false);
+    });
+    form.querySelector('[data-action="probe"]').addEventListener('click', async () => {
+        setBusy(true);
+        probeResult.textContent = t('networkPrinter.testing');
+        const result = await window.electronAPI.probeNetworkPrinter(form.elements.uri.value);
+        if (!result.success) {
+            probeResult.textContent = result.error;
+        } else if (result.online) {
+            probeResult.textContent = t('networkPrinter.reachable', { state: result.state });
+        } else {
+            probeResult.textContent = t('networkPrinter.unreachable', { error: result.message });
+        }
+        setBusy(false);
+    });
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        const { uri, displayName, type } = form.elements;
+        const result = await window.electronAPI.saveVirtualPrinter({ uri: uri.value, displayName: displayName.value, type: type.value });
+        if (result.success) {
+            showToast(t('toast.networkPrinterSaved', { printer: result.printer.displayName }), 'success');
+            close();
+        } else {
+            showToast(t('toast.networkPrinterFailed', { error: result.error }), 'error');
+            setBusy(false);
+        }
+    });
+}
+
+// Discovered devices: names come from the network — escaped
+function renderDiscoveredPrinters(container, discovered) {
+    if (discovered.length === 0) {
+        container.innerHTML = `<p class="modal-hint">${t('networkPrinter.noneFound')}</p>`;
+        return;
+    }
+
+    container.innerHTML = discovered.map((printer, index) => `
+        <div class="discovered-printer">
+            <div class="discovered-info">
+                <div class="discovered-name">${escapeHtml(printer.name)}</div>
+                <div class="discovered-detail">${printer.model ? `${escapeHtml(printer.model)} · ` : ''}${escapeHtml(printer.uri)}</div>
+            </div>
+            ${printer.added
+                ? `<span class="discovered-added">${t('networkPrinter.added')}</span>`
+                : `<button type="button" class="btn-test" data-index="${index}">${t('networkPrinter.save')}</button>`}
+        </div>`).join('');
+
+    container.querySelectorAll('button[data-index]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const printer = discovered[Number(btn.dataset.index)];
+            btn.disabled = true;
+            const result = await window.electronAPI.saveVirtualPrinter({
+                uri: printer.uri,
+                displayName: printer.name,
+                type: printer.type !== 'generic' ? printer.type : null
+            });
+            if (result.success) {
+                btn.outerHTML = `<span class="discovered-added">${t('networkPrinter.added')}</span>`;
+                showToast(t('toast.networkPrinterSaved', { printer: result.printer.displayName }), 'success');
+            } else {
+                showToast(t('toast.networkPrinterFailed', { error: result.error }), 'error');
+                btn.disabled = false;
+            }
+        });
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// LOCAL API — address and token for local apps (kiosk, POS)
+// ═══════════════════════════════════════════════════════════════
+
+async function openLocalApiSettings() {
+    const info = await window.electronAPI.getLocalApi();
+    if (!info) return;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <div class="modal" id="local-api-settings-panel">
+            <h3>${t('localApi.title')}</h3>
+            <p class="modal-hint">${t(info.running ? 'localApi.hint' : 'localApi.disabled')}</p>
+            <div class="form-group">
+                <label>${t('localApi.url')}</label>
+                <input type="text" readonly value="${escapeHtml(info.url)}">
+            </div>
+            <div class="form-group">
+                <label>${t('localApi.token')}</label>
+                <input type="password" readonly name="token" value="${escapeHtml(info.token)}">
+            </div>
+            <div class="modal-actions">
+                <button type="button" class="btn-secondary" data-action="show">${t('localApi.show')}</button>
+                <button type="button" class="btn-secondary" data-action="copy">${t('localApi.copy')}</button>
+                <button type="button" class="btn-secondary" data-action="regenerate">${t('localApi.regenerate')}</button>
+                <button type="button" class="btn-primary" data-action="close">${t('localApi.close')}</button>
+            </div>
+        </div>`;
+    document.body.appendChild(overlay);
+
+    const panel = overlay.querySelector('.modal');
+    const tokenInput = panel.querySelector('[name="token"]');
+    const close = () => overlay.remove();
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    panel.querySelector('[data-action="close"]').addEventListener('click', close);
+    panel.querySelector('[data-action="show"]').addEventListener('click', (e) => {
+        const hidden = tokenInput.type === 'password';
+        tokenInput.type = hidden ? 'text' : 'password';
+        e.target.textContent = t(hidden ? 'localApi.hide' : 'localApi.show');
+    });
+    panel.querySelector('[data-action="copy"]').addEventListener('click', async () => {
+        await navigator.clipboard.writeText(tokenInput.value);
+        showToast(t('toast.localApiTokenCopied'), 'success');
+    });
+    panel.querySelector('[data-action="regenerate"]').addEventListener('click', async () => {
+        if (!confirm(t('localApi.regenerateConfirm'))) return;
+        const result = await window.electronAPI.regenerateLocalApiToken();
+        if (result.success) {
+            tokenInput.value = result.token;
+            showToast(t('toast.localApiTokenRegenerated'), 'success');
+        } else {
+            showToast(t('toast.localApiTokenFailed', { error: result.error }), 'error');
+        }
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════
+// ROUTING RULES — printer of jobs sent with a role or no printer
+// ═══════════════════════════════════════════════════════════════
+
+function openRoutingRulesEditor() {
+    let rules = (config?.routingRules || []).map(rule => ({ ...rule }));
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <form class="modal modal-wide" id="routing-rules-editor">
+            <h3>${t('routing.title')}</h3>
+            <p class="modal-hint">${t('routing.hint')}</p>
+            <div data-role="rules"></div>
+            <button type="button" class="btn-secondary" data-action="add">${t('routing.add')}</button>
+            <div class="modal-actions">
+                <button type="button" class="btn-secondary" data-action="cancel">${t('printerEditor.cancel')}</button>
+                <button type="submit" class="btn-primary">${t('printerEditor.save')}</button>
+            </div>
+        </form>`;
+    document.body.appendChild(overlay);
+
+    const form = overlay.querySelector('form');
+    const list = form.querySelector('[data-role="rules"]');
+    const close = () => overlay.remove();
+
+    // Read the edited values back before re-rendering or saving
+    const collect = () => {
+        rules = [...list.querySelectorAll('.routing-rule')].map((row, index) => {
+            const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+            const [kind, target] = value('target').split(/:(.*)/s);
+            return {
+                id: rules[index].id,
+                name: value('name') || null,
+                enabled: row.querySelector('[data-field="enabled"]').checked,
+                role: value('role') || null,
+                documentTypes: value('documentTypes'),
+                tags: value('tags'),
+                from: value('from') || null,
+                to: value('to') || null,
+                printer: kind === 'printer' ? target : null,
+                printerType: kind === 'type' ? target : null
+            };
+        });
+    };
+
+    const render = () => {
+        list.innerHTML = rules.length === 0
+            ? `<p class="modal-hint">${t('routing.none')}</p>`
+            : rules.map((rule, index) => renderRoutingRule(rule, index)).join('');
+    };
+
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        collect();
+        const index = Number(button.closest('.routing-rule').dataset.index);
+        if (button.dataset.action === 'remove') {
+            rules.splice(index, 1);
+        } else if (button.dataset.action === 'up' && index > 0) {
+            [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+        }
+        render();
+    });
+    form.querySelector('[data-action="add"]').addEventListener('click', () => {
+        collect();
+        rules.push({ enabled: true, printerType: (config?.printerTypes || [])[0] || null });
+        render();
+    });
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    form.querySelector('[data-action="cancel"]').addEventListener('click', close);
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        collect();
+        const result = await window.electronAPI.setRoutingRules(rules);
+        if (result.success) {
+            config.routingRules = result.rules;
+            showToast(t('toast.routingSaved'), 'success');
+            close();
+        } else {
+            showToast(t('toast.routingFailed', { error: result.error }), 'error');
+        }
+    });
+
+    render();
+}
+
+function renderRoutingRule(rule, index) {
+    const target = rule.printer ? `printer:${rule.printer}` : `type:${rule.printerType || ''}`;
+    const targets = [
+        // A printer that is unplugged right now stays selectable
+        ...(rule.printer && !printers.some(p => p.systemName === rule.printer) ? [{ value: target, label: rule.printer }] : []),
+        ...printers.map(p => ({ value: `printer:${p.systemName}`, label: p.displayName })),
+        ...(config?.printerTypes || []).map(type => ({ value: `type:${type}`, label: t('routing.anyOfType', { type: t(`printerTypes.${type}`) }) }))
+    ];
+    const list = value => escapeHtml(Array.isArray(value) ? value.join(', ') : value || '');
+
+    return `
+        <div class="routing-rule" data-index="${index}">
+            <div class="routing-rule-header">
+                <label class="routing-rule-enabled">
+                    <input type="checkbox" data-field="enabled"${rule.enabled !== false ? ' checked' : ''}>
+                    <input type="text" data-field="name" value="${escapeHtml(rule.name)}" placeholder="${t('routing.name')}">
+                </label>
+                ${index > 0 ? `<button type="button" class="btn-icon" data-action="up" title="${t('routing.up')}">↑</button>` : ''}
+                <button type="button" class="btn-icon" data-action="remove" title="${t('printers.remove')}">×</button>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>${t('routing.role')}</label>
+                    <input type="text" data-field="role" value="${escapeHtml(rule.role)}" placeholder="receipt">
+                </div>
+                <div class="form-group">
+                    <label>${t('routing.documentTypes')}</label>
+                    <input type="text" data-field="documentTypes" value="${list(rule.documentTypes)}" placeholder="invoice, quote" title="${escapeHtml((config?.documentTypes || []).join(', '))}">
+                </div>
+                <div class="form-group">
+                    <label>${t('routing.tags')}</label>
+                    <input type="text" data-field="tags" value="${list(rule.tags)}" placeholder="workshop">
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>${t('routing.target')}</label>
+                    <select data-field="target">
+                        ${targets.map(o => `<option value="${escapeHtml(o.value)}"${o.value === target ? ' selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>${t('routing.from')}</label>
+                    <input type="time" data-field="from" value="${rule.from || ''}">
+                </div>
+                <div class="form-group">
+                    <label>${t('routing.to')}</label>
+                    <input type="time" data-field="to" value="${rule.to || ''}">
+                </div>
+            </div>
+        </div>`;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// STATIONS — named groups of printers, load balanced
+// ═══════════════════════════════════════════════════════════════
+
+function openStationsEditor() {
+    let stations = (config?.stations || []).map(station => ({ ...station }));
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+        <form class="modal modal-wide" id="stations-editor">
+            <h3>${t('stations.title')}</h3>
+            <p class="modal-hint">${t('stations.hint')}</p>
+            <div data-role="stations"></div>
+            <button type="button" class="btn-secondary" data-action="add">${t('stations.add')}</button>
+            <div class="modal-actions">
+                <button type="button" class="btn-secondary" data-action="cancel">${t('printerEditor.cancel')}</button>
+                <button type="submit" class="btn-primary">${t('printerEditor.save')}</button>
+            </div>
+        </form>`;
+    document.body.appendChild(overlay);
+
+    const form = overlay.querySelector('form');
+    const list = form.querySelector('[data-role="stations"]');
+    const close = () => overlay.remove();
+
+    // Read the edited values back before re-rendering or saving
+    const collect = () => {
+        stations = [...list.querySelectorAll('.station')].map((row, index) => ({
+            name: stations[index].name,
+            displayName: row.querySelector('[data-field="displayName"]').value.trim(),
+            balancing: row.querySelector('[data-field="balancing"]').value,
+            printers: [...row.querySelectorAll('[data-field="printers"]:checked')].map(input => input.value)
+        }));
+    };
+
+    const render = () => {
+        list.innerHTML = stations.length === 0
+            ? `<p class="modal-hint">${t('stations.none')}</p>`
+            : stations.map((station, index) => renderStation(station, index)).join('');
+    };
+
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action="remove"]');
+        if (!button) return;
+        collect();
+        stations.splice(Number(button.closest('.station').dataset.index), 1);
+        render();
+    });
+    form.querySelector('[data-action="add"]').addEventListener('click', () => {
+        collect();
+        stations.push({ displayName: '', balancing: (config?.balancingModes || [])[0], printers: [] });
+        render();
+    });
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    form.querySelector('[data-action="cancel"]').addEventListener('click', close);
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        collect();
+        const result = await window.electronAPI.setStations(stations);
+        if (result.success) {
+            config.stations = result.stations;
+            showToast(t('toast.stationsSaved'), 'success');
+            close();
+        } else {
+            showToast(t('toast.stationsFailed', { error: result.error }), 'error');
+        }
+    });
+
+    render();
+}
+
+function renderStation(station, index) {
+    const members = [
+        ...printers.map(p => ({ systemName: p.systemName, label: `${p.displayName} (${t(`printerTypes.${p.type}`)})` })),
+        // A member that is unplugged right now stays in the station
+        ...station.printers.filter(name => !printers.some(p => p.systemName === name)).map(name => ({ systemName: name, label: name }))
+    ];
+
+    return `
+        <div class="station" data-index="${index}">
+            <div class="routing-rule-header">
+                <input type="text" class="station-name" data-field="displayName" value="${escapeHtml(station.displayName)}" placeholder="${t('stations.name')}">
+                <button type="button" class="btn-icon" data-action="remove" title="${t('printers.remove')}">×</button>
+            </div>
+            <div class="form-group">
+                <label>${t('stations.balancing')}</label>
+                <select data-field="balancing">
+                    ${(config?.balancingModes || []).map(mode => `<option value="${mode}"${mode === station.balancing ? ' selected' : ''}>${t(`stations.balancingModes.${mode}`)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>${t('stations.printers')}</label>
+                <div class="station-printers">
+                    ${members.map(m => `
+                        <label class="station-printer">
+                            <input type="checkbox" data-field="printers" value="${escapeHtml(m.systemName)}"${station.printers.includes(m.systemName) ? ' checked' : ''}>
+                            ${escapeHtml(m.label)}
+                        </label>`).join('')}
+                </div>
+            </div>
+        </div>`;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 // Close test menus when clicking outside
 document.addEventListener('click', () => {
     document.querySelectorAll('.test-menu.open').forEach(m => m.classList.remove('open'));
@@ -503,6 +1211,9 @@ function addRecentJob(job, status, entry = null) {
         retries: entry?.retries || 0,
         maxRetries: entry?.maxRetries || 3,
         error: entry?.error || null,
+        progress: entry?.progress || null,
+        printerSystemName: entry?.printerSystemName || job.printerSystemName,
+        reroutedFrom: entry?.reroutes?.length ? entry.reroutes[0].from : null,
         timestamp: new Date()
     };
 
@@ -524,9 +1235,17 @@ function getStatusBadge(job) {
     if (job.status === 'retrying') {
         return t('jobs.retrying', { retries: job.retries, maxRetries: job.maxRetries });
     }
+    if (job.status === 'processing' && job.progress) {
+        return t('jobs.progress', { done: job.progress.done, total: job.progress.total });
+    }
     return t(`jobs.${job.status}`) || job.status;
 }
 
+function printerName(systemName) {
+    const printer = printers.find(p => p.systemName === systemName);
+    return printer ? printer.displayName : systemName;
+}
+
 function getJobLabel(job) {
     const c = job.content || {};
     const docNumber = c.invoiceNumber || c.quoteNumber || c.ticketNumber || c.receiptNumber || c.orderNumber || c.deliveryNumber;
@@ -552,8 +1271,8 @@ function renderJobs() {
     jobsList.innerHTML = recentJobs.map(job => `
         <div class="job-item fade-in">
             <div class="job-info">
-                <div class="job-id">${getJobLabel(job)}</div>
-                <div class="job-printer">${job.printerSystemName || t('jobs.unknownPrinter')}${job.error ? ` — ${job.error}` : ''}</div>
+                <div class="job-id">${escapeHtml(getJobLabel(job))}</div>
+                <div class="job-printer">${escapeHtml(job.printerSystemName || t('jobs.unknownPrinter'))}${job.reroutedFrom ? ` (${t('jobs.reroutedFrom', { printer: escapeHtml(printerName(job.reroutedFrom)) })})` : ''}${job.error ? ` — ${escapeHtml(job.error)}` : ''}</div>
             </div>
             <span class="job-status ${job.status}">${getStatusBadge(job)}</span>
         </div>
@@ -589,10 +1308,12 @@ function showToast(message, type = 'info') {
 
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
-    toast.innerHTML = `
-        <div class="toast-icon">${iconSvg[type] || iconSvg.info}</div>
-        <span>${message}</span>
-    `;
+    toast.innerHTML = `<div class="toast-icon">${iconSvg[type] || iconSvg.info}</div>`;
+
+    // Messages carry printer names and errors from the network: text only
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
 
     toastContainer.appendChild(toast);
 
@@ -37,12 +37,94 @@ const translations = {
       primary: 'Primary',
       setPrimary: 'Set as primary',
       unsetPrimary: 'Remove primary',
-      online: 'Online',
-      offline: 'Offline',
       test: 'Test',
       testThermal: 'Thermal Receipt',
       testPdf: 'PDF Invoice',
-      testLabel: 'Label'
+      testLabel: 'Label',
+      openDrawer: 'Open drawer',
+      testCharmap: 'Character map',
+      charset: 'Code page',
+      edit: 'Settings',
+      overridden: 'Edited manually',
+      direct: 'Direct',
+      remove: 'Remove'
+    },
+    networkPrinter: {
+      add: 'Add network printer',
+      title: 'Network printer',
+      hint: 'Printed to directly, without a system print queue. Raw TCP: socket://host:9100 — LPD: lpd://host/queue — IPP: ipp://host/ipp/print',
+      uri: 'Address (URI)',
+      name: 'Name',
+      namePlaceholder: 'Counter printer',
+      test: 'Test connection',
+      testing: 'Connecting…',
+      reachable: 'Printer reachable ({{state}})',
+      unreachable: 'Printer unreachable: {{error}}',
+      save: 'Add',
+      confirmRemove: 'Remove {{printer}}?',
+      subnet: 'Subnet to scan (optional)',
+      discover: 'Search the network',
+      discovering: 'Searching for printers…',
+      noneFound: 'No printer found',
+      added: 'Added'
+    },
+    routing: {
+      title: 'Routing rules',
+      hint: 'Printer of jobs sent with a role or without a printer. Rules are tried in order; fields left empty match any job. When no rule matches, the primary printer suited to the document is used.',
+      none: 'No rules — jobs go to the primary printer suited to the document',
+      add: 'Add rule',
+      name: 'Rule name',
+      up: 'Move up',
+      role: 'Role',
+      documentTypes: 'Document types',
+      tags: 'Tags',
+      target: 'Printer',
+      anyOfType: 'Any {{type}}',
+      from: 'From',
+      to: 'To'
+    },
+    localApi: {
+      title: 'Local API',
+      hint: 'Local apps (kiosk, POS) print through this address. Send the token as a Bearer token in the Authorization header, or in the X-Api-Token header.',
+      disabled: 'The local API is disabled or could not start.',
+      url: 'Address',
+      token: 'Token',
+      show: 'Show',
+      hide: 'Hide',
+      copy: 'Copy token',
+      regenerate: 'Regenerate',
+      regenerateConfirm: 'Apps using the current token will be refused until they get the new one. Regenerate?',
+      close: 'Close'
+    },
+    stations: {
+      title: 'Stations',
+      hint: 'Group the printers of a place (front desk, workshop, warehouse) so jobs can target the station. Jobs are spread across the identical printers of the station that are available.',
+      none: 'No stations',
+      add: 'Add station',
+      name: 'Station name',
+      balancing: 'Load balancing',
+      balancingModes: {
+        'round-robin': 'Round-robin',
+        'least-queued': 'Fewest pending jobs'
+      },
+      printers: 'Printers'
+    },
+    printerEditor: {
+      title: 'Printer settings — {{printer}}',
+      hint: 'Correct what was detected wrongly. Fields left on "Auto" keep the detected value.',
+      auto: 'Auto',
+      type: 'Type',
+      interface: 'Connection',
+      paperSizes: 'Paper sizes',
+      labelWidth: 'Label width (mm)',
+      labelHeight: 'Label height (mm)',
+      dpi: 'Resolution',
+      thermalWidth: 'Thermal paper width',
+      charset: 'Code page',
+      backup: 'Backup printer (Auto: same type)',
+      reset: 'Reset',
+      cancel: 'Cancel',
+      save: 'Save'
     },
     printerTypes: {
       thermal: 'Thermal',
@@ -60,22 +142,33 @@ const translations = {
       dotmatrix: 'Delivery notes, multi-part forms',
       generic: 'General documents'
     },
+    printerStatus: {
+      idle: 'Online',
+      printing: 'Printing',
+      stopped: 'Paused',
+      paper_out: 'Out of paper',
+      error: 'Needs attention',
+      offline: 'Offline'
+    },
     jobs: {
       title: 'Recent Jobs',
       noJobs: 'No recent jobs',
       unknownPrinter: 'Unknown printer',
+      reroutedFrom: 'instead of {{printer}}',
       completed: 'Completed',
       failed: 'Failed ({{retries}}/{{maxRetries}})',
       retrying: 'Retrying ({{retries}}/{{maxRetries}})',
       queued: 'Queued',
       processing: 'Printing...',
+      progress: 'Rendering labels {{done}}/{{total}}...',
       invoice: 'Invoice',
       receipt: 'Receipt',
       ticket: 'Repair Ticket',
       label: 'Label',
       quote: 'Quote',
       report: 'Report',
-      delivery_note: 'Delivery Note'
+      delivery_note: 'Delivery Note',
+      cash_drawer: 'Cash Drawer'
     },
     status: {
       connected: 'Connected',
@@ -94,7 +187,25 @@ const translations = {
       jobRetrying: 'Job #{{id}} retrying ({{retries}}/{{maxRetries}})...',
       primarySet: '{{printer}} set as primary',
       primaryUnset: '{{printer}} is no longer primary',
-      primaryFailed: 'Failed to set primary: {{error}}'
+      primaryFailed: 'Failed to set primary: {{error}}',
+      drawerOpened: 'Cash drawer opening on {{printer}}',
+      drawerFailed: 'Cannot open cash drawer: {{error}}',
+      charsetSaved: '{{printer}} now prints with {{charset}}',
+      charsetFailed: 'Failed to save code page: {{error}}',
+      overridesSaved: '{{printer}} settings saved',
+      overridesFailed: 'Failed to save printer settings: {{error}}',
+      networkPrinterSaved: '{{printer}} added',
+      networkPrinterRemoved: '{{printer}} removed',
+      networkPrinterFailed: 'Network printer error: {{error}}',
+      printerStatus: '{{printer}}: {{status}}',
+      jobRerouted: 'Job #{{id}} sent to {{to}} instead of {{from}}',
+      routingSaved: 'Routing rules saved',
+      routingFailed: 'Failed to save routing rules: {{error}}',
+      stationsSaved: 'Stations saved',
+      stationsFailed: 'Failed to save stations: {{error}}',
+      localApiTokenCopied: 'Local API token copied',
+      localApiTokenRegenerated: 'New local API token generated',
+      localApiTokenFailed: 'Failed to regenerate the token: {{error}}'
     },
     actions: {
       logoutConfirm: 'Are you sure you want to log out?'
@@ -140,12 +251,94 @@ const translations = {
       primary: 'Principale',
       setPrimary: 'Définir comme principale',
       unsetPrimary: 'Retirer principale',
-      online: 'En ligne',
-      offline: 'Hors ligne',
       test: 'Test',
       testThermal: 'Ticket thermique',
       testPdf: 'Facture PDF',
-      testLabel: 'Étiquette'
+      testLabel: 'Étiquette',
+      openDrawer: 'Ouvrir le tiroir',
+      testCharmap: 'Table de caractères',
+      charset: 'Page de codes',
+      edit: 'Réglages',
+      overridden: 'Modifiée manuellement',
+      direct: 'Direct',
+      remove: 'Supprimer'
+    },
+    networkPrinter: {
+      add: 'Ajouter une imprimante réseau',
+      title: 'Imprimante réseau',
+      hint: 'Impression directe, sans file d\'impression système. TCP brut : socket://hôte:9100 — LPD : lpd://hôte/file — IPP : ipp://hôte/ipp/print',
+      uri: 'Adresse (URI)',
+      name: 'Nom',
+      namePlaceholder: 'Imprimante du comptoir',
+      test: 'Tester la connexion',
+      testing: 'Connexion…',
+      reachable: 'Imprimante joignable ({{state}})',
+      unreachable: 'Imprimante injoignable : {{error}}',
+      save: 'Ajouter',
+      confirmRemove: 'Supprimer {{printer}} ?',
+      subnet: 'Sous-réseau à analyser (facultatif)',
+      discover: 'Rechercher sur le réseau',
+      discovering: 'Recherche d\'imprimantes…',
+      noneFound: 'Aucune imprimante trouvée',
+      added: 'Ajoutée'
+    },
+    routing: {
+      title: 'Règles de routage',
+      hint: 'Imprimante des travaux envoyés avec un rôle ou sans imprimante. Les règles sont essayées dans l\'ordre ; un champ vide accepte tous les travaux. Sans règle applicable, l\'imprimante principale adaptée au document est utilisée.',
+      none: 'Aucune règle — les travaux vont à l\'imprimante principale adaptée au document',
+      add: 'Ajouter une règle',
+      name: 'Nom de la règle',
+      up: 'Monter',
+      role: 'Rôle',
+      documentTypes: 'Types de document',
+      tags: 'Étiquettes',
+      target: 'Imprimante',
+      anyOfType: 'Toute imprimante : {{type}}',
+      from: 'De',
+      to: 'À'
+    },
+    localApi: {
+      title: 'API locale',
+      hint: 'Les applications locales (borne, caisse) impriment via cette adresse. Envoyez le jeton en jeton Bearer dans l\'en-tête Authorization, ou dans l\'en-tête X-Api-Token.',
+      disabled: 'L\'API locale est désactivée ou n\'a pas pu démarrer.',
+      url: 'Adresse',
+      token: 'Jeton',
+      show: 'Afficher',
+      hide: 'Masquer',
+      copy: 'Copier le jeton',
+      regenerate: 'Régénérer',
+      regenerateConfirm: 'Les applications qui utilisent le jeton actuel seront refusées tant qu\'elles n\'ont pas le nouveau. Régénérer ?',
+      close: 'Fermer'
+    },
+    stations: {
+      title: 'Postes',
+      hint: 'Regroupez les imprimantes d\'un lieu (accueil, atelier, entrepôt) pour que les travaux puissent cibler le poste. Les travaux sont répartis entre les imprimantes identiques disponibles du poste.',
+      none: 'Aucun poste',
+      add: 'Ajouter un poste',
+      name: 'Nom du poste',
+      balancing: 'Répartition de charge',
+      balancingModes: {
+        'round-robin': 'Chacune à son tour',
+        'least-queued': 'Moins de travaux en attente'
+      },
+      printers: 'Imprimantes'
+    },
+    printerEditor: {
+      title: 'Réglages de l\'imprimante — {{printer}}',
+      hint: 'Corrigez ce qui a été mal détecté. Les champs laissés sur « Auto » gardent la valeur détectée.',
+      auto: 'Auto',
+      type: 'Type',
+      interface: 'Connexion',
+      paperSizes: 'Formats de papier',
+      labelWidth: 'Largeur d\'étiquette (mm)',
+      labelHeight: 'Hauteur d\'étiquette (mm)',
+      dpi: 'Résolution',
+      thermalWidth: 'Largeur du papier thermique',
+      charset: 'Page de codes',
+      backup: 'Imprimante de secours (Auto : même type)',
+      reset: 'Réinitialiser',
+      cancel: 'Annuler',
+      save: 'Enregistrer'
     },
     printerTypes: {
       thermal: 'Thermique',
@@ -163,22 +356,33 @@ const translations = {
       dotmatrix: 'Bons de livraison, liasses',
       generic: 'Documents généraux'
     },
+    printerStatus: {
+      idle: 'En ligne',
+      printing: 'Impression',
+      stopped: 'En pause',
+      paper_out: 'Plus de papier',
+      error: 'Intervention requise',
+      offline: 'Hors ligne'
+    },
     jobs: {
       title: 'Jobs récents',
       noJobs: 'Aucun job récent',
       unknownPrinter: 'Imprimante inconnue',
+      reroutedFrom: 'au lieu de {{printer}}',
       completed: 'Terminé',
       failed: 'Échoué ({{retries}}/{{maxRetries}})',
       retrying: 'Nouvelle tentative ({{retries}}/{{maxRetries}})',
       queued: 'En attente',
       processing: 'Impression...',
+      progress: 'Préparation des étiquettes {{done}}/{{total}}...',
       invoice: 'Facture',
       receipt: 'Reçu',
       ticket: 'Bon de réparation',
       label: 'Étiquette',
       quote: 'Devis',
       report: 'Rapport',
-      delivery_note: 'Bon de livraison'
+      delivery_note: 'Bon de livraison',
+      cash_drawer: 'Tiroir-caisse'
     },
     status: {
       connected: 'Connecté',
@@ -197,7 +401,25 @@ const translations = {
       jobRetrying: 'Job #{{id}} nouvelle tentative ({{retries}}/{{maxRetries}})...',
       primarySet: '{{printer}} définie comme principale',
       primaryUnset: '{{printer}} n\'est plus principale',
-      primaryFailed: 'Échec : {{error}}'
+      primaryFailed: 'Échec : {{error}}',
+      drawerOpened: 'Ouverture du tiroir-caisse sur {{printer}}',
+      drawerFailed: 'Impossible d\'ouvrir le tiroir-caisse : {{error}}',
+      charsetSaved: '{{printer}} imprime désormais en {{charset}}',
+      charsetFailed: 'Échec de l\'enregistrement de la page de codes : {{error}}',
+      overridesSaved: 'Réglages de {{printer}} enregistrés',
+      overridesFailed: 'Échec de l\'enregistrement des réglages : {{error}}',
+      networkPrinterSaved: '{{printer}} ajoutée',
+      networkPrinterRemoved: '{{printer}} supprimée',
+      networkPrinterFailed: 'Erreur d\'imprimante réseau : {{error}}',
+      printerStatus: '{{printer}} : {{status}}',
+      jobRerouted: 'Job #{{id}} envoyé sur {{to}} au lieu de {{from}}',
+      routingSaved: 'Règles de routage enregistrées',
+      routingFailed: 'Échec de l\'enregistrement des règles : {{error}}',
+      stationsSaved: 'Postes enregistrés',
+      stationsFailed: 'Échec de l\'enregistrement des postes : {{error}}',
+      localApiTokenCopied: 'Jeton de l\'API locale copié',
+      localApiTokenRegenerated: 'Nouveau jeton de l\'API locale généré',
+      localApiTokenFailed: 'Échec de la régénération du jeton : {{error}}'
     },
     actions: {
       logoutConfirm: 'Êtes-vous sûr de vouloir vous déconnecter ?'